@@ -0,0 +1,24 @@
+// api.js
+// Programmatic entry point. Every function resolves to an encoded image
+// buffer plus details about it and throws a PixpressError on failure;
+// nothing is written to disk or printed.
+export { info } from "./utils/info.js";
+export { resize } from "./utils/resize.js";
+export { convert } from "./utils/convert.js";
+export { rotate } from "./utils/rotate.js";
+export { crop } from "./utils/crop.js";
+export { applyFilter, getAvailableFilters } from "./utils/filters.js";
+export { watermark } from "./utils/watermark.js";
+export { applyPreset, getPresets, getPreset } from "./utils/preset.js";
+export {
+  meme,
+  getAvailableMemeTemplates,
+  getAvailableTextStyles,
+  getMemeFilters,
+} from "./utils/meme.js";
+export { collage, getAvailableLayouts } from "./utils/collage.js";
+export { responsive } from "./utils/responsive.js";
+export { pipe, parseStep } from "./utils/pipe.js";
+export { runRecipe, loadRecipe, validateRecipe } from "./utils/recipe.js";
+export { getSupportedFormats } from "./utils/helpers.js";
+export * from "./utils/errors.js";
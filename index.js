@@ -6,13 +6,25 @@ import figlet from "figlet";
 import { rainbow } from "gradient-string";
 import { resizeCommand } from "./utils/resize.js";
 import { convertCommand } from "./utils/convert.js";
-import { presetCommand } from "./utils/preset.js";
+import { presetCommand, listPresets, showPreset } from "./utils/preset.js";
 import { watermarkCommand } from "./utils/watermark.js";
 import { rotateCommand } from "./utils/rotate.js";
+import { cropCommand } from "./utils/crop.js";
 import { infoCommand } from "./utils/info.js";
 import { batchCommand } from "./utils/batch.js";
+import { watchCommand } from "./utils/watch.js";
+import { dupesCommand } from "./utils/dupes.js";
+import { organizeCommand } from "./utils/organize.js";
 import { filtersCommand, listFilters } from "./utils/filters.js";
 import { collageCommand, listLayouts } from "./utils/collage.js";
+import { responsiveCommand } from "./utils/responsive.js";
+import { pipeCommand } from "./utils/pipe.js";
+import { runCommand } from "./utils/recipe.js";
+import {
+  configCommand,
+  getConfigValue,
+  setConfigOverride,
+} from "./utils/config.js";
 import {
   memeCommand,
   getAvailableMemeTemplates,
@@ -21,13 +33,35 @@ import {
   getViralTips,
 } from "./utils/meme.js";
 import { startInteractiveMode } from "./utils/interactive.js";
+import {
+  setJsonOutput,
+  setStdoutOutput,
+  isStdio,
+  setInPlace,
+  isJsonOutput,
+  printJson,
+  handleError,
+} from "./utils/helpers.js";
+import { InvalidOptionError } from "./utils/errors.js";
 
 const program = new Command();
 
 program
   .name("pixpress")
   .description("A beginner-friendly CLI tool for image manipulation")
-  .version("1.0.0");
+  .version("1.0.0")
+  .option("--no-banner", "Hide the Pixpress banner")
+  .option("--json", "Print a JSON document instead of human-readable output")
+  .option(
+    "--on-conflict <policy>",
+    "When an output file exists: skip, overwrite, rename or fail"
+  )
+  .option("--in-place", "Replace the input files instead of writing copies")
+  .option("--backup", "With --in-place, keep the originals as <file>.bak")
+  // Missing arguments and unknown options exit like any other invalid option
+  .exitOverride((error) =>
+    process.exit(error.exitCode === 0 ? 0 : InvalidOptionError.exitCode)
+  );
 
 const title = figlet.textSync("Pixpress", {
   font: "Small Slant",
@@ -39,7 +73,69 @@ const coloredTitle = rainbow(title);
 const subtitle = chalk.italic.cyan("✨ Image Magic Made Easy ✨");
 const divider = chalk.dim("─".repeat(50));
 
-console.log(`\n${coloredTitle}\n${divider}\n${subtitle}\n${divider}`);
+// "-o -" and friends send the image itself to stdout
+const writesImageToStdout = process.argv.some(
+  (arg, index) =>
+    ((arg === "-o" || arg === "--output") && process.argv[index + 1] === "-") ||
+    arg === "-o-" ||
+    arg === "--output=-"
+);
+
+// The banner can be turned off in the config or with --no-banner, and
+// never mixes with JSON output or image data on stdout
+let showBanner =
+  !process.argv.includes("--no-banner") &&
+  !process.argv.includes("--json") &&
+  !writesImageToStdout;
+try {
+  showBanner = showBanner && getConfigValue("banner");
+} catch {
+  // A broken config is reported by the command that reads it
+}
+
+if (showBanner) {
+  console.log(`\n${coloredTitle}\n${divider}\n${subtitle}\n${divider}`);
+}
+
+// Options left at their commander default give way to config values,
+// so the config only loses to flags the user actually typed. Also
+// switches every command to JSON output when --json is given.
+program.hook("preAction", (_, actionCommand) => {
+  const globalOptions = program.opts();
+  const { output, name } = actionCommand.opts();
+
+  setJsonOutput(globalOptions.json);
+  setStdoutOutput(isStdio(output));
+
+  try {
+    if (globalOptions.onConflict) {
+      setConfigOverride(
+        "onConflict",
+        globalOptions.onConflict,
+        "--on-conflict"
+      );
+    }
+
+    if (globalOptions.inPlace) {
+      if (output || name) {
+        throw new InvalidOptionError(
+          "--in-place writes over the input, so it can't be combined with --output or --name"
+        );
+      }
+      setInPlace({ backup: globalOptions.backup });
+    } else if (globalOptions.backup) {
+      throw new InvalidOptionError("--backup only works with --in-place");
+    }
+  } catch (error) {
+    handleError(null, error);
+  }
+
+  for (const name of ["quality", "fit"]) {
+    if (actionCommand.getOptionValueSource(name) === "default") {
+      actionCommand.setOptionValueWithSource(name, undefined, "default");
+    }
+  }
+});
 
 // Info command
 program
@@ -54,13 +150,36 @@ program
   .description("Resize an image")
   .option("-w, --width <width>", "Target width in pixels")
   .option("-h, --height <height>", "Target height in pixels")
+  .option("--scale <factor>", "Scale by a factor, e.g. 0.5")
+  .option("--percent <percent>", "Scale to a percentage, e.g. 25")
+  .option(
+    "--max-megapixels <mp>",
+    "Shrink images larger than this many megapixels"
+  )
+  .option("--long-edge <pixels>", "Target length of the longer side")
+  .option("--short-edge <pixels>", "Target length of the shorter side")
+  .option("--no-enlarge", "Never make an image larger than the original")
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-q, --quality <quality>", "JPEG quality (1-100)", "80")
+  .option("--format <format>", "Output format (default: same as input)")
   .option(
     "--fit <fit>",
     "Resize fit mode: cover, contain, fill, inside, outside",
     "cover"
   )
+  .option(
+    "--crop-strategy <strategy>",
+    "How --fit cover crops: center (default), entropy, attention, focal"
+  )
+  .option(
+    "--gravity <gravity>",
+    "Side to keep when cropping: north, northeast, east, ..., center"
+  )
+  .option("--focal <x,y>", "Point to keep when cropping, as percentages")
   .action(resizeCommand);
 
 // Convert command
@@ -72,6 +191,10 @@ program
     "Output format: jpg, png, webp, tiff, gif, bmp, avif"
   )
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-q, --quality <quality>", "Quality (1-100 for JPEG/WebP)", "80")
   .option("--filter <filter>", "Apply color filter during conversion")
   .action(convertCommand);
@@ -84,7 +207,12 @@ program
   .option("--flip-h, --horizontal", "Flip horizontally (mirror)")
   .option("--flip-v, --vertical", "Flip vertically")
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-q, --quality <quality>", "Quality (1-100 for JPEG/WebP)", "85")
+  .option("--format <format>", "Output format (default: same as input)")
   .option(
     "--background <color>",
     "Background color for exposed areas (hex or rgba)",
@@ -103,7 +231,7 @@ program
       );
       console.log(chalk.dim("Usage: pixpress rotate <input> [options]"));
       console.log(chalk.dim("Options: --angle <degrees>, --flip-h, --flip-v"));
-      process.exit(1);
+      process.exit(InvalidOptionError.exitCode);
     }
     rotateCommand(input, options);
   });
@@ -114,7 +242,12 @@ program
   .description("Apply color filters and effects to images")
   .option("-f, --filter <filter>", "Color filter to apply")
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-q, --quality <quality>", "Quality (1-100 for JPEG/WebP)", "85")
+  .option("--format <format>", "Output format (default: same as input)")
   .option("-l, --list", "List all available filters")
   .action((input, options) => {
     if (options.list) {
@@ -128,7 +261,7 @@ program
         chalk.dim("Usage: pixpress filters <input> --filter <filter-name>")
       );
       console.log(chalk.dim("Use --list to see available filters"));
-      process.exit(1);
+      process.exit(InvalidOptionError.exitCode);
     }
 
     if (!options.filter) {
@@ -137,7 +270,7 @@ program
         chalk.dim("Usage: pixpress filters <input> --filter <filter-name>")
       );
       console.log(chalk.dim("Use --list to see available filters"));
-      process.exit(1);
+      process.exit(InvalidOptionError.exitCode);
     }
 
     filtersCommand(input, options);
@@ -158,11 +291,30 @@ program
     "impact"
   )
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-q, --quality <quality>", "JPEG quality (1-100)", "85")
   .option(
     "--filter <filter>",
     "Special effect: deepfry, vintage, cursed, glitch"
   )
+  .option("--width <width>", "Crop the photo to this width (classic mode)")
+  .option("--height <height>", "Crop the photo to this height (classic mode)")
+  .option(
+    "--crop-strategy <strategy>",
+    "How the photo is cropped (classic mode): center (default), entropy, attention, focal"
+  )
+  .option(
+    "--gravity <gravity>",
+    "Side of the photo to keep (classic mode): north, northeast, east, ..., center"
+  )
+  .option(
+    "--focal <x,y>",
+    "Point of the photo to keep, as percentages (classic mode)"
+  )
+
   .option("--list-templates", "List all available meme templates")
   .option("--list-styles", "List all text styles")
   .option("--list-filters", "List all meme filters")
@@ -170,6 +322,10 @@ program
   .action((input, options) => {
     if (options.listTemplates) {
       const templates = getAvailableMemeTemplates();
+      if (isJsonOutput()) {
+        printJson({ ok: true, templates });
+        return;
+      }
       console.log(chalk.cyan.bold("\n🎭 Available Meme Templates:"));
       console.log(chalk.gray("─".repeat(50)));
       Object.entries(templates).forEach(([key, template]) => {
@@ -204,6 +360,10 @@ program
 
     if (options.listStyles) {
       const styles = getAvailableTextStyles();
+      if (isJsonOutput()) {
+        printJson({ ok: true, styles });
+        return;
+      }
       console.log(chalk.cyan.bold("\n✨ Available Text Styles:"));
       console.log(chalk.gray("─".repeat(50)));
       Object.entries(styles).forEach(([key, style]) => {
@@ -225,6 +385,10 @@ program
 
     if (options.listFilters) {
       const filters = getMemeFilters();
+      if (isJsonOutput()) {
+        printJson({ ok: true, filters });
+        return;
+      }
       console.log(chalk.cyan.bold("\n🎨 Available Meme Filters:"));
       console.log(chalk.gray("─".repeat(50)));
       filters.forEach((filter) => {
@@ -236,6 +400,10 @@ program
 
     if (options.tips) {
       const tips = getViralTips();
+      if (isJsonOutput()) {
+        printJson({ ok: true, tips });
+        return;
+      }
       console.log(chalk.cyan.bold("\n🚀 Tips for Creating Viral Memes:"));
       console.log(chalk.gray("─".repeat(50)));
       tips.forEach((tip) => {
@@ -262,7 +430,7 @@ program
         console.log(
           chalk.dim("Use --list-templates to see available templates")
         );
-        process.exit(1);
+        process.exit(InvalidOptionError.exitCode);
       }
 
       // For templates with built-in images (except classic), input is optional
@@ -278,7 +446,7 @@ program
             `Usage: pixpress meme <input> --template ${options.template} --text "Your text"`
           )
         );
-        process.exit(1);
+        process.exit(InvalidOptionError.exitCode);
       }
 
       if (!options.text || options.text.length === 0) {
@@ -294,7 +462,7 @@ program
             `Usage: pixpress meme --template ${options.template} --text "Text 1" "Text 2"`
           )
         );
-        process.exit(1);
+        process.exit(InvalidOptionError.exitCode);
       }
     } else if (!input) {
       // No template specified, so input is required
@@ -309,7 +477,7 @@ program
           'Or use a template: pixpress meme --template drake --text "Old way" "New way"'
         )
       );
-      process.exit(1);
+      process.exit(InvalidOptionError.exitCode);
     }
 
     memeCommand(input, options);
@@ -326,6 +494,10 @@ program
   .option("-w, --width <width>", "Canvas width in pixels", "1920")
   .option("-h, --height <height>", "Canvas height in pixels", "1080")
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-f, --format <format>", "Output format: jpg, png, webp", "jpg")
   .option("-q, --quality <quality>", "JPEG/WebP quality (1-100)", "85")
   .option("-s, --spacing <spacing>", "Spacing between images in pixels", "10")
@@ -337,6 +509,15 @@ program
   // Grid layout options
   .option("--cols <cols>", "Number of columns for grid layout")
   .option("--fit <fit>", "Image fit mode: cover, contain, fill", "cover")
+  .option(
+    "--crop-strategy <strategy>",
+    "How images are cropped to their cells: center (default), entropy, attention, focal"
+  )
+  .option(
+    "--gravity <gravity>",
+    "Side of each image to keep: north, northeast, east, ..., center"
+  )
+  .option("--focal <x,y>", "Point of each image to keep, as percentages")
   // Strip layout options
   .option(
     "--direction <direction>",
@@ -359,7 +540,7 @@ program
         chalk.dim("Usage: pixpress collage <input> --layout <layout>")
       );
       console.log(chalk.dim("Use --list-layouts to see available options"));
-      process.exit(1);
+      process.exit(InvalidOptionError.exitCode);
     }
 
     if (!options.layout) {
@@ -368,7 +549,7 @@ program
         chalk.dim("Usage: pixpress collage <input> --layout <layout>")
       );
       console.log(chalk.dim("Use --list-layouts to see available options"));
-      process.exit(1);
+      process.exit(InvalidOptionError.exitCode);
     }
 
     collageCommand(input, options);
@@ -376,14 +557,50 @@ program
 
 // Preset command
 program
-  .command("preset <input>")
+  .command("preset [input]")
   .description("Apply image presets")
-  .requiredOption(
+  .option(
     "-p, --preset <preset>",
-    "Preset name: thumbnail, avatar, banner, social, compress"
+    "Preset name, e.g. thumbnail, avatar, banner, social, compress"
   )
   .option("-o, --output <output>", "Output file path")
-  .action(presetCommand);
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
+  .option("-l, --list", "List all available presets")
+  .option("--show <name>", "Show the settings of a preset")
+  .action((input, options) => {
+    if (options.list) {
+      listPresets();
+      return;
+    }
+
+    if (options.show) {
+      showPreset(options.show);
+      return;
+    }
+
+    if (!input) {
+      console.error(chalk.red("Error: Input image path is required"));
+      console.log(
+        chalk.dim("Usage: pixpress preset <input> --preset <preset-name>")
+      );
+      console.log(chalk.dim("Use --list to see available presets"));
+      process.exit(InvalidOptionError.exitCode);
+    }
+
+    if (!options.preset) {
+      console.error(chalk.red("Error: Preset is required"));
+      console.log(
+        chalk.dim("Usage: pixpress preset <input> --preset <preset-name>")
+      );
+      console.log(chalk.dim("Use --list to see available presets"));
+      process.exit(InvalidOptionError.exitCode);
+    }
+
+    presetCommand(input, options);
+  });
 
 // Watermark command
 program
@@ -391,6 +608,10 @@ program
   .description("Add watermark to image")
   .requiredOption("-w, --watermark <watermark>", "Watermark image path")
   .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option(
     "-p, --position <position>",
     "Position: top-left, top-right, bottom-left, bottom-right, center",
@@ -398,13 +619,177 @@ program
   )
   .option("-s, --size <size>", "Watermark size as percentage (10-50)", "20")
   .option("--opacity <opacity>", "Watermark opacity (0.1-1.0)", "0.8")
+  .option("--format <format>", "Output format (default: same as input)")
   .action(watermarkCommand);
 
-// Batch processing command
+// Pipe command
+program
+  .command("pipe <input> <steps...>")
+  .description("Chain several operations and encode the result only once")
+  .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
+  .option(
+    "-f, --format <format>",
+    "Output format when no convert step is given"
+  )
+  .option("-q, --quality <quality>", "Quality (1-100 for JPEG/WebP)", "80")
+  .addHelpText(
+    "after",
+    `
+Steps are written as operation:value,key=value and run in order:
+  resize:w=800          resize:800x600,fit=contain
+  rotate:90             rotate:flip-h
+  filter:sepia
+  watermark:logo.png,pos=bottom-right,size=15,opacity=0.6
+  convert:webp,q=75`
+  )
+  .action(pipeCommand);
+
+// Recipe command
 program
-  .command("batch <operation> <folder>")
-  .description("Batch process all images in a folder")
+  .command("run <recipe> <input>")
+  .description("Apply the steps of a JSON or YAML recipe file to an image")
+  .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
+  .addHelpText(
+    "after",
+    `
+Recipes list operations in order, using the same option names as the commands:
+  name: product-shot
+  steps:
+    - resize: { width: 1200, height: 1200, fit: contain }
+    - filters: { filter: vivid }
+    - watermark: { watermark: logo.png, position: bottom-right }
+    - convert: { format: webp, quality: 85 }`
+  )
+  .action(runCommand);
+
+// Options of the operations batch and watch can run, shared by both
+function withOperationOptions(command) {
+  return (
+    command
+      // Resize options
+      .option(
+        "-w, --width <width>",
+        "Target width in pixels (for resize and meme)"
+      )
+      .option(
+        "-h, --height <height>",
+        "Target height in pixels (for resize and meme)"
+      )
+      .option("--scale <factor>", "Scale by a factor (for resize)")
+      .option("--percent <percent>", "Scale to a percentage (for resize)")
+      .option(
+        "--max-megapixels <mp>",
+        "Shrink images larger than this many megapixels (for resize)"
+      )
+      .option(
+        "--long-edge <pixels>",
+        "Target length of the longer side (for resize)"
+      )
+      .option(
+        "--short-edge <pixels>",
+        "Target length of the shorter side (for resize)"
+      )
+      .option(
+        "--no-enlarge",
+        "Never make an image larger than the original (for resize)"
+      )
+      .option("--fit <fit>", "Resize fit mode (for resize)", "cover")
+      .option(
+        "--crop-strategy <strategy>",
+        "How images are cropped: center (default), entropy, attention, focal (for resize, collage, meme)"
+      )
+      .option(
+        "--gravity <gravity>",
+        "Side to keep when cropping (for resize, collage, meme, crop)"
+      )
+      .option(
+        "--focal <x,y>",
+        "Point to keep when cropping, as percentages (for resize, collage, meme)"
+      )
+      // Crop options
+      .option("--rect <x,y,w,h>", "Region to keep (for crop)")
+      .option("--aspect <ratio>", "Aspect ratio to crop to (for crop)")
+      .option("--trim", "Remove uniform borders (for crop)")
+      .option(
+        "--tolerance <tolerance>",
+        "Border color tolerance for --trim (for crop)"
+      )
+      // Convert options
+      .option("-f, --format <format>", "Output format (for convert)")
+      .option(
+        "-q, --quality <quality>",
+        "Quality 1-100 (for convert/resize)",
+        "80"
+      )
+      // Filter options
+      .option("--filter <filter>", "Color filter to apply (for filters)")
+      // Preset options
+      .option("-p, --preset <preset>", "Preset name (for preset)")
+      // Watermark options
+      .option("--watermark <watermark>", "Watermark image path (for watermark)")
+      .option(
+        "--position <position>",
+        "Watermark position (for watermark)",
+        "bottom-right"
+      )
+      .option(
+        "-s, --size <size>",
+        "Watermark size percentage (for watermark)",
+        "20"
+      )
+      .option("--opacity <opacity>", "Watermark opacity (for watermark)", "0.8")
+      // Rotate options
+      .option("-a, --angle <angle>", "Rotation angle in degrees (for rotate)")
+      .option("--flip-h, --horizontal", "Flip horizontally (for rotate)")
+      .option("--flip-v, --vertical", "Flip vertically (for rotate)")
+      .option(
+        "--background <color>",
+        "Background color for rotation (for rotate)",
+        "#FFFFFF00"
+      )
+      // Collage options
+      .option("--layout <layout>", "Collage layout (for collage)")
+      .option("--cols <cols>", "Grid columns (for collage)")
+      .option("--direction <direction>", "Strip direction (for collage)")
+      .option("--shuffle", "Shuffle images (for collage)")
+      .option(
+        "--group-size <n>",
+        "Make one collage per N images instead of one per folder (for collage)"
+      )
+      // Meme options
+      .option("-t, --text <text...>", "Meme text (for meme)")
+      .option(
+        "--text-file <file>",
+        "JSON or YAML map of file names to their own meme text (for meme)"
+      )
+      .option("--template <template>", "Meme template (for meme)")
+      .option("--style <style>", "Text style (for meme)", "impact")
+  );
+}
+
+// Batch processing command
+const batch = program
+  .command("batch [operation] [folder]")
+  .description(
+    "Batch process all images in a folder or .zip (use recipe:<file> to apply a recipe)"
+  )
+  .option(
+    "--manifest <file>",
+    "CSV, JSON or YAML list of files to process, each with its own operation and options"
+  )
   .option("-o, --output <output>", "Output folder (default: ./processed)")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
   .option("-r, --recursive", "Process subfolders recursively")
   .option(
     "--include <pattern>",
@@ -414,50 +799,207 @@ program
   .option("--exclude <pattern>", "File pattern to exclude")
   .option("--dry-run", "Show what would be processed without doing it")
   .option("-v, --verbose", "Show detailed progress")
-  // Resize options
-  .option("-w, --width <width>", "Target width in pixels (for resize)")
-  .option("-h, --height <height>", "Target height in pixels (for resize)")
-  .option("--fit <fit>", "Resize fit mode (for resize)", "cover")
-  // Convert options
-  .option("-f, --format <format>", "Output format (for convert)")
-  .option("-q, --quality <quality>", "Quality 1-100 (for convert/resize)", "80")
-  // Filter options
-  .option("--filter <filter>", "Color filter to apply (for filters)")
-  // Preset options
-  .option("-p, --preset <preset>", "Preset name (for preset)")
-  // Watermark options
-  .option("--watermark <watermark>", "Watermark image path (for watermark)")
-  .option(
-    "--position <position>",
-    "Watermark position (for watermark)",
-    "bottom-right"
+  .option(
+    "-j, --concurrency <n>",
+    "Number of images processed at once (default: number of CPU cores)"
   )
+  .option("--fail-fast", "Stop at the first file that fails")
   .option(
-    "-s, --size <size>",
-    "Watermark size percentage (for watermark)",
-    "20"
+    "--resume",
+    "Skip files an earlier, interrupted run of the same batch already finished"
   )
-  .option("--opacity <opacity>", "Watermark opacity (for watermark)", "0.8")
-  // Rotate options
-  .option("-a, --angle <angle>", "Rotation angle in degrees (for rotate)")
-  .option("--flip-h, --horizontal", "Flip horizontally (for rotate)")
-  .option("--flip-v, --vertical", "Flip vertically (for rotate)")
   .option(
-    "--background <color>",
-    "Background color for rotation (for rotate)",
-    "#FFFFFF00"
+    "--incremental",
+    "Only process files whose contents or options changed since the last run"
+  )
+  .option(
+    "--prune",
+    "With --incremental, delete outputs whose source file was removed"
+  )
+  .option(
+    "--report <file>",
+    "Write a per-file report; .csv, .json or .html (with thumbnails)"
+  )
+  .option(
+    "--max-errors <n>",
+    "Stop once this many files have failed (default: process every file)"
+  )
+  .option(
+    "--output-archive <file>",
+    "Also package the outputs into a .zip, keeping their folder structure"
   )
-  // Collage options
-  .option("--layout <layout>", "Collage layout (for collage)")
-  .option("--cols <cols>", "Grid columns (for collage)")
-  .option("--direction <direction>", "Strip direction (for collage)")
-  .option("--shuffle", "Shuffle images (for collage)")
-  // Meme options
-  .option("-t, --text <text...>", "Meme text (for meme)")
-  .option("--template <template>", "Meme template (for meme)")
-  .option("--style <style>", "Text style (for meme)", "impact")
   .action(batchCommand);
 
+withOperationOptions(batch);
+
+// Crop command
+program
+  .command("crop <input>")
+  .description("Crop a region, an aspect ratio or uniform borders")
+  .option(
+    "--rect <x,y,w,h>",
+    'Region to keep, in pixels or percentages, e.g. "10%,10%,80%,80%"'
+  )
+  .option("--aspect <ratio>", "Crop to an aspect ratio, e.g. 16:9 or 1:1")
+  .option(
+    "--gravity <gravity>",
+    "Side to keep with --aspect: north, northeast, east, ..., center (default)"
+  )
+  .option("--trim", "Remove uniform borders")
+  .option(
+    "--tolerance <tolerance>",
+    "How much border colors may vary for --trim (0-255, default: 10)"
+  )
+  .option("-o, --output <output>", "Output file path")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
+  .option("-q, --quality <quality>", "Output quality (1-100)")
+  .option("--format <format>", "Output format (default: same as input)")
+  .action(cropCommand);
+
+// Responsive images command
+program
+  .command("responsive <input>")
+  .description(
+    "Create an image in several widths and formats with <picture> markup"
+  )
+  .option("--widths <widths>", "Comma-separated widths", "320,640,1280,1920")
+  .option(
+    "--formats <formats>",
+    "Comma-separated formats, best first; the last is the <img> fallback",
+    "avif,webp,jpg"
+  )
+  .option("-o, --output <folder>", "Folder for the images, markup and manifest")
+  .option("-q, --quality <quality>", "Quality 1-100 (default: per format)")
+  .option("--sizes <sizes>", 'The "sizes" attribute of the markup', "100vw")
+  .option("--alt <text>", "Alt text for the <img>")
+  .option(
+    "--base-url <url>",
+    "URL the images will be served from, e.g. /images/hero"
+  )
+  .action(responsiveCommand);
+
+// Duplicate finder command
+program
+  .command("dupes <folder>")
+  .description("Find duplicate and near-duplicate images in a folder")
+  .option(
+    "-a, --algorithm <algorithm>",
+    "Perceptual hash: ahash, dhash or phash",
+    "dhash"
+  )
+  .option(
+    "-t, --threshold <bits>",
+    "Most bits two hashes may differ in to count as similar (0-64)",
+    "8"
+  )
+  .option(
+    "--keep <rule>",
+    "Copy to keep in each group: largest or sharpest",
+    "largest"
+  )
+  .option("--move <folder>", "Move the other copies into this folder")
+  .option("--delete", "Delete the other copies")
+  .option("--dry-run", "Show what --move or --delete would do")
+  .option("-r, --recursive", "Scan subfolders too")
+  .option(
+    "--include <pattern>",
+    "File pattern to include (e.g., *.jpg,*.png,*.heic)"
+  )
+  .option("--exclude <pattern>", "File pattern to exclude")
+  .action(dupesCommand);
+
+// Organize command
+program
+  .command("organize <folder>")
+  .description(
+    "Sort images into folders by capture date, camera, orientation or format"
+  )
+  .option("--by <key>", "Sort by date, camera, orientation or format", "date")
+  .option(
+    "--pattern <pattern>",
+    'Folder pattern, e.g. "{yyyy}/{mm}" or "{camera}/{yyyy}" (default: follows --by)'
+  )
+  .option(
+    "-o, --output <folder>",
+    "Folder to organize into (default: the folder itself)"
+  )
+  .option("--copy", "Copy the files instead of moving them")
+  .option("--dry-run", "Show where each file would go without moving it")
+  .option("-r, --recursive", "Include subfolders")
+  .option(
+    "--include <pattern>",
+    "File pattern to include (e.g., *.jpg,*.png,*.heic)"
+  )
+  .option("--exclude <pattern>", "File pattern to exclude")
+  .action(organizeCommand);
+
+// Watch command
+const watch = program
+  .command("watch <folder> <operation>")
+  .description(
+    "Process images as they are added to or changed in a folder (hot folder)"
+  )
+  .option("-o, --output <output>", "Output folder")
+  .option(
+    "--name <template>",
+    'Output file name template, e.g. "{name}-{w}x{h}.{ext}"'
+  )
+  .option("-r, --recursive", "Watch subfolders too")
+  .option(
+    "--include <pattern>",
+    "File pattern to include (e.g., *.jpg,*.png,*.heic)",
+    "*.jpg,*.jpeg,*.png,*.webp,*.tiff,*.gif,*.bmp,*.heic,*.heif"
+  )
+  .option("--exclude <pattern>", "File pattern to exclude")
+  .option(
+    "--debounce <ms>",
+    "How long a file must stay unchanged before it is processed",
+    "500"
+  )
+  .option(
+    "--once",
+    "Process the images already in the folder, then exit without watching"
+  )
+  .option(
+    "--incremental",
+    "Skip images whose contents and options haven't changed since they were last processed"
+  )
+  .option(
+    "-j, --concurrency <n>",
+    "Number of images processed at once (default: number of CPU cores)"
+  )
+  .action(watchCommand);
+
+withOperationOptions(watch);
+
+// Config command
+program
+  .command("config <action> [key] [value]")
+  .description(
+    "Read and change settings: get <key>, set <key> <value>, list, path"
+  )
+  .option(
+    "--project",
+    "Write to the project .pixpressrc instead of the global config"
+  )
+  .addHelpText(
+    "after",
+    `
+Settings:
+  outputDir       Folder processed images are saved to
+  quality.jpeg    Default quality per format (also webp, avif, tiff)
+  fit             Default resize fit mode
+  onConflict      overwrite, skip, rename or fail when an output file exists
+  banner          Show the Pixpress banner (true/false)
+
+Values come from the global config, then the nearest .pixpressrc, then
+PIXPRESS_* environment variables (e.g. PIXPRESS_QUALITY_WEBP), then flags.`
+  )
+  .action(configCommand);
+
 // Interactive command
 program
   .command("interactive")
@@ -515,21 +1057,57 @@ ${chalk.yellow("Examples:")}
   ${chalk.dim("# Add watermark")}
   pixpress watermark photo.jpg -w logo.png
 
+  ${chalk.dim("# Resize, filter, watermark and convert in one pass")}
+  pixpress pipe photo.jpg resize:w=800 filter:sepia watermark:logo.png convert:webp
+
+  ${chalk.dim("# Apply a saved recipe to one image or a whole folder")}
+  pixpress run product-shot.yml photo.jpg
+  pixpress batch recipe:product-shot.yml ./photos
+
   ${chalk.dim("# Batch convert all HEIC files to JPG")}
   pixpress batch convert ./photos --format jpg --include "*.heic,*.heif"
 
+  ${chalk.dim("# Name outputs after their size and content hash")}
+  pixpress batch resize ./photos -w 800 --name "{name}-{w}w-{hash8}.{ext}"
+
   ${chalk.dim("# Batch rotate all images 90 degrees")}
   pixpress batch rotate ./photos --angle 90
 
+  ${chalk.dim("# Resize a zipped photo set and deliver the results zipped")}
+  pixpress batch resize photos.zip -w 1600 -r --output-archive delivery.zip
+
+  ${chalk.dim("# Process a list of files, each with its own operation")}
+  pixpress batch --manifest jobs.csv -o ./out
+
   ${chalk.dim("# Batch create memes from folder")}
   pixpress batch meme ./templates --text "YOUR TEXT HERE"
 
+  ${chalk.dim("# Crop to 16:9, keeping the top of the image")}
+  pixpress crop photo.jpg --aspect 16:9 --gravity north
+
+  ${chalk.dim(
+    "# Hero image in four widths as AVIF, WebP and JPG, with <picture> markup"
+  )}
+  pixpress responsive hero.jpg --widths 640,1280,1920,2560 --base-url /img
+
+  ${chalk.dim("# Find burst shots and copies, keeping the sharpest of each")}
+  pixpress dupes ./photos --keep sharpest --move ./duplicates
+
+  ${chalk.dim("# Sort a phone export into year/month folders")}
+  pixpress organize ./export --by date --pattern "{yyyy}/{mm}" --dry-run
+
+  ${chalk.dim("# Convert every image saved into a folder")}
+  pixpress watch ./exports convert --format webp -o ./web
+
+  ${chalk.dim("# Save WebP images at quality 75 by default")}
+  pixpress config set quality.webp 75
+
   ${chalk.dim("# Interactive mode (guided process)")}
   pixpress interactive
 
 ${chalk.cyan("Available Operations:")}
   ${chalk.dim(
-    "info, resize, convert, rotate, filters, meme, preset, watermark, collage, batch, interactive"
+    "info, resize, convert, rotate, filters, meme, preset, watermark, crop, collage, responsive, pipe, run, batch, watch, dupes, organize, config, interactive"
   )}
 
 ${chalk.cyan("Supported Input Formats:")}
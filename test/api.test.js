@@ -0,0 +1,64 @@
+// test/api.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import sharp from "sharp";
+import {
+  resize,
+  convert,
+  info,
+  InputNotFoundError,
+  InvalidOptionError,
+} from "../api.js";
+import { makeTempDir, cleanup, makeImage } from "./helpers.js";
+
+let dir;
+let photo;
+
+before(async () => {
+  dir = await makeTempDir();
+  photo = await makeImage(path.join(dir, "photo.jpg"), {
+    width: 80,
+    height: 60,
+  });
+});
+
+after(async () => {
+  await cleanup(dir);
+});
+
+test("resize returns the encoded buffer and its details", async () => {
+  const result = await resize(photo, { width: 40, height: 30 });
+
+  assert.equal(result.info.width, 40);
+  assert.equal(result.info.height, 30);
+  assert.equal(result.input.width, 80);
+
+  const metadata = await sharp(result.buffer).metadata();
+  assert.equal(metadata.format, "jpeg");
+});
+
+test("convert encodes to the requested format", async () => {
+  const result = await convert(photo, { format: "png" });
+
+  assert.equal(result.info.format, "png");
+  assert.equal((await sharp(result.buffer).metadata()).format, "png");
+});
+
+test("convert without a format throws InvalidOptionError", async () => {
+  await assert.rejects(convert(photo, {}), InvalidOptionError);
+});
+
+test("info reports the image metadata", async () => {
+  const result = await info(photo);
+
+  assert.equal(result.metadata.width, 80);
+  assert.equal(result.metadata.height, 60);
+});
+
+test("a missing input throws InputNotFoundError", async () => {
+  await assert.rejects(
+    resize(path.join(dir, "missing.jpg"), { width: 10 }),
+    (error) => error instanceof InputNotFoundError && error.exitCode === 3
+  );
+});
@@ -0,0 +1,148 @@
+// test/conflict.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+
+beforeEach(async () => {
+  home = await makeTempDir();
+  await makeImage(path.join(home, "photo.jpg"));
+  await fs.writeFile(path.join(home, "out.jpg"), "existing");
+});
+
+afterEach(async () => {
+  await cleanup(home);
+});
+
+// The output path includes a folder so it isn't put in the operation folder
+function resizeTo(output, policy) {
+  return runCli(
+    [
+      "--on-conflict",
+      policy,
+      "resize",
+      "photo.jpg",
+      "-w",
+      "10",
+      "-o",
+      `./${output}`,
+    ],
+    { home }
+  );
+}
+
+test("overwrite replaces the existing output", async () => {
+  const result = await resizeTo("out.jpg", "overwrite");
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.notEqual(
+    await fs.readFile(path.join(home, "out.jpg"), "utf8"),
+    "existing"
+  );
+});
+
+test("rename writes next to the existing output", async () => {
+  const result = await resizeTo("out.jpg", "rename");
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(
+    await fs.readFile(path.join(home, "out.jpg"), "utf8"),
+    "existing"
+  );
+  assert.ok(await fs.pathExists(path.join(home, "out_1.jpg")));
+});
+
+test("skip leaves the output alone and exits with 0", async () => {
+  const result = await resizeTo("out.jpg", "skip");
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(
+    await fs.readFile(path.join(home, "out.jpg"), "utf8"),
+    "existing"
+  );
+  assert.ok(!(await fs.pathExists(path.join(home, "out_1.jpg"))));
+});
+
+test("fail exits with OUTPUT_EXISTS", async () => {
+  const result = await runCli(
+    [
+      "--json",
+      "--on-conflict",
+      "fail",
+      "resize",
+      "photo.jpg",
+      "-w",
+      "10",
+      "-o",
+      "./out.jpg",
+    ],
+    { home }
+  );
+
+  assert.equal(result.code, 7);
+  assert.equal(result.json.error.code, "OUTPUT_EXISTS");
+});
+
+test("config help lists every onConflict policy", async () => {
+  const result = await runCli(["config", "--help"], { home });
+
+  assert.match(result.stdout, /onConflict\s+overwrite, skip, rename or fail/);
+});
+
+// --in-place convert writes photo.png next to photo.jpg, where another
+// file may already be
+async function convertInPlace(policy) {
+  await fs.writeFile(path.join(home, "photo.png"), "another file");
+  return runCli(
+    [
+      "--json",
+      "--in-place",
+      "--on-conflict",
+      policy,
+      "convert",
+      "photo.jpg",
+      "-f",
+      "png",
+    ],
+    { home }
+  );
+}
+
+test("--in-place fail keeps both files when the new name is taken", async () => {
+  const result = await convertInPlace("fail");
+
+  assert.equal(result.code, 7, result.stdout);
+  assert.equal(result.json.error.code, "OUTPUT_EXISTS");
+  assert.equal(
+    await fs.readFile(path.join(home, "photo.png"), "utf8"),
+    "another file"
+  );
+  assert.ok(await fs.pathExists(path.join(home, "photo.jpg")));
+});
+
+test("--in-place skip leaves the source and the taken name alone", async () => {
+  const result = await convertInPlace("skip");
+
+  assert.equal(result.code, 0, result.stdout);
+  assert.equal(result.json.skipped, true);
+  assert.equal(
+    await fs.readFile(path.join(home, "photo.png"), "utf8"),
+    "another file"
+  );
+  assert.ok(await fs.pathExists(path.join(home, "photo.jpg")));
+});
+
+test("--in-place rename replaces the source under a free name", async () => {
+  const result = await convertInPlace("rename");
+
+  assert.equal(result.code, 0, result.stdout);
+  assert.equal(
+    await fs.readFile(path.join(home, "photo.png"), "utf8"),
+    "another file"
+  );
+  assert.ok(await fs.pathExists(path.join(home, "photo_1.png")));
+  assert.ok(!(await fs.pathExists(path.join(home, "photo.jpg"))));
+});
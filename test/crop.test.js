@@ -0,0 +1,67 @@
+// test/crop.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { crop, InvalidOptionError } from "../api.js";
+
+function solid(width, height, color) {
+  return sharp({
+    create: { width, height, channels: 3, background: color },
+  })
+    .png()
+    .toBuffer();
+}
+
+test("--trim removes a uniform border", async () => {
+  const framed = await sharp(await solid(50, 40, "#ff0000"))
+    .extend({ top: 5, bottom: 5, left: 5, right: 5, background: "#ffffff" })
+    .png()
+    .toBuffer();
+
+  const result = await crop(framed, { trim: true });
+
+  assert.equal(result.info.width, 50);
+  assert.equal(result.info.height, 40);
+  assert.deepEqual(result.warnings, []);
+});
+
+test("--trim without a border suggests a higher tolerance", async () => {
+  const noise = await sharp({
+    create: {
+      width: 50,
+      height: 40,
+      channels: 3,
+      background: "#888888",
+      noise: { type: "gaussian", mean: 128, sigma: 40 },
+    },
+  })
+    .png()
+    .toBuffer();
+
+  const result = await crop(noise, { trim: true });
+
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /higher --tolerance/);
+});
+
+test("--trim on a uniform image suggests a lower tolerance", async () => {
+  const result = await crop(await solid(50, 40, "#ffffff"), { trim: true });
+
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /lower --tolerance/);
+});
+
+test("--aspect and --rect crop to the requested region", async () => {
+  const image = await solid(200, 100, "#3366cc");
+
+  const square = await crop(image, { aspect: "1:1" });
+  assert.deepEqual([square.info.width, square.info.height], [100, 100]);
+
+  const region = await crop(image, { rect: "10,10,50%,20" });
+  assert.deepEqual([region.info.width, region.info.height], [100, 20]);
+
+  await assert.rejects(
+    crop(image, { rect: "150,0,100,10" }),
+    InvalidOptionError
+  );
+});
@@ -0,0 +1,79 @@
+// test/dupes.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+let photos;
+let moved;
+
+beforeEach(async () => {
+  home = await makeTempDir();
+  photos = path.join(home, "photos");
+  moved = path.join(home, "moved");
+  await makeImage(path.join(photos, "a.jpg"), { width: 64, height: 48 });
+  await makeImage(path.join(photos, "b.jpg"), { width: 32, height: 24 });
+  await makeImage(path.join(photos, "other.png"), {
+    width: 64,
+    height: 48,
+    noise: true,
+  });
+});
+
+afterEach(async () => {
+  await cleanup(home);
+});
+
+test("groups near-duplicates and keeps the largest copy", async () => {
+  const result = await runCli(["--json", "dupes", photos], { home });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json.groups.length, 1);
+  assert.equal(result.json.groups[0].keep.file, "a.jpg");
+  assert.deepEqual(
+    result.json.groups[0].duplicates.map((image) => image.file),
+    ["b.jpg"]
+  );
+});
+
+test("--move never replaces a file already in the folder", async () => {
+  await fs.outputFile(path.join(moved, "b.jpg"), "existing");
+
+  const result = await runCli(["dupes", photos, "--move", moved], { home });
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(
+    await fs.readFile(path.join(moved, "b.jpg"), "utf8"),
+    "existing"
+  );
+  assert.ok(await fs.pathExists(path.join(moved, "b_1.jpg")));
+  assert.ok(!(await fs.pathExists(path.join(photos, "b.jpg"))));
+  assert.ok(await fs.pathExists(path.join(photos, "a.jpg")));
+});
+
+test("--move with --on-conflict skip leaves the duplicate in place", async () => {
+  await fs.outputFile(path.join(moved, "b.jpg"), "existing");
+
+  const result = await runCli(
+    ["--on-conflict", "skip", "dupes", photos, "--move", moved],
+    { home }
+  );
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(
+    await fs.readFile(path.join(moved, "b.jpg"), "utf8"),
+    "existing"
+  );
+  assert.ok(await fs.pathExists(path.join(photos, "b.jpg")));
+});
+
+test("an unreadable file sets the exit code of its error", async () => {
+  await fs.writeFile(path.join(photos, "broken.jpg"), "not an image");
+
+  const result = await runCli(["--json", "dupes", photos], { home });
+
+  assert.equal(result.code, 5, result.stdout);
+  assert.equal(result.json.groups.length, 1);
+});
@@ -0,0 +1,57 @@
+// test/errors.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { makeTempDir, cleanup, runCli } from "./helpers.js";
+
+let home;
+
+before(async () => {
+  home = await makeTempDir();
+  await fs.writeFile(path.join(home, "broken.jpg"), "not really a jpeg");
+  await fs.writeFile(
+    path.join(home, "broken.dat"),
+    Buffer.concat([
+      Buffer.from("89504e470d0a1a0a", "hex"),
+      Buffer.from("garbage"),
+    ])
+  );
+  await fs.writeFile(path.join(home, "notes.txt"), "just some notes");
+});
+
+after(async () => {
+  await cleanup(home);
+});
+
+async function runInfo(file) {
+  return runCli(["--json", "info", file], { home });
+}
+
+test("a missing input exits with INPUT_NOT_FOUND", async () => {
+  const result = await runInfo("missing.jpg");
+
+  assert.equal(result.code, 3);
+  assert.equal(result.json.error.code, "INPUT_NOT_FOUND");
+});
+
+test("a corrupt file with an image extension exits with DECODE_FAILED", async () => {
+  const result = await runInfo("broken.jpg");
+
+  assert.equal(result.code, 5);
+  assert.equal(result.json.error.code, "DECODE_FAILED");
+});
+
+test("a corrupt file with an image signature exits with DECODE_FAILED", async () => {
+  const result = await runInfo("broken.dat");
+
+  assert.equal(result.code, 5);
+  assert.equal(result.json.error.code, "DECODE_FAILED");
+});
+
+test("a file that isn't an image exits with UNSUPPORTED_FORMAT", async () => {
+  const result = await runInfo("notes.txt");
+
+  assert.equal(result.code, 4);
+  assert.equal(result.json.error.code, "UNSUPPORTED_FORMAT");
+});
@@ -0,0 +1,84 @@
+// test/exif.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { readExifTags, getCaptureDate } from "../utils/exif.js";
+
+async function exifOf(tags) {
+  const buffer = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#ffffff" },
+  })
+    .jpeg()
+    .withExif(tags)
+    .toBuffer();
+
+  return (await sharp(buffer).metadata()).exif;
+}
+
+// A big-endian TIFF block with one IFD0 entry whose ASCII value fits in
+// the entry itself
+function bigEndianTiff(tag, value) {
+  const tiff = Buffer.alloc(26);
+  tiff.write("MM", 0, "latin1");
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(tag, 10);
+  tiff.writeUInt16BE(2, 12);
+  tiff.writeUInt32BE(value.length + 1, 14);
+  tiff.write(value, 18, "latin1");
+  return tiff;
+}
+
+test("reads camera and date tags from IFD0 and the Exif sub-IFD", async () => {
+  const tags = readExifTags(
+    await exifOf({
+      IFD0: {
+        Make: "Canon",
+        Model: "EOS R5",
+        DateTime: "2024:01:02 03:04:05",
+      },
+      IFD2: { DateTimeOriginal: "2023:07:14 18:30:00" },
+    })
+  );
+
+  assert.deepEqual(tags, {
+    make: "Canon",
+    model: "EOS R5",
+    dateTime: "2024:01:02 03:04:05",
+    dateTimeOriginal: "2023:07:14 18:30:00",
+  });
+});
+
+test("reads big-endian values stored inside the entry", () => {
+  assert.deepEqual(readExifTags(bigEndianTiff(0x010f, "LG")), { make: "LG" });
+});
+
+test("malformed or truncated EXIF reads as no tags", () => {
+  assert.deepEqual(readExifTags(null), {});
+  assert.deepEqual(readExifTags(Buffer.from("Exif\0\0XXgarbage")), {});
+  assert.deepEqual(
+    readExifTags(bigEndianTiff(0x010f, "LG").subarray(0, 12)),
+    {}
+  );
+});
+
+test("the capture date prefers DateTimeOriginal over DateTime", async () => {
+  const { date, source } = await getCaptureDate({
+    exif: await exifOf({
+      IFD0: { DateTime: "2024:01:02 03:04:05" },
+      IFD2: { DateTimeOriginal: "2023:07:14 18:30:00" },
+    }),
+  });
+
+  assert.equal(source, "exif");
+  assert.deepEqual(date, new Date(2023, 6, 14, 18, 30, 0));
+});
+
+test("without EXIF dates the capture date falls back to now", async () => {
+  const { source } = await getCaptureDate({
+    exif: await exifOf({ IFD0: { DateTime: "0000:00:00 00:00:00" } }),
+  });
+
+  assert.equal(source, "now");
+});
@@ -0,0 +1,71 @@
+// test/helpers.js
+import { execFile } from "child_process";
+import { fileURLToPath } from "url";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+
+const cliPath = fileURLToPath(new URL("../index.js", import.meta.url));
+
+// A fresh folder under the system temp dir, removed again by cleanup()
+export async function makeTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "pixpress-test-"));
+}
+
+export async function cleanup(dir) {
+  await fs.remove(dir);
+}
+
+// Write a solid-color test image, or random noise with `noise: true`; the
+// format comes from the extension
+export async function makeImage(
+  filePath,
+  { width = 64, height = 48, color = "#3366cc", noise = false } = {}
+) {
+  await fs.ensureDir(path.dirname(filePath));
+  await sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: color,
+      ...(noise && { noise: { type: "gaussian", mean: 128, sigma: 40 } }),
+    },
+  }).toFile(filePath);
+  return filePath;
+}
+
+// Run the CLI with `home` as the home folder, so the user's config and
+// Pictures folder are never touched. Resolves with the exit code and
+// output; `json` is the parsed stdout when --json was passed.
+export function runCli(args, { cwd, home, env = {} } = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [cliPath, "--no-banner", ...args],
+      {
+        cwd: cwd || home,
+        env: { ...process.env, HOME: home, USERPROFILE: home, ...env },
+        timeout: 60000,
+      },
+      (error, stdout, stderr) => {
+        let json = null;
+        if (args.includes("--json")) {
+          try {
+            json = JSON.parse(stdout);
+          } catch {
+            // Left null so the assertion shows the raw output
+          }
+        }
+
+        resolve({
+          code: error ? error.code ?? 1 : 0,
+          stdout,
+          stderr,
+          json,
+        });
+      }
+    );
+  });
+}
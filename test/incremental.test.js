@@ -0,0 +1,98 @@
+// test/incremental.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import {
+  openBuildCache,
+  getCachePath,
+  hashFile,
+} from "../utils/incremental.js";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+
+beforeEach(async () => {
+  home = await makeTempDir();
+});
+
+afterEach(async () => {
+  await cleanup(home);
+});
+
+test("the build cache matches on content and options and survives a save", async () => {
+  const output = path.join(home, "a_out.jpg");
+  await fs.writeFile(output, "built");
+
+  const cache = await openBuildCache(home);
+  cache.set("a.jpg", { input: "a.jpg", hash: "c1", optionsHash: "o1", output });
+  await cache.save();
+
+  const reopened = await openBuildCache(home);
+  assert.equal((await reopened.lookup("a.jpg", "c1", "o1")).output, output);
+  assert.equal(await reopened.lookup("a.jpg", "c2", "o1"), null);
+  assert.equal(await reopened.lookup("a.jpg", "c1", "o2"), null);
+
+  await fs.remove(output);
+  assert.equal(await reopened.lookup("a.jpg", "c1", "o1"), null);
+});
+
+test("a corrupt cache is treated as empty", async () => {
+  await fs.writeFile(getCachePath(home), "{ not json");
+
+  const cache = await openBuildCache(home);
+
+  assert.equal(await cache.lookup("a.jpg", "c1", "o1"), null);
+});
+
+test("hashFile hashes the file contents", async () => {
+  const file = path.join(home, "a.txt");
+  await fs.writeFile(file, "abc");
+
+  assert.equal(
+    await hashFile(file),
+    "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+  );
+});
+
+test("batch --incremental only rebuilds changed files and prunes removed ones", async () => {
+  const input = path.join(home, "in");
+  await makeImage(path.join(input, "a.jpg"));
+  await makeImage(path.join(input, "b.png"));
+  const output = path.join(home, "out");
+  const batch = (...args) =>
+    runCli(
+      [
+        "--json",
+        "batch",
+        "resize",
+        input,
+        "-o",
+        output,
+        "-w",
+        "10",
+        "--incremental",
+        ...args,
+      ],
+      { home }
+    );
+
+  const first = await batch();
+  assert.equal(first.json.successful, 2, first.stdout);
+
+  const again = await batch();
+  assert.equal(again.json.unchanged, 2, again.stdout);
+  assert.equal(again.json.successful, 0);
+
+  await makeImage(path.join(input, "a.jpg"), { color: "#ff0000" });
+  const edited = await batch();
+  assert.equal(edited.json.unchanged, 1, edited.stdout);
+  assert.equal(edited.json.successful, 1);
+
+  const builtB = path.join(output, "b_resized.png");
+  assert.ok(await fs.pathExists(builtB));
+  await fs.remove(path.join(input, "b.png"));
+  const pruned = await batch("--prune");
+  assert.deepEqual(pruned.json.pruned, [builtB], pruned.stdout);
+  assert.ok(!(await fs.pathExists(builtB)));
+});
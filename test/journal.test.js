@@ -0,0 +1,128 @@
+// test/journal.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { openJournal, getJournalPath, hashOptions } from "../utils/journal.js";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+
+beforeEach(async () => {
+  home = await makeTempDir();
+});
+
+afterEach(async () => {
+  await cleanup(home);
+});
+
+test("a resumed journal knows the files an earlier run finished", async () => {
+  const output = path.join(home, "a_out.jpg");
+  await fs.writeFile(output, "done");
+  const stats = { mtimeMs: 1000, size: 10 };
+
+  const first = await openJournal(home);
+  await first.record({
+    input: "a.jpg",
+    mtime: 1000,
+    size: 10,
+    optionsHash: "h1",
+    output,
+  });
+  await first.flush();
+  // A line cut off by a crash
+  await fs.appendFile(getJournalPath(home), '{"input":"b.jpg","mti');
+
+  const resumed = await openJournal(home, { resume: true });
+
+  assert.equal(resumed.previousEntries, 1);
+  assert.equal(await resumed.isDone("a.jpg", stats, "h1"), true);
+  assert.equal(await resumed.isDone("b.jpg", stats, "h1"), false);
+  // Different options, a changed input or a deleted output mean redo
+  assert.equal(await resumed.isDone("a.jpg", stats, "h2"), false);
+  assert.equal(
+    await resumed.isDone("a.jpg", { mtimeMs: 2000, size: 10 }, "h1"),
+    false
+  );
+  await fs.remove(output);
+  assert.equal(await resumed.isDone("a.jpg", stats, "h1"), false);
+});
+
+test("a journal opened without resume starts over", async () => {
+  const first = await openJournal(home);
+  await first.record({
+    input: "a.jpg",
+    mtime: 1,
+    size: 1,
+    optionsHash: "h",
+    output: "x",
+  });
+  await first.flush();
+
+  const fresh = await openJournal(home);
+
+  assert.equal(fresh.previousEntries, 0);
+  assert.equal(await fs.readFile(getJournalPath(home), "utf8"), "");
+});
+
+test("the options hash depends on the operation and its options", () => {
+  const base = hashOptions("resize", { width: 100 });
+
+  assert.equal(base, hashOptions("resize", { width: 100, height: undefined }));
+  assert.notEqual(base, hashOptions("resize", { width: 200 }));
+  assert.notEqual(base, hashOptions("convert", { width: 100 }));
+});
+
+test("flags that only change how a batch runs don't change the hash", () => {
+  const base = hashOptions("resize", { width: 100 });
+
+  assert.equal(
+    base,
+    hashOptions("resize", {
+      width: 100,
+      verbose: true,
+      dryRun: false,
+      recursive: true,
+      include: "*.jpg",
+      exclude: "*.png",
+      concurrency: "2",
+      failFast: true,
+      maxErrors: "3",
+      resume: true,
+      incremental: true,
+      prune: true,
+      manifest: "files.csv",
+      report: "report.csv",
+      outputArchive: "outputs.zip",
+    })
+  );
+});
+
+test("batch --resume skips files finished with the same settings", async () => {
+  const input = path.join(home, "in");
+  await makeImage(path.join(input, "a.jpg"));
+  await makeImage(path.join(input, "b.png"));
+  const batch = (...args) =>
+    runCli(["--json", "batch", "resize", input, "-o", "out", ...args], {
+      home,
+    });
+
+  const first = await batch("-w", "10");
+  assert.equal(first.json.successful, 2, first.stdout);
+
+  // Simulate a run interrupted after the first file
+  const journalPath = getJournalPath(path.join(home, "out"));
+  const [firstLine] = (await fs.readFile(journalPath, "utf8")).split("\n");
+  await fs.writeFile(journalPath, `${firstLine}\n`);
+
+  const resumed = await batch("-w", "10", "--resume");
+  assert.equal(resumed.json.resumed, 1, resumed.stdout);
+  assert.equal(resumed.json.successful, 1);
+
+  const reported = await batch("-w", "10", "--resume", "--report", "r.json");
+  assert.equal(reported.json.resumed, 2, reported.stdout);
+
+  const changed = await batch("-w", "20", "--resume");
+  assert.equal(changed.json.resumed, 0, changed.stdout);
+  assert.equal(changed.json.successful, 2);
+});
@@ -0,0 +1,140 @@
+// test/manifest.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { readManifest } from "../utils/manifest.js";
+import { InputNotFoundError, InvalidOptionError } from "../utils/errors.js";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let dir;
+
+before(async () => {
+  dir = await makeTempDir();
+});
+
+after(async () => {
+  await cleanup(dir);
+});
+
+async function writeManifest(name, contents) {
+  const manifestPath = path.join(dir, name);
+  await fs.writeFile(manifestPath, contents);
+  return manifestPath;
+}
+
+test("CSV columns become camelCase options with typed cells", async () => {
+  const manifestPath = await writeManifest(
+    "jobs.csv",
+    [
+      "input,operation,output,flip-h,quality,text,watermark",
+      'photos/a.jpg,rotate,a-flipped.jpg,true,,"",',
+      'b.jpg,meme,,false,75,"Top, line|Bottom ""quoted""",logo.png',
+      "",
+    ].join("\r\n")
+  );
+
+  const [first, second] = await readManifest(manifestPath);
+
+  assert.deepEqual(first, {
+    row: 1,
+    input: "photos/a.jpg",
+    inputPath: path.join(dir, "photos/a.jpg"),
+    operation: "rotate",
+    output: "a-flipped.jpg",
+    options: { flipH: true },
+  });
+  assert.deepEqual(second.options, {
+    flipH: false,
+    quality: "75",
+    text: ["Top, line", 'Bottom "quoted"'],
+    watermark: path.join(dir, "logo.png"),
+  });
+});
+
+test("a quoted CSV field can span lines", async () => {
+  const manifestPath = await writeManifest(
+    "multiline.csv",
+    'input,operation,text\na.jpg,meme,"first\nsecond"\n'
+  );
+
+  const [job] = await readManifest(manifestPath);
+
+  assert.deepEqual(job.options.text, ["first\nsecond"]);
+});
+
+test("YAML jobs can nest options and use recipe files", async () => {
+  const manifestPath = await writeManifest(
+    "jobs.yml",
+    [
+      "- input: a.jpg",
+      "  operation: resize",
+      "  options:",
+      "    width: 100",
+      "    no_enlarge: true",
+      "- input: b.jpg",
+      "  operation: recipe:recipes/web.yml",
+      "  quality: null",
+    ].join("\n")
+  );
+
+  const [first, second] = await readManifest(manifestPath);
+
+  assert.deepEqual(first.options, { width: 100, noEnlarge: true });
+  assert.equal(second.operation, `recipe:${path.join(dir, "recipes/web.yml")}`);
+  assert.deepEqual(second.options, {});
+});
+
+test("bad manifests are rejected with typed errors", async () => {
+  await assert.rejects(
+    readManifest(path.join(dir, "jobs.txt")),
+    InvalidOptionError
+  );
+  await assert.rejects(
+    readManifest(path.join(dir, "missing.csv")),
+    InputNotFoundError
+  );
+  await assert.rejects(
+    readManifest(await writeManifest("object.json", '{"input": "a.jpg"}')),
+    /expected a list of jobs/
+  );
+  await assert.rejects(
+    readManifest(await writeManifest("broken.json", "[{")),
+    /could not parse manifest/
+  );
+});
+
+test("batch --manifest runs each row with its own operation", async () => {
+  const home = await makeTempDir();
+  try {
+    await makeImage(path.join(home, "a.jpg"), { width: 40, height: 30 });
+    await makeImage(path.join(home, "b.png"), { width: 40, height: 30 });
+    await fs.writeFile(
+      path.join(home, "jobs.csv"),
+      "input,operation,width,format\na.jpg,resize,20,\nb.png,convert,,webp\n"
+    );
+
+    const result = await runCli(
+      [
+        "--json",
+        "batch",
+        "--manifest",
+        "jobs.csv",
+        "-o",
+        path.join(home, "out"),
+      ],
+      { home }
+    );
+
+    assert.equal(result.json?.successful, 2, result.stdout + result.stderr);
+    const outputs = result.json.files.map((file) => path.extname(file.output));
+    assert.deepEqual(outputs.sort(), [".jpg", ".webp"]);
+    assert.equal(
+      result.json.files.find((file) => file.input === "a.jpg")?.outputDimensions
+        .width,
+      20
+    );
+  } finally {
+    await cleanup(home);
+  }
+});
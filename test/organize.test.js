@@ -0,0 +1,169 @@
+// test/organize.test.js
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import sharp from "sharp";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+let folder;
+
+beforeEach(async () => {
+  home = await makeTempDir();
+  folder = path.join(home, "export");
+  // Two different photos with the same name in different subfolders
+  await makeImage(path.join(folder, "x", "p.jpg"), { color: "#ff0000" });
+  await makeImage(path.join(folder, "y", "p.jpg"), { color: "#0000ff" });
+});
+
+afterEach(async () => {
+  await cleanup(home);
+});
+
+async function colorOf(file) {
+  const { channels } = await sharp(file).stats();
+  return channels[0].mean > channels[2].mean ? "red" : "blue";
+}
+
+test("moving same-named photos from subfolders keeps both", async () => {
+  const result = await runCli(
+    ["--json", "organize", folder, "--by", "format", "-r"],
+    { home }
+  );
+
+  assert.equal(result.json?.organized, 2, result.stdout + result.stderr);
+  const sorted = path.join(folder, "jpg");
+  assert.deepEqual((await fs.readdir(sorted)).sort(), ["p.jpg", "p_1.jpg"]);
+  assert.deepEqual(
+    [
+      await colorOf(path.join(sorted, "p.jpg")),
+      await colorOf(path.join(sorted, "p_1.jpg")),
+    ].sort(),
+    ["blue", "red"]
+  );
+});
+
+test("copying same-named photos keeps both copies and the originals", async () => {
+  const library = path.join(home, "library");
+
+  const result = await runCli(
+    [
+      "--json",
+      "organize",
+      folder,
+      "--by",
+      "format",
+      "-r",
+      "--copy",
+      "-o",
+      library,
+    ],
+    { home }
+  );
+
+  assert.equal(result.json?.organized, 2, result.stdout + result.stderr);
+  assert.deepEqual((await fs.readdir(path.join(library, "jpg"))).sort(), [
+    "p.jpg",
+    "p_1.jpg",
+  ]);
+  assert.ok(await fs.pathExists(path.join(folder, "x", "p.jpg")));
+  assert.ok(await fs.pathExists(path.join(folder, "y", "p.jpg")));
+});
+
+test("--on-conflict fail leaves the second photo where it was", async () => {
+  const result = await runCli(
+    [
+      "--json",
+      "--on-conflict",
+      "fail",
+      "organize",
+      folder,
+      "--by",
+      "format",
+      "-r",
+    ],
+    { home }
+  );
+
+  assert.equal(result.json?.organized, 1, result.stdout + result.stderr);
+  assert.equal(result.json.failed, 1);
+  assert.equal(result.code, 7);
+  assert.deepEqual(await fs.readdir(path.join(folder, "jpg")), ["p.jpg"]);
+});
+
+test("--dry-run shows the renames the real run makes", async () => {
+  const sorted = path.join(folder, "jpg");
+  const args = ["--json", "organize", folder, "--by", "format", "-r"];
+
+  const preview = await runCli([...args, "--dry-run"], { home });
+
+  assert.ok(!(await fs.pathExists(sorted)));
+  const planned = preview.json.files.map(({ output, status }) => [
+    path.relative(folder, output),
+    status,
+  ]);
+  assert.deepEqual(planned, [
+    [path.join("jpg", "p.jpg"), "pending"],
+    [path.join("jpg", "p_1.jpg"), "pending"],
+  ]);
+
+  const result = await runCli(args, { home });
+  assert.deepEqual(
+    result.json.files.map(({ output }) => path.relative(folder, output)),
+    planned.map(([output]) => output)
+  );
+});
+
+test("--dry-run shows files the conflict policy would skip", async () => {
+  const preview = await runCli(
+    [
+      "--json",
+      "--on-conflict",
+      "skip",
+      "organize",
+      folder,
+      "--by",
+      "format",
+      "-r",
+      "--dry-run",
+    ],
+    { home }
+  );
+
+  assert.deepEqual(
+    preview.json.files.map(({ status }) => status),
+    ["pending", "skipped"]
+  );
+
+  const text = await runCli(
+    [
+      "--on-conflict",
+      "skip",
+      "organize",
+      folder,
+      "--by",
+      "format",
+      "-r",
+      "--dry-run",
+    ],
+    { home }
+  );
+  assert.match(text.stdout, /skipped, jpg[\\/]p\.jpg exists/);
+});
+
+test("photos are sorted by their EXIF capture date", async () => {
+  const dated = path.join(home, "dated");
+  await fs.ensureDir(dated);
+  await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#ffffff" },
+  })
+    .jpeg()
+    .withExif({ IFD2: { DateTimeOriginal: "2023:07:14 18:30:00" } })
+    .toFile(path.join(dated, "shot.jpg"));
+
+  const result = await runCli(["--json", "organize", dated], { home });
+
+  assert.equal(result.json?.organized, 1, result.stdout + result.stderr);
+  assert.ok(await fs.pathExists(path.join(dated, "2023", "07", "shot.jpg")));
+});
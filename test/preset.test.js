@@ -0,0 +1,58 @@
+// test/preset.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+
+before(async () => {
+  home = await makeTempDir();
+  await makeImage(path.join(home, "photo.jpg"), {
+    width: 200,
+    height: 150,
+    noise: true,
+  });
+  // A custom preset without its own quality
+  await fs.writeJson(path.join(home, ".pixpressrc"), {
+    presets: { small: { width: 100, height: 75, format: "jpg" } },
+  });
+});
+
+after(async () => {
+  await cleanup(home);
+});
+
+async function runPreset(name, env) {
+  const output = path.join(home, name);
+  const result = await runCli(
+    ["preset", "photo.jpg", "-p", "small", "-o", output],
+    { home, env }
+  );
+  assert.equal(result.code, 0, result.stderr);
+  return (await fs.stat(output)).size;
+}
+
+test("a preset without quality uses the configured format default", async () => {
+  const configured = await runPreset("low.jpg", {
+    PIXPRESS_QUALITY_JPEG: "10",
+  });
+  const fallback = await runPreset("default.jpg");
+
+  assert.ok(
+    configured < fallback,
+    `quality.jpeg=10 gave ${configured} bytes, default gave ${fallback}`
+  );
+});
+
+test("--show reports the quality the preset will be encoded with", async () => {
+  const configured = await runCli(["preset", "--show", "small"], {
+    home,
+    env: { PIXPRESS_QUALITY_JPEG: "10" },
+  });
+  assert.match(configured.stdout, /Quality: 10\b/);
+
+  const fallback = await runCli(["preset", "--show", "small"], { home });
+  assert.match(fallback.stdout, /Quality: 80\b/);
+});
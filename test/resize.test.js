@@ -0,0 +1,73 @@
+// test/resize.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { resize, InvalidOptionError } from "../api.js";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+let photo;
+
+before(async () => {
+  home = await makeTempDir();
+  photo = await makeImage(path.join(home, "photo.jpg"), {
+    width: 80,
+    height: 60,
+  });
+});
+
+after(async () => {
+  await cleanup(home);
+});
+
+test("relative modes size the image from its own dimensions", async () => {
+  const half = await resize(photo, { scale: 0.5 });
+  assert.deepEqual([half.info.width, half.info.height], [40, 30]);
+
+  const edge = await resize(photo, { longEdge: 20 });
+  assert.deepEqual([edge.info.width, edge.info.height], [20, 15]);
+});
+
+test("non-numeric and zero sizes are invalid options", async () => {
+  for (const options of [
+    { width: "abc" },
+    { width: "0" },
+    { height: 0 },
+    { width: 10, height: "1.5" },
+    { scale: "x" },
+  ]) {
+    await assert.rejects(resize(photo, options), InvalidOptionError);
+  }
+});
+
+test("resize -w abc exits with INVALID_OPTION", async () => {
+  for (const width of ["abc", "0"]) {
+    const result = await runCli(
+      ["--json", "resize", "photo.jpg", "-w", width],
+      { home }
+    );
+
+    assert.equal(result.code, 2, result.stdout);
+    assert.equal(result.json.error.code, "INVALID_OPTION");
+    assert.match(result.json.error.message, /--width/);
+  }
+});
+
+test("batch resize rejects a non-numeric height before processing", async () => {
+  const result = await runCli(
+    [
+      "--json",
+      "batch",
+      "resize",
+      home,
+      "-h",
+      "tall",
+      "-o",
+      path.join(home, "out"),
+    ],
+    { home }
+  );
+
+  assert.equal(result.code, 2, result.stdout);
+  assert.match(result.json.error.message, /--height/);
+});
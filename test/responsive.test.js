@@ -0,0 +1,78 @@
+// test/responsive.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { makeTempDir, cleanup, makeImage, runCli } from "./helpers.js";
+
+let home;
+
+before(async () => {
+  home = await makeTempDir();
+  await makeImage(path.join(home, "hero.jpg"), { width: 200, height: 100 });
+});
+
+after(async () => {
+  await cleanup(home);
+});
+
+test("writes each width and format with markup and a manifest", async () => {
+  const output = path.join(home, "web");
+  const result = await runCli(
+    [
+      "--json",
+      "responsive",
+      "hero.jpg",
+      "--widths",
+      "50,100",
+      "--formats",
+      "webp,jpg",
+      "-o",
+      output,
+    ],
+    { home }
+  );
+
+  assert.equal(result.code, 0, result.stdout + result.stderr);
+  assert.deepEqual((await fs.readdir(output)).sort(), [
+    "hero-100.jpg",
+    "hero-100.webp",
+    "hero-50.jpg",
+    "hero-50.webp",
+    "hero.html",
+    "hero.json",
+  ]);
+  assert.match(
+    result.json.markup,
+    /srcset="hero-50.webp 50w, hero-100.webp 100w"/
+  );
+});
+
+test("--in-place is rejected", async () => {
+  const result = await runCli(
+    ["--json", "--in-place", "responsive", "hero.jpg"],
+    {
+      home,
+    }
+  );
+
+  assert.equal(result.code, 2);
+  assert.equal(result.json.error.code, "INVALID_OPTION");
+  assert.ok(
+    !(await fs.pathExists(
+      path.join(home, "Pictures", "Pixpress", "responsive", "hero")
+    ))
+  );
+});
+
+test("--name is rejected", async () => {
+  const result = await runCli(
+    ["responsive", "hero.jpg", "--name", "{name}-x"],
+    {
+      home,
+    }
+  );
+
+  assert.equal(result.code, 2);
+  assert.match(result.stderr, /--name/);
+});
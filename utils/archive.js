@@ -0,0 +1,136 @@
+// utils/archive.js
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+import { promisify } from "util";
+import { pipeline } from "stream/promises";
+import yauzl from "yauzl";
+import yazl from "yazl";
+import {
+  PixpressError,
+  InputError,
+  InputNotFoundError,
+  InvalidOptionError,
+  WriteFailedError,
+} from "./errors.js";
+
+export function isZipPath(filePath) {
+  return (
+    typeof filePath === "string" &&
+    path.extname(filePath).toLowerCase() === ".zip"
+  );
+}
+
+export function validateArchivePath(archivePath) {
+  if (!isZipPath(archivePath)) {
+    throw new InvalidOptionError(
+      `--output-archive must be a .zip file, got: ${archivePath}`
+    );
+  }
+
+  return archivePath;
+}
+
+function unreadableArchive(zipPath, error) {
+  return new InputError(`Could not read ${zipPath}: ${error.message}`, {
+    cause: error,
+    hint: "Check that the file is a complete zip archive.",
+  });
+}
+
+// Extract the entries of a zip archive that `accept` wants, by their path
+// inside the archive, into a new temporary folder. Entries are streamed to
+// disk one at a time. The folder is removed by cleanup(), or when the
+// process exits if cleanup() is never reached.
+export async function extractZip(zipPath, accept = () => true) {
+  if (!(await fs.pathExists(zipPath))) {
+    throw new InputNotFoundError(`Archive not found: ${zipPath}`);
+  }
+
+  let zipFile;
+  try {
+    // yauzl rejects entry names that would escape the folder
+    zipFile = await promisify(yauzl.open)(zipPath, { lazyEntries: true });
+  } catch (error) {
+    throw unreadableArchive(zipPath, error);
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pixpress-zip-"));
+  const removeOnExit = () => fs.removeSync(dir);
+  process.on("exit", removeOnExit);
+
+  const cleanup = async () => {
+    process.removeListener("exit", removeOnExit);
+    await fs.remove(dir);
+  };
+
+  const openReadStream = promisify(zipFile.openReadStream.bind(zipFile));
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on("error", reject);
+      zipFile.on("end", resolve);
+      zipFile.on("entry", async (entry) => {
+        try {
+          const name = entry.fileName;
+
+          // Skip folders and the resource forks macOS adds to archives
+          if (
+            !name.endsWith("/") &&
+            !name.startsWith("__MACOSX/") &&
+            accept(name)
+          ) {
+            const target = path.join(dir, ...name.split("/"));
+            await fs.ensureDir(path.dirname(target));
+            await pipeline(
+              await openReadStream(entry),
+              fs.createWriteStream(target)
+            );
+
+            // Keep the dates so --resume sees unchanged files as unchanged
+            const modified = entry.getLastModDate();
+            await fs.utimes(target, modified, modified);
+          }
+
+          zipFile.readEntry();
+        } catch (error) {
+          zipFile.close();
+          reject(error);
+        }
+      });
+      zipFile.readEntry();
+    });
+  } catch (error) {
+    await cleanup();
+    throw error instanceof PixpressError
+      ? error
+      : unreadableArchive(zipPath, error);
+  }
+
+  return { dir, cleanup };
+}
+
+// Write `files` into a zip archive, each `{ path, name }` stored under its
+// name. An existing archive is replaced.
+export async function writeZip(archivePath, files) {
+  const zipFile = new yazl.ZipFile();
+
+  for (const file of files) {
+    // Images are compressed already, so deflating them again saves little
+    zipFile.addFile(file.path, file.name.split(path.sep).join("/"), {
+      compress: false,
+    });
+  }
+  zipFile.end();
+
+  try {
+    await fs.ensureDir(path.dirname(path.resolve(archivePath)));
+    await pipeline(zipFile.outputStream, fs.createWriteStream(archivePath));
+  } catch (error) {
+    throw new WriteFailedError(`Could not write archive: ${archivePath}`, {
+      cause: error,
+    });
+  }
+
+  return archivePath;
+}
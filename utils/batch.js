@@ -1,17 +1,71 @@
 // utils/batch.js
 import fs from "fs-extra";
 import path from "path";
+import os from "os";
 import chalk from "chalk";
-import ora from "ora";
+import YAML from "yaml";
 import { minimatch } from "minimatch";
-import { resizeCommand } from "./resize.js";
-import { convertCommand } from "./convert.js";
-import { presetCommand } from "./preset.js";
-import { watermarkCommand } from "./watermark.js";
-import { rotateCommand } from "./rotate.js";
-import { infoCommand } from "./info.js";
-import { filtersCommand, getAvailableFilters } from "./filters.js";
-import { getSupportedFormats, formatFileSize, getOperationDirectory, getPixpressDirectory } from "./helpers.js";
+import {
+  resize,
+  describeCrop,
+  describeResize,
+  validateCropOptions,
+  validateResizeOptions,
+} from "./resize.js";
+import { convert } from "./convert.js";
+import { applyPreset, getPreset, getPresetExtension } from "./preset.js";
+import { watermark } from "./watermark.js";
+import { rotate } from "./rotate.js";
+import { crop, parseCropOptions, describeCropOptions } from "./crop.js";
+import { info, displayInfo } from "./info.js";
+import { applyFilter, getAvailableFilters } from "./filters.js";
+import { pipe } from "./pipe.js";
+import {
+  meme,
+  getAvailableMemeTemplates,
+  getAvailableTextStyles,
+} from "./meme.js";
+import { collage, getAvailableLayouts } from "./collage.js";
+import { getConfigValue } from "./config.js";
+import { loadRecipe, getRecipeFormat, getRecipeSuffix } from "./recipe.js";
+import { applyNameTemplate, validateNameTemplate } from "./naming.js";
+import { checkOptionValue } from "./schema.js";
+import { openJournal, hashOptions } from "./journal.js";
+import { openBuildCache, hashFile } from "./incremental.js";
+import { validateReportPath, writeBatchReport } from "./report.js";
+import { readManifest } from "./manifest.js";
+import {
+  isZipPath,
+  extractZip,
+  writeZip,
+  validateArchivePath,
+} from "./archive.js";
+import {
+  InputError,
+  InputNotFoundError,
+  OutputSkippedError,
+  InvalidOptionError,
+  UnsupportedFormatError,
+  toPixpressError,
+} from "./errors.js";
+import {
+  getSupportedFormats,
+  formatFileSize,
+  getOperationDirectory,
+  getPixpressDirectory,
+  extensionForFormat,
+  formatFromPath,
+  generateOutputPath,
+  resolveConflict,
+  isInPlace,
+  saveOutput,
+  handleError,
+  setFailureExitCode,
+  startSpinner,
+  startTimer,
+  isJsonOutput,
+  printJson,
+} from "./helpers.js";
 
 const supportedOperations = [
   "resize",
@@ -19,50 +73,92 @@ const supportedOperations = [
   "preset",
   "watermark",
   "rotate",
+  "crop",
   "info",
   "filters",
+  "recipe",
+  "meme",
+  "collage",
 ];
 
+// The core operation behind each batch operation. They return the
+// encoded image without printing or writing anything, and throw on
+// failure, so one bad file only fails that file.
+const batchOperations = {
+  resize: (input, options) => resize(input, options),
+  convert: (input, options) => convert(input, options),
+  filters: (input, options) => applyFilter(input, options),
+  preset: (input, options) => applyPreset(input, options),
+  rotate: (input, options) => rotate(input, options),
+  crop: (input, options) => crop(input, options),
+  watermark: (input, options) => watermark(input, options),
+  recipe: (input, options) =>
+    pipe(input, options.recipe.steps, { format: options.format }),
+  meme: (input, options) => meme(input, options),
+  // Collage inputs are the list of images in one group
+  collage: (input, options) => collage(input, options),
+};
+
 export async function batchCommand(operation, folder, options = {}) {
-  const spinner = ora("Scanning folder for images...").start();
+  const spinner = startSpinner("Scanning folder for images...");
+  const timer = startTimer();
 
   try {
-    // Validate operation
-    if (!supportedOperations.includes(operation)) {
-      throw new Error(
-        `Unsupported operation: ${operation}. Supported: ${supportedOperations.join(
-          ", "
-        )}`
-      );
-    }
+    let outputDir;
+    let imageFiles;
+    let inputArchive = null;
+
+    if (options.manifest) {
+      // The manifest lists the files, each with its own operation
+      ({ options, outputDir, folder, imageFiles } = await prepareManifestBatch(
+        operation,
+        folder,
+        options
+      ));
+      operation = "manifest";
+    } else {
+      if (!operation || !folder) {
+        throw new InvalidOptionError(
+          "Batch needs an operation and a folder, or --manifest <file>"
+        );
+      }
 
-    // Validate folder exists
-    if (!(await fs.pathExists(folder))) {
-      throw new Error(`Folder not found: ${folder}`);
-    }
+      ({ operation, options, outputDir } = await prepareBatch(
+        operation,
+        folder,
+        options
+      ));
+
+      // A zip archive is processed like the folder it would unpack to.
+      // The extracted copy is removed when the process exits.
+      if (isZipPath(folder) && (await fs.stat(folder)).isFile()) {
+        spinner.text = "Extracting archive...";
+        inputArchive = folder;
+        folder = (await extractBatchArchive(folder, options)).dir;
+      }
 
-    const folderStats = await fs.stat(folder);
-    if (!folderStats.isDirectory()) {
-      throw new Error(`Path is not a directory: ${folder}`);
+      // Find all image files (including HEIC/HEIF)
+      imageFiles = await findImageFiles(folder, options);
     }
 
-    // Validate operation-specific requirements
-    validateOperationOptions(operation, options);
-
-    // Set up output directory using cross-platform saving logic with batch as top-level folder
-    const pixpressDir = getPixpressDirectory();
-    const outputDir = options.output || path.join(pixpressDir, "batch", operation);
     if (!options.dryRun) {
       await fs.ensureDir(outputDir);
     }
 
-    // Find all image files (including HEIC/HEIF)
-    const imageFiles = await findImageFiles(folder, options);
-
     if (imageFiles.length === 0) {
       spinner.warn(
         chalk.yellow("No image files found in the specified folder")
       );
+      if (isJsonOutput()) {
+        printJson({
+          ok: true,
+          operation: "batch",
+          batchOperation: operation,
+          folder: inputArchive || folder,
+          outputDir,
+          files: [],
+        });
+      }
       return;
     }
 
@@ -75,62 +171,457 @@ export async function batchCommand(operation, folder, options = {}) {
 
     if (heicCount > 0) {
       spinner.text = `Found ${imageFiles.length} image(s) including ${heicCount} HEIC/HEIF file(s)`;
-      console.log(
-        chalk.cyan(
-          `📱 Found ${heicCount} HEIC/HEIF file(s) from iOS/macOS devices`
-        )
-      );
+      if (!isJsonOutput())
+        console.log(
+          chalk.cyan(
+            `📱 Found ${heicCount} HEIC/HEIF file(s) from iOS/macOS devices`
+          )
+        );
     } else {
       spinner.text = `Found ${imageFiles.length} image(s) to process`;
     }
 
+    // Collages are made per group of images rather than per file
+    if (operation === "collage") {
+      imageFiles = groupCollageImages(imageFiles, folder, options);
+      spinner.text = `Making ${imageFiles.length} collage(s)`;
+    }
+
     // Show dry run results
     if (options.dryRun) {
       spinner.info(chalk.cyan(`🔍 Dry run - showing what would be processed:`));
+      if (isJsonOutput()) {
+        printJson({
+          ok: true,
+          operation: "batch",
+          batchOperation: operation,
+          dryRun: true,
+          folder: inputArchive || folder,
+          outputDir,
+          files: imageFiles.map((file) =>
+            file.job
+              ? { input: file.relativePath, operation: file.job.operation }
+              : file.relativePath
+          ),
+        });
+        return;
+      }
       displayDryRunResults(imageFiles, operation, options, outputDir);
       return;
     }
 
     spinner.text = `Processing ${imageFiles.length} image(s)...`;
 
+    // Info writes nothing, so there is nothing to resume
+    const journal =
+      operation === "info"
+        ? null
+        : await openJournal(outputDir, { resume: options.resume });
+    const cache = options.incremental ? await openBuildCache(outputDir) : null;
+
     // Process images
     const results = await processBatch(
       imageFiles,
       operation,
       options,
       outputDir,
-      folder
+      folder,
+      spinner,
+      journal,
+      cache
     );
 
+    // Everything the batch produced, including outputs of earlier runs it
+    // didn't need to redo, keeping the folder structure of the output folder
+    if (options.outputArchive) {
+      spinner.text = "Writing archive...";
+      await writeZip(
+        options.outputArchive,
+        results.files
+          .filter(
+            (record) =>
+              record.output &&
+              ["ok", "skipped", "resumed", "unchanged"].includes(record.status)
+          )
+          .map((record) => {
+            const name = path.relative(outputDir, record.output);
+            return {
+              path: record.output,
+              name:
+                name.startsWith("..") || path.isAbsolute(name)
+                  ? path.basename(record.output)
+                  : name,
+            };
+          })
+      );
+    }
+
+    if (options.report) {
+      spinner.text = "Writing report...";
+      await writeBatchReport(
+        options.report,
+        {
+          operation,
+          folder: inputArchive || folder,
+          outputDir,
+          createdAt: new Date().toISOString(),
+          summary: {
+            successful: results.successful,
+            failed: results.failed,
+            skipped: results.skipped,
+            resumed: results.resumed,
+            unchanged: results.unchanged,
+            notProcessed: results.notProcessed,
+            inputSize: results.totalInputSize,
+            outputSize: results.totalOutputSize,
+          },
+          files: results.files,
+        },
+        folder
+      );
+    }
+
     // Show final results
-    displayBatchResults(spinner, results, operation, heicCount);
+    if (isJsonOutput()) {
+      spinner.stop();
+      printJson({
+        ok: results.failed === 0,
+        operation: "batch",
+        batchOperation: operation,
+        folder: inputArchive || folder,
+        outputDir,
+        successful: results.successful,
+        skipped: results.skipped,
+        failed: results.failed,
+        resumed: results.resumed,
+        unchanged: results.unchanged,
+        pruned: results.pruned,
+        notProcessed: results.notProcessed,
+        stopped: results.stopped,
+        interrupted: results.interrupted,
+        inputSize: results.totalInputSize,
+        outputSize: results.totalOutputSize,
+        files: results.files,
+        report: options.report || null,
+        archive: options.outputArchive || null,
+        timings: timer.timings(),
+      });
+    } else {
+      displayBatchResults(spinner, results, operation, heicCount, options);
+    }
+
+    // An interrupted batch exits like any program stopped with Ctrl+C
+    if (results.interrupted) {
+      process.exitCode = 130;
+    } else {
+      setFailureExitCode(results.errors);
+    }
   } catch (error) {
     spinner.fail(chalk.red("✗ Batch processing failed"));
-    console.error(chalk.red(`Error: ${error.message}`));
+    handleError(null, error);
+  }
+}
+
+// Check a batch's operation, folder and options, and work out where its
+// outputs go. Returns the operation and options in their normalized form:
+// recipe:<file> is loaded and numeric options are parsed.
+export async function prepareBatch(
+  operation,
+  folder,
+  options,
+  topLevelFolder = "batch"
+) {
+  ({ operation, options } = await prepareOperation(operation, options));
+
+  // Validate folder exists
+  if (!(await fs.pathExists(folder))) {
+    throw new InputNotFoundError(`Folder not found: ${folder}`);
+  }
 
-    if (process.env.DEBUG) {
-      console.error(chalk.dim("\nDebug info:"));
-      console.error(chalk.dim(error.stack));
+  const folderStats = await fs.stat(folder);
+  if (isZipPath(folder) && folderStats.isFile()) {
+    if (isInPlace()) {
+      throw new InvalidOptionError(
+        "--in-place can't write back into a zip archive; use --output-archive"
+      );
     }
+  } else if (!folderStats.isDirectory()) {
+    throw new InputError(`Path is not a directory or zip archive: ${folder}`);
+  }
+
+  options = prepareRunOptions(operation, options);
+
+  // Set up output directory using cross-platform saving logic with batch
+  // (or watch) as top-level folder. In-place batches write back into the
+  // folder.
+  const pixpressDir = getPixpressDirectory();
+  const outputDir = isInPlace()
+    ? folder
+    : options.output || path.join(pixpressDir, topLevelFolder, operation);
+
+  return { operation, options, outputDir };
+}
+
+// Options of a manifest row that only make sense for the whole batch
+const batchOnlyOptions = [
+  "recursive",
+  "include",
+  "exclude",
+  "concurrency",
+  "failFast",
+  "maxErrors",
+  "resume",
+  "incremental",
+  "prune",
+  "report",
+  "dryRun",
+  "verbose",
+  "manifest",
+  "inPlace",
+  "backup",
+  "json",
+];
 
-    process.exit(1);
+// Check every row of a --manifest before any work starts and turn the
+// rows into batch files that carry their own operation and options (the
+// command line's, overridden by the row's). Problems from all rows are
+// reported together. The operation given to batch is used by rows
+// without one.
+async function prepareManifestBatch(operation, folder, options) {
+  if (folder) {
+    throw new InvalidOptionError(
+      "--manifest lists the input files, so batch doesn't take a folder with it"
+    );
+  }
+
+  if (
+    operation &&
+    !operation.startsWith("recipe:") &&
+    !supportedOperations.includes(operation)
+  ) {
+    throw new InvalidOptionError(
+      `Unsupported operation: ${operation}. Supported: ${supportedOperations.join(
+        ", "
+      )}`
+    );
+  }
+
+  options = prepareRunOptions("manifest", options);
+
+  const rows = await readManifest(options.manifest);
+  if (rows.length === 0) {
+    throw new InvalidOptionError(`${options.manifest} has no jobs`);
+  }
+
+  const baseDir = path.dirname(path.resolve(options.manifest));
+  const outputDir = isInPlace()
+    ? baseDir
+    : options.output || path.join(getPixpressDirectory(), "batch", "manifest");
+  const supportedExtensions = getSupportedFormats().input.map(
+    (ext) => `.${ext}`
+  );
+
+  const problems = [];
+  const imageFiles = [];
+  const timesListed = new Map();
+
+  for (const row of rows) {
+    const problem = (message) => problems.push(`row ${row.row}: ${message}`);
+    const rowOperation = row.operation || operation;
+
+    if (!row.input) {
+      problem("no input");
+      continue;
+    }
+    if (!rowOperation) {
+      problem(
+        "no operation; add an operation column or pass one to pixpress batch"
+      );
+      continue;
+    }
+    if (rowOperation === "collage") {
+      problem("collage combines several images, so it can't be one row");
+      continue;
+    }
+
+    const batchOnly = Object.keys(row.options).filter((key) =>
+      batchOnlyOptions.includes(key)
+    );
+    if (batchOnly.length > 0) {
+      problem(`${batchOnly.join(", ")} applies to the whole batch`);
+      continue;
+    }
+    if (row.output && (isInPlace() || row.options.name || options.name)) {
+      problem("an output path can't be combined with --in-place or --name");
+      continue;
+    }
+
+    if (!(await fs.pathExists(row.inputPath))) {
+      problem(`input not found: ${row.input}`);
+      continue;
+    }
+    const ext = path.extname(row.inputPath).toLowerCase();
+    if (!supportedExtensions.includes(ext)) {
+      problem(`not a supported image: ${row.input}`);
+      continue;
+    }
+
+    let job;
+    try {
+      job = await prepareOperation(rowOperation, {
+        ...options,
+        ...row.options,
+      });
+    } catch (error) {
+      problem(error.message);
+      continue;
+    }
+
+    if (options.incremental && job.operation === "info") {
+      problem(
+        "info writes nothing, so it can't be part of an --incremental batch"
+      );
+      continue;
+    }
+
+    const relativePath = path.relative(baseDir, row.inputPath);
+    const listed = (timesListed.get(relativePath) || 0) + 1;
+    timesListed.set(relativePath, listed);
+
+    imageFiles.push({
+      path: row.inputPath,
+      name: path.basename(row.inputPath),
+      relativePath,
+      dir: path.dirname(row.inputPath),
+      isHeic: ext === ".heic" || ext === ".heif",
+      job: {
+        operation: job.operation,
+        options: job.options,
+        overrides: row.options,
+        ...(row.output && {
+          outputPath: path.resolve(outputDir, String(row.output)),
+        }),
+      },
+      // Journal and cache entries of a file listed again stay apart
+      ...(listed > 1 && { key: `${relativePath}#${listed}` }),
+    });
   }
+
+  if (problems.length > 0) {
+    throw new InvalidOptionError(
+      `${path.basename(options.manifest)} has ${
+        problems.length
+      } invalid row(s):\n  ${problems.join("\n  ")}`
+    );
+  }
+
+  return { options, outputDir, folder: baseDir, imageFiles };
+}
+
+// Load recipe:<file>, check the operation exists and validate the options
+// it needs
+async function prepareOperation(operation, options) {
+  // recipe:<file> runs every step of a recipe file on each image
+  if (operation.startsWith("recipe:")) {
+    options = {
+      ...options,
+      recipe: await loadRecipe(operation.slice("recipe:".length)),
+    };
+    operation = "recipe";
+  }
+
+  // Validate operation
+  if (!supportedOperations.includes(operation)) {
+    throw new InvalidOptionError(
+      `Unsupported operation: ${operation}. Supported: ${supportedOperations.join(
+        ", "
+      )}`
+    );
+  }
+
+  // Validate operation-specific requirements
+  await validateOperationOptions(operation, options);
+
+  if (operation === "meme" && options.textFile) {
+    options = {
+      ...options,
+      memeTexts: await loadMemeTexts(options.textFile),
+    };
+  }
+
+  if (options.name) {
+    validateNameTemplate(options.name);
+  }
+
+  return { operation, options };
+}
+
+// Options about how the whole batch runs rather than what each file becomes
+function prepareRunOptions(operation, options) {
+  if (options.concurrency !== undefined) {
+    const problem = checkOptionValue(options.concurrency, {
+      type: "integer",
+      min: 1,
+    });
+    if (problem) {
+      throw new InvalidOptionError(`--concurrency ${problem}`);
+    }
+    options = { ...options, concurrency: Number(options.concurrency) };
+  }
+
+  // --fail-fast is --max-errors 1
+  if (options.failFast) {
+    options = { ...options, maxErrors: 1 };
+  } else if (options.maxErrors !== undefined) {
+    const problem = checkOptionValue(options.maxErrors, {
+      type: "integer",
+      min: 1,
+    });
+    if (problem) {
+      throw new InvalidOptionError(`--max-errors ${problem}`);
+    }
+    options = { ...options, maxErrors: Number(options.maxErrors) };
+  }
+
+  if (options.report) {
+    validateReportPath(options.report);
+  }
+
+  if (options.prune && !options.incremental) {
+    throw new InvalidOptionError("--prune only works with --incremental");
+  }
+
+  if (options.incremental && (operation === "info" || isInPlace())) {
+    throw new InvalidOptionError(
+      "--incremental compares inputs with the outputs they produced, so it can't be used with info or --in-place"
+    );
+  }
+
+  if (options.outputArchive) {
+    validateArchivePath(options.outputArchive);
+    if (operation === "info" || isInPlace()) {
+      throw new InvalidOptionError(
+        "--output-archive packages the outputs, so it can't be used with info or --in-place"
+      );
+    }
+  }
+
+  return options;
 }
 
 async function validateOperationOptions(operation, options) {
   switch (operation) {
     case "resize":
-      if (!options.width && !options.height) {
-        throw new Error("Resize operation requires --width and/or --height");
-      }
+      validateResizeOptions(options);
+      validateCropOptions(options);
       break;
     case "convert":
       if (!options.format) {
-        throw new Error("Convert operation requires --format");
+        throw new InvalidOptionError("Convert operation requires --format");
       }
       const supportedFormats = getSupportedFormats().output;
       if (!supportedFormats.includes(options.format.toLowerCase())) {
-        throw new Error(
+        throw new UnsupportedFormatError(
           `Unsupported format: ${
             options.format
           }. Supported: ${supportedFormats.join(", ")}`
@@ -139,7 +630,7 @@ async function validateOperationOptions(operation, options) {
       break;
     case "filters":
       if (!options.filter) {
-        throw new Error("Filters operation requires --filter");
+        throw new InvalidOptionError("Filters operation requires --filter");
       }
       // Get all available filter names for validation
       const availableFilters = getAvailableFilters();
@@ -151,29 +642,17 @@ async function validateOperationOptions(operation, options) {
         });
       });
       if (!allFilterNames.includes(options.filter.toLowerCase())) {
-        throw new Error(
+        throw new InvalidOptionError(
           `Unknown filter: ${options.filter}. Use 'pixpress filters --list' to see available filters.`
         );
       }
       break;
     case "preset":
       if (!options.preset) {
-        throw new Error("Preset operation requires --preset");
-      }
-      const availablePresets = [
-        "thumbnail",
-        "avatar",
-        "banner",
-        "social",
-        "compress",
-      ];
-      if (!availablePresets.includes(options.preset.toLowerCase())) {
-        throw new Error(
-          `Unknown preset: ${
-            options.preset
-          }. Available: ${availablePresets.join(", ")}`
-        );
+        throw new InvalidOptionError("Preset operation requires --preset");
       }
+      // Throws with the list of available presets for unknown names
+      getPreset(options.preset);
       break;
     case "rotate":
       if (
@@ -183,35 +662,98 @@ async function validateOperationOptions(operation, options) {
         !options.flipV &&
         !options.vertical
       ) {
-        throw new Error(
+        throw new InvalidOptionError(
           "Rotate operation requires --angle, --flip-h, or --flip-v"
         );
       }
       if (options.angle) {
         const angle = parseInt(options.angle);
         if (angle < -360 || angle > 360) {
-          throw new Error(
+          throw new InvalidOptionError(
             "Rotation angle must be between -360 and 360 degrees"
           );
         }
       }
       break;
+    case "crop":
+      parseCropOptions(options);
+      break;
     case "watermark":
       if (!options.watermark) {
-        throw new Error("Watermark operation requires --watermark");
+        throw new InvalidOptionError(
+          "Watermark operation requires --watermark"
+        );
       }
       if (!(await fs.pathExists(options.watermark))) {
-        throw new Error(`Watermark file not found: ${options.watermark}`);
+        throw new InputNotFoundError(
+          `Watermark file not found: ${options.watermark}`
+        );
+      }
+      break;
+    case "meme": {
+      validateCropOptions(options);
+      if (!options.text && !options.textFile) {
+        throw new InvalidOptionError(
+          "Meme operation requires --text or --text-file"
+        );
+      }
+      const templates = getAvailableMemeTemplates();
+      if (options.template && !templates[options.template]) {
+        throw new InvalidOptionError(
+          `Unknown template: ${options.template}. Available: ${Object.keys(
+            templates
+          ).join(", ")}`
+        );
+      }
+      const styles = getAvailableTextStyles();
+      if (options.style && !styles[options.style]) {
+        throw new InvalidOptionError(
+          `Unknown text style: ${options.style}. Available: ${Object.keys(
+            styles
+          ).join(", ")}`
+        );
+      }
+      break;
+    }
+    case "collage": {
+      validateCropOptions(options);
+      const layouts = getAvailableLayouts();
+      if (!options.layout || !layouts[options.layout.toLowerCase()]) {
+        throw new InvalidOptionError(
+          `Collage operation requires --layout. Available: ${Object.keys(
+            layouts
+          ).join(", ")}`
+        );
+      }
+      if (options.groupSize !== undefined) {
+        const problem = checkOptionValue(options.groupSize, {
+          type: "integer",
+          min: 1,
+        });
+        if (problem) {
+          throw new InvalidOptionError(`--group-size ${problem}`);
+        }
+      }
+      // A collage comes from several files, so there is no single input
+      // to compare or replace
+      if (options.resume || options.incremental || isInPlace()) {
+        throw new InvalidOptionError(
+          "Batch collage can't be combined with --resume, --incremental or --in-place"
+        );
       }
       break;
+    }
     case "info":
-      // Info doesn't require additional options
+    case "recipe":
+      // Info doesn't require additional options and recipes are
+      // validated when they're loaded
       break;
   }
 }
 
-async function findImageFiles(folder, options) {
-  const files = [];
+// Whether a file, by its path relative to the batch folder, is an image
+// the --include and --exclude patterns let through
+export function createImageFilter(options) {
   const supportedExtensions = getSupportedFormats().input.map(
     (ext) => `.${ext}`
   );
@@ -226,6 +768,37 @@ async function findImageFiles(folder, options) {
     ? options.exclude.split(",").map((p) => p.trim())
     : [];
 
+  return (relativePath) => {
+    const name = path.basename(relativePath);
+    const ext = path.extname(name).toLowerCase();
+
+    // Check if file matches supported image extensions (including HEIC/HEIF)
+    if (!supportedExtensions.includes(ext)) {
+      return false;
+    }
+
+    // Check include patterns
+    const matchesInclude = includePatterns.some(
+      (pattern) =>
+        minimatch(name, pattern, { nocase: true }) ||
+        minimatch(relativePath, pattern, { nocase: true })
+    );
+
+    // Check exclude patterns
+    const matchesExclude = excludePatterns.some(
+      (pattern) =>
+        minimatch(name, pattern, { nocase: true }) ||
+        minimatch(relativePath, pattern, { nocase: true })
+    );
+
+    return matchesInclude && !matchesExclude;
+  };
+}
+
+export async function findImageFiles(folder, options) {
+  const files = [];
+  const isWanted = createImageFilter(options);
+
   async function scanDirectory(dir, currentDepth = 0) {
     const entries = await fs.readdir(dir, { withFileTypes: true });
 
@@ -237,35 +810,17 @@ async function findImageFiles(folder, options) {
           await scanDirectory(fullPath, currentDepth + 1);
         }
       } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-
-        // Check if file matches supported image extensions (including HEIC/HEIF)
-        if (supportedExtensions.includes(ext)) {
-          const relativePath = path.relative(folder, fullPath);
-
-          // Check include patterns
-          const matchesInclude = includePatterns.some(
-            (pattern) =>
-              minimatch(entry.name, pattern, { nocase: true }) ||
-              minimatch(relativePath, pattern, { nocase: true })
-          );
-
-          // Check exclude patterns
-          const matchesExclude = excludePatterns.some(
-            (pattern) =>
-              minimatch(entry.name, pattern, { nocase: true }) ||
-              minimatch(relativePath, pattern, { nocase: true })
-          );
-
-          if (matchesInclude && !matchesExclude) {
-            files.push({
-              path: fullPath,
-              name: entry.name,
-              relativePath: relativePath,
-              dir: path.dirname(fullPath),
-              isHeic: ext === ".heic" || ext === ".heif",
-            });
-          }
+        const relativePath = path.relative(folder, fullPath);
+
+        if (isWanted(relativePath)) {
+          const ext = path.extname(entry.name).toLowerCase();
+          files.push({
+            path: fullPath,
+            name: entry.name,
+            relativePath: relativePath,
+            dir: path.dirname(fullPath),
+            isHeic: ext === ".heic" || ext === ".heif",
+          });
         }
       }
     }
@@ -275,13 +830,132 @@ async function findImageFiles(folder, options) {
   return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
 }
 
+// Extract the images a batch would pick from a folder out of a zip archive
+async function extractBatchArchive(zipPath, options) {
+  const isWanted = createImageFilter(options);
+
+  return extractZip(
+    zipPath,
+    (name) =>
+      (options.recursive || !name.includes("/")) &&
+      isWanted(name.split("/").join(path.sep))
+  );
+}
+
+// Read a --text-file: a JSON or YAML map from file names (or paths
+// relative to the batch folder) to the meme text for that file
+async function loadMemeTexts(textFile) {
+  if (!(await fs.pathExists(textFile))) {
+    throw new InputNotFoundError(`Text file not found: ${textFile}`);
+  }
+
+  let data;
+  try {
+    data = YAML.parse(await fs.readFile(textFile, "utf8"));
+  } catch (error) {
+    throw new InvalidOptionError(
+      `${path.basename(textFile)}: could not parse text file: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  const isText = (value) =>
+    typeof value === "string" ||
+    (Array.isArray(value) && value.every((line) => typeof line === "string"));
+
+  if (
+    !data ||
+    typeof data !== "object" ||
+    Array.isArray(data) ||
+    !Object.values(data).every(isText)
+  ) {
+    throw new InvalidOptionError(
+      `${path.basename(
+        textFile
+      )}: expected a map of file names to text or lists of text`
+    );
+  }
+
+  return data;
+}
+
+// Meme text for one file: its --text-file entry, else --text
+function getMemeText(file, options) {
+  const texts = options.memeTexts || {};
+  const text =
+    texts[file.relativePath.split(path.sep).join("/")] ??
+    texts[file.name] ??
+    options.text;
+
+  if (!text) {
+    throw new InvalidOptionError(
+      `No meme text for ${file.relativePath}; add it to the text file or pass --text`
+    );
+  }
+
+  return text;
+}
+
+// Split the images of a collage batch into groups that each become one
+// collage: every --group-size images, or else one group per folder.
+// Groups look like files to processBatch, with the group's images in
+// `images`.
+function groupCollageImages(imageFiles, folder, options) {
+  const folderName = path.basename(path.resolve(folder));
+  const groups = [];
+
+  if (options.groupSize) {
+    const size = Number(options.groupSize);
+    for (let start = 0; start < imageFiles.length; start += size) {
+      const number = groups.length + 1;
+      groups.push({
+        name: `${folderName}_${number}`,
+        relativePath: `${folderName} #${number}`,
+        images: imageFiles.slice(start, start + size),
+      });
+    }
+  } else {
+    const byDir = new Map();
+    for (const file of imageFiles) {
+      const relativeDir = path.relative(folder, file.dir);
+      if (!byDir.has(relativeDir)) byDir.set(relativeDir, []);
+      byDir.get(relativeDir).push(file);
+    }
+
+    const dirs = [...byDir.keys()].sort((a, b) => a.localeCompare(b));
+    for (const relativeDir of dirs) {
+      const images = byDir.get(relativeDir);
+      groups.push({
+        name: relativeDir ? relativeDir.split(path.sep).join("_") : folderName,
+        relativePath: relativeDir || ".",
+        images,
+      });
+    }
+  }
+
+  return groups.map((group) => ({
+    ...group,
+    path: path.join(folder, group.name),
+    dir: folder,
+    isHeic: false,
+    images: group.images.map((file) => file.path),
+    imageNames: group.images.map((file) => file.relativePath),
+  }));
+}
+
 function displayDryRunResults(imageFiles, operation, options, outputDir) {
   console.log(chalk.white.bold(`\n📋 Batch ${operation} operation preview:`));
   console.log(chalk.gray("─".repeat(60)));
 
   console.log(chalk.dim(`Operation: ${operation}`));
   console.log(chalk.dim(`Input folder: ${path.resolve(process.cwd())}`));
-  console.log(chalk.dim(`Output folder: ${outputDir}`));
+  console.log(
+    chalk.dim(
+      `Output folder: ${outputDir}${
+        isInPlace() ? " (files replaced in place)" : ""
+      }`
+    )
+  );
   console.log(chalk.dim(`Files to process: ${imageFiles.length}`));
 
   const heicCount = imageFiles.filter((file) => file.isHeic).length;
@@ -297,28 +971,42 @@ function displayDryRunResults(imageFiles, operation, options, outputDir) {
   console.log(chalk.dim(`\nOperation settings:`));
   switch (operation) {
     case "resize":
+      console.log(chalk.dim(`  • Dimensions: ${describeResize(options)}`));
+      if (options.width || options.height) {
+        console.log(
+          chalk.dim(`  • Fit mode: ${options.fit || getConfigValue("fit")}`)
+        );
+        console.log(chalk.dim(`  • Crop: ${describeCrop(options)}`));
+      }
+      if (options.enlarge === false) {
+        console.log(chalk.dim(`  • Enlarge: no`));
+      }
       console.log(
         chalk.dim(
-          `  • Dimensions: ${options.width || "auto"} x ${
-            options.height || "auto"
-          }`
+          `  • Quality: ${options.quality ? `${options.quality}%` : "default"}`
         )
       );
-      console.log(chalk.dim(`  • Fit mode: ${options.fit || "cover"}`));
-      console.log(chalk.dim(`  • Quality: ${options.quality}%`));
       break;
     case "convert":
       console.log(
         chalk.dim(`  • Target format: ${options.format.toUpperCase()}`)
       );
-      console.log(chalk.dim(`  • Quality: ${options.quality}%`));
+      console.log(
+        chalk.dim(
+          `  • Quality: ${options.quality ? `${options.quality}%` : "default"}`
+        )
+      );
       if (options.filter) {
         console.log(chalk.dim(`  • Color filter: ${options.filter}`));
       }
       break;
     case "filters":
       console.log(chalk.dim(`  • Filter: ${options.filter}`));
-      console.log(chalk.dim(`  • Quality: ${options.quality}%`));
+      console.log(
+        chalk.dim(
+          `  • Quality: ${options.quality ? `${options.quality}%` : "default"}`
+        )
+      );
       break;
     case "preset":
       console.log(chalk.dim(`  • Preset: ${options.preset}`));
@@ -336,7 +1024,19 @@ function displayDryRunResults(imageFiles, operation, options, outputDir) {
       if (options.background) {
         console.log(chalk.dim(`  • Background: ${options.background}`));
       }
-      console.log(chalk.dim(`  • Quality: ${options.quality}%`));
+      console.log(
+        chalk.dim(
+          `  • Quality: ${options.quality ? `${options.quality}%` : "default"}`
+        )
+      );
+      break;
+    case "crop":
+      console.log(chalk.dim(`  • Crop: ${describeCropOptions(options)}`));
+      console.log(
+        chalk.dim(
+          `  • Quality: ${options.quality ? `${options.quality}%` : "default"}`
+        )
+      );
       break;
     case "watermark":
       console.log(chalk.dim(`  • Watermark: ${options.watermark}`));
@@ -344,6 +1044,47 @@ function displayDryRunResults(imageFiles, operation, options, outputDir) {
       console.log(chalk.dim(`  • Size: ${options.size}%`));
       console.log(chalk.dim(`  • Opacity: ${options.opacity}`));
       break;
+    case "recipe":
+      console.log(chalk.dim(`  • Recipe: ${options.recipe.name}`));
+      options.recipe.steps.forEach((step, index) => {
+        const settings = Object.entries(step.options)
+          .map(([key, value]) => `${key}=${value}`)
+          .join(", ");
+        console.log(
+          chalk.dim(`  • Step ${index + 1}: ${step.operation} (${settings})`)
+        );
+      });
+      break;
+    case "meme":
+      if (options.template) {
+        console.log(chalk.dim(`  • Template: ${options.template}`));
+      }
+      console.log(chalk.dim(`  • Style: ${options.style || "impact"}`));
+      if (options.text) {
+        console.log(
+          chalk.dim(`  • Text: ${[].concat(options.text).join(" / ")}`)
+        );
+      }
+      if (options.textFile) {
+        console.log(chalk.dim(`  • Text per file: ${options.textFile}`));
+      }
+      break;
+    case "manifest":
+      console.log(chalk.dim(`  • Manifest: ${options.manifest}`));
+      console.log(
+        chalk.dim(`  • Each file runs with its row's operation and options`)
+      );
+      break;
+    case "collage":
+      console.log(chalk.dim(`  • Layout: ${options.layout}`));
+      console.log(
+        chalk.dim(
+          `  • One collage per ${
+            options.groupSize ? `${options.groupSize} images` : "folder"
+          }`
+        )
+      );
+      break;
   }
 
   console.log(chalk.white.bold(`\n📁 Files to be processed:`));
@@ -353,7 +1094,11 @@ function displayDryRunResults(imageFiles, operation, options, outputDir) {
   displayFiles.forEach((file, index) => {
     const heicIndicator = file.isHeic ? chalk.cyan(" [HEIC/HEIF]") : "";
     console.log(
-      chalk.dim(`  ${index + 1}. ${file.relativePath}${heicIndicator}`)
+      chalk.dim(
+        `  ${index + 1}. ${file.relativePath}${heicIndicator}${
+          file.images ? ` (${file.images.length} images)` : ""
+        }${file.job ? ` → ${describeJob(file.job)}` : ""}`
+      )
     );
   });
 
@@ -366,166 +1111,499 @@ function displayDryRunResults(imageFiles, operation, options, outputDir) {
   );
 }
 
-async function processBatch(imageFiles, operation, options, outputDir, folder) {
+// Operation of a manifest row and the options the row sets itself
+function describeJob(job) {
+  const overrides = Object.entries(job.overrides)
+    .map(([key, value]) => `${key}=${[].concat(value).join("|")}`)
+    .join(", ");
+  return `${job.operation}${overrides ? ` (${overrides})` : ""}${
+    job.outputPath ? ` → ${job.outputPath}` : ""
+  }`;
+}
+
+// Run `worker` over every item with at most `concurrency` running at a
+// time. Workers pick up items in order, so item N always starts before
+// item N+1. Once `shouldStop` returns true no new items are started.
+async function runPool(items, concurrency, worker, shouldStop = () => false) {
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, runWorker)
+  );
+}
+
+// Combined size of the images that make up a collage
+async function getTotalSize(files) {
+  let total = 0;
+  for (const file of files) {
+    total += (await fs.stat(file)).size;
+  }
+  return total;
+}
+
+// Default number of images processed at once: one per CPU core
+function getDefaultConcurrency() {
+  return Math.max(1, os.cpus().length);
+}
+
+// Format seconds as m:ss for the ETA
+function formatDuration(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) {
+    return "--:--";
+  }
+
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, "0")}`;
+}
+
+// Progress bar with throughput and ETA, shown as the batch spinner's text
+function formatProgress(done, total, startedAt) {
+  const width = 20;
+  const ratio = total > 0 ? done / total : 1;
+  const filled = Math.round(ratio * width);
+  const elapsed = (Date.now() - startedAt) / 1000;
+  const rate = elapsed > 0 ? done / elapsed : 0;
+  const eta = rate > 0 ? (total - done) / rate : null;
+
+  return (
+    `${"█".repeat(filled)}${"░".repeat(width - filled)} ` +
+    `${done}/${total} (${Math.round(ratio * 100)}%) · ` +
+    `${rate.toFixed(1)} img/s · ETA ${formatDuration(eta)}`
+  );
+}
+
+// Default output file name for one file of a batch
+function getOutputFileName(file, operation, options) {
+  const baseName = path.parse(file.name).name;
+  const currentExt = path.parse(file.name).ext;
+  let outputFileName = file.name;
+
+  switch (operation) {
+    case "collage":
+      // Group names aren't file names, so don't look for an extension
+      return `${file.name}_${options.layout.toLowerCase()}_collage.${
+        options.format || "jpg"
+      }`;
+    case "meme":
+      outputFileName = `${baseName}_meme.jpg`;
+      break;
+    case "resize":
+      outputFileName = `${baseName}_resized${currentExt}`;
+      break;
+    case "convert":
+      outputFileName = `${baseName}.${options.format}`;
+      break;
+    case "filters":
+      outputFileName = `${baseName}_${options.filter}${currentExt}`;
+      break;
+    case "preset":
+      outputFileName = `${baseName}_${options.preset}${
+        getPresetExtension(getPreset(options.preset), file.name) || currentExt
+      }`;
+      break;
+    case "rotate":
+      let suffix = "";
+      if (options.angle) suffix += `_rot${options.angle}`;
+      if (options.flipH || options.horizontal) suffix += "_flipH";
+      if (options.flipV || options.vertical) suffix += "_flipV";
+      outputFileName = `${baseName}${suffix}${currentExt}`;
+      break;
+    case "crop":
+      outputFileName = `${baseName}_cropped${currentExt}`;
+      break;
+    case "watermark":
+      outputFileName = `${baseName}_watermarked${currentExt}`;
+      break;
+    case "recipe": {
+      const format = getRecipeFormat(options.recipe);
+      outputFileName = `${baseName}${getRecipeSuffix(options.recipe)}${
+        format ? extensionForFormat(format) : currentExt
+      }`;
+      break;
+    }
+  }
+
+  // For HEIC files, default to JPG output unless specifically converting
+  if (file.isHeic && operation !== "convert") {
+    const outputExt = path.extname(outputFileName);
+    if (outputExt === ".heic" || outputExt === ".heif") {
+      outputFileName = outputFileName.replace(/\.(heic|heif)$/i, ".jpg");
+    }
+  }
+
+  return outputFileName;
+}
+
+export async function processBatch(
+  imageFiles,
+  batchOperation,
+  batchOptions,
+  outputDir,
+  folder,
+  spinner,
+  journal = null,
+  cache = null
+) {
   const results = {
     successful: 0,
+    skipped: 0,
     failed: 0,
+    resumed: 0,
+    unchanged: 0,
+    pruned: [],
+    notProcessed: 0,
+    stopped: false,
+    interrupted: false,
     errors: [],
     totalInputSize: 0,
     totalOutputSize: 0,
     heicProcessed: 0,
+    // One record per file, in the order the files were found, however
+    // the pool happens to finish them
+    files: imageFiles.map((file) => ({
+      input: file.relativePath,
+      ...(file.job && { operation: file.job.operation }),
+      output: null,
+      status: "pending",
+    })),
   };
 
-  let processed = 0;
   const total = imageFiles.length;
+  const startedAt = Date.now();
+  let done = 0;
+
+  // Info prints a full report per image, so reports would interleave
+  const concurrency =
+    imageFiles.some(
+      (file) => (file.job?.operation || batchOperation) === "info"
+    ) && !isJsonOutput()
+      ? 1
+      : batchOptions.concurrency || getDefaultConcurrency();
+
+  // Print above the progress bar instead of through it
+  const print = (write) => {
+    if (!spinner.isSpinning) {
+      write();
+      return;
+    }
+    spinner.clear();
+    write();
+    spinner.render();
+  };
+  const log = (message) => print(() => console.log(message));
 
-  for (const file of imageFiles) {
-    try {
-      processed++;
-      const progress = `(${processed}/${total})`;
+  const batchOptionsHash = hashOptions(batchOperation, batchOptions);
+
+  // The first Ctrl+C lets the files in progress finish so the journal and
+  // summary are complete; a second one quits right away
+  const onInterrupt = () => {
+    if (results.interrupted) {
+      process.exit(130);
+    }
+    results.interrupted = true;
+    spinner.text = "Interrupted, finishing files in progress...";
+  };
+  process.on("SIGINT", onInterrupt);
+
+  const processFile = async (file, index) => {
+    const record = results.files[index];
+    const progress = `(${index + 1}/${total})`;
+    const fileStartedAt = Date.now();
+
+    // Manifest rows bring their own operation and options
+    const { operation, options } = file.job || {
+      operation: batchOperation,
+      options: batchOptions,
+    };
+    const optionsHash = file.job
+      ? hashOptions(operation, options)
+      : batchOptionsHash;
+    // Manifests can list a file more than once, so their rows have keys
+    const key = file.key || file.relativePath;
+
+    if (file.imageNames) {
+      record.images = file.imageNames;
+    }
 
+    try {
       // Calculate input file size
-      const inputStats = await fs.stat(file.path);
-      results.totalInputSize += inputStats.size;
+      const inputStats = file.images
+        ? { size: await getTotalSize(file.images) }
+        : await fs.stat(file.path);
 
-      // Track HEIC files
-      if (file.isHeic) {
-        results.heicProcessed++;
-      }
+      // Done by an earlier run of the same batch
+      if (
+        journal &&
+        options.resume &&
+        (await journal.isDone(key, inputStats, optionsHash))
+      ) {
+        record.status = "resumed";
+        record.output = journal.getEntry(key).output;
+        results.resumed++;
 
-      // Prepare output path maintaining folder structure
-      const relativeDir = path.relative(folder, file.dir);
-      const outputFileDir = path.join(outputDir, relativeDir);
-      await fs.ensureDir(outputFileDir);
-
-      // Create operation-specific options for this file
-      const fileOptions = { ...options };
-
-      if (operation !== "info") {
-        // Generate appropriate output path
-        let outputFileName = file.name;
-        const baseName = path.parse(file.name).name;
-        const currentExt = path.parse(file.name).ext;
-
-        switch (operation) {
-          case "resize":
-            outputFileName = `${baseName}_resized${currentExt}`;
-            break;
-          case "convert":
-            outputFileName = `${baseName}.${options.format}`;
-            break;
-          case "filters":
-            outputFileName = `${baseName}_${options.filter}${currentExt}`;
-            break;
-          case "preset":
-            outputFileName = `${baseName}_${options.preset}${currentExt}`;
-            break;
-          case "rotate":
-            let suffix = "";
-            if (options.angle) suffix += `_rot${options.angle}`;
-            if (options.flipH || options.horizontal) suffix += "_flipH";
-            if (options.flipV || options.vertical) suffix += "_flipV";
-            outputFileName = `${baseName}${suffix}${currentExt}`;
-            break;
-          case "watermark":
-            outputFileName = `${baseName}_watermarked${currentExt}`;
-            break;
+        if (options.verbose && !isJsonOutput()) {
+          log(chalk.dim(`${progress} Already done: ${file.relativePath}`));
         }
+        return;
+      }
 
-        // For HEIC files, default to JPG output unless specifically converting
-        if (file.isHeic && operation !== "convert") {
-          const outputExt = path.extname(outputFileName);
-          if (outputExt === ".heic" || outputExt === ".heif") {
-            outputFileName = outputFileName.replace(/\.(heic|heif)$/i, ".jpg");
-          }
+      // Same content and options as when the cached output was made
+      const contentHash = cache ? await hashFile(file.path) : null;
+      const cached =
+        cache && (await cache.lookup(key, contentHash, optionsHash));
+
+      if (cached) {
+        record.status = "unchanged";
+        record.output = cached.output;
+        results.unchanged++;
+
+        if (options.verbose && !isJsonOutput()) {
+          log(chalk.dim(`${progress} Unchanged: ${file.relativePath}`));
         }
+        return;
+      }
+
+      results.totalInputSize += inputStats.size;
+      record.inputSize = inputStats.size;
 
-        fileOptions.output = path.join(outputFileDir, outputFileName);
+      // Track HEIC files
+      if (file.isHeic) {
+        results.heicProcessed++;
       }
 
-      if (options.verbose) {
+      if (options.verbose && !isJsonOutput()) {
         const heicIndicator = file.isHeic ? " [HEIC]" : "";
-        console.log(
+        log(
           chalk.cyan(
             `${progress} Processing: ${file.relativePath}${heicIndicator}`
           )
         );
       }
 
-      await executeOperation(operation, file.path, fileOptions);
+      if (operation === "info") {
+        const result = await info(file.path);
+        record.inputDimensions = {
+          width: result.metadata.width,
+          height: result.metadata.height,
+        };
+        if (isJsonOutput()) {
+          // One JSON document covers the whole batch, so collect the metadata
+          record.metadata = result.metadata;
+        } else {
+          print(() => displayInfo(file.path, result, options));
+        }
+      } else {
+        const outputFileName = getOutputFileName(file, operation, options);
+        let outputPath;
+
+        if (file.job?.outputPath) {
+          outputPath = file.job.outputPath;
+          await fs.ensureDir(path.dirname(outputPath));
+          if (!options.name) {
+            outputPath = await resolveConflict(outputPath);
+          }
+        } else if (isInPlace()) {
+          outputPath = await generateOutputPath(
+            file.path,
+            "batch",
+            "",
+            path.extname(outputFileName)
+          );
+        } else {
+          // Keep the folder structure of the input folder. Manifests can
+          // name files outside it; those go to the top of the output folder.
+          const relativeDir = path.relative(folder, file.dir);
+          const outputFileDir =
+            relativeDir.startsWith("..") || path.isAbsolute(relativeDir)
+              ? outputDir
+              : path.join(outputDir, relativeDir);
+          await fs.ensureDir(outputFileDir);
+          outputPath = path.join(outputFileDir, outputFileName);
+
+          // Apply the conflict policy up front so an existing output is
+          // skipped before any work. Templated names are only known once
+          // the image is processed, so applyNameTemplate checks those.
+          if (!options.name) {
+            outputPath = await resolveConflict(outputPath);
+          }
+        }
+
+        const result = await batchOperations[operation](
+          file.images || file.path,
+          {
+            ...options,
+            ...(operation === "meme" && { text: getMemeText(file, options) }),
+            format: formatFromPath(outputPath),
+          }
+        );
+
+        // The {index} token numbers files in the order they were found
+        outputPath = await applyNameTemplate(
+          outputPath,
+          { ...options, index: index + 1 },
+          {
+            input: file.path,
+            result,
+            operation,
+            ...(result.preset && { filter: result.preset.filter }),
+          }
+        );
+        await saveOutput(outputPath, result.buffer);
+
+        if (journal) {
+          // In place the output replaces the input, so the next run finds
+          // the output in its place
+          const source = isInPlace() ? outputPath : file.path;
+          const sourceStats = isInPlace()
+            ? await fs.stat(outputPath)
+            : inputStats;
+
+          await journal.record({
+            input: file.key || path.relative(folder, source),
+            mtime: sourceStats.mtimeMs,
+            size: sourceStats.size,
+            optionsHash,
+            output: outputPath,
+          });
+        }
+
+        if (cache) {
+          cache.set(key, {
+            input: file.relativePath,
+            hash: contentHash,
+            optionsHash,
+            output: outputPath,
+          });
+        }
 
-      // Calculate output file size for non-info operations
-      if (operation !== "info" && fileOptions.output) {
-        const outputStats = await fs.stat(fileOptions.output);
-        results.totalOutputSize += outputStats.size;
+        record.output = outputPath;
+        record.outputSize = result.info.size;
+        if (result.input) {
+          record.inputDimensions = {
+            width: result.input.width,
+            height: result.input.height,
+          };
+        }
+        record.outputDimensions = {
+          width: result.info.width,
+          height: result.info.height,
+        };
+        results.totalOutputSize += result.info.size;
+
+        if (result.warnings.length > 0) {
+          record.warnings = result.warnings;
+        }
       }
 
+      record.status = "ok";
       results.successful++;
-    } catch (error) {
+    } catch (caught) {
+      const error = toPixpressError(caught);
+
+      if (error instanceof OutputSkippedError) {
+        record.status = "skipped";
+        record.output = error.path;
+        results.skipped++;
+        results.totalInputSize -= record.inputSize || 0;
+
+        if (options.verbose && !isJsonOutput()) {
+          log(
+            chalk.yellow(`${progress} Skipped: ${file.relativePath} (exists)`)
+          );
+        }
+        return;
+      }
+
+      record.status = "failed";
+      record.error = error.message;
+      record.code = error.code || null;
+      record.exitCode = error.exitCode || 1;
       results.failed++;
-      results.errors.push({
-        file: file.relativePath,
-        error: error.message,
-        isHeic: file.isHeic,
-      });
 
-      if (options.verbose) {
-        console.log(
+      if (options.verbose && !isJsonOutput()) {
+        log(
           chalk.red(
             `${progress} Failed: ${file.relativePath} - ${error.message}`
           )
         );
       }
+    } finally {
+      record.durationMs = Date.now() - fileStartedAt;
+      done++;
+      spinner.text = formatProgress(done, total, startedAt);
     }
-  }
-
-  return results;
-}
-
-async function executeOperation(operation, inputPath, options) {
-  // For info operation, we want to show the analysis results
-  // For other operations, suppress console output to avoid cluttering batch output
-  if (operation !== "info") {
-    const originalLog = console.log;
-    const originalError = console.error;
+  };
 
-    console.log = () => {};
-    console.error = () => {};
+  spinner.text = formatProgress(0, total, startedAt);
 
-    try {
-      switch (operation) {
-        case "resize":
-          await resizeCommand(inputPath, options);
-          break;
-        case "convert":
-          await convertCommand(inputPath, options);
-          break;
-        case "filters":
-          await filtersCommand(inputPath, options);
-          break;
-        case "preset":
-          await presetCommand(inputPath, options);
-          break;
-        case "rotate":
-          await rotateCommand(inputPath, options);
-          break;
-        case "watermark":
-          await watermarkCommand(inputPath, options);
-          break;
+  try {
+    await runPool(
+      imageFiles,
+      concurrency,
+      processFile,
+      () =>
+        results.interrupted ||
+        (batchOptions.maxErrors !== undefined &&
+          results.failed >= batchOptions.maxErrors)
+    );
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+    if (journal) {
+      await journal.flush();
+    }
+    if (cache) {
+      if (batchOptions.prune && !results.interrupted) {
+        results.pruned = await cache.prune(folder);
       }
-    } finally {
-      // Restore console functions
-      console.log = originalLog;
-      console.error = originalError;
+      await cache.save();
+    }
+  }
+
+  // Files the pool never started because of Ctrl+C or --max-errors
+  for (const record of results.files) {
+    if (record.status === "pending") {
+      record.status = "not-processed";
+      results.notProcessed++;
     }
-  } else {
-    // For info operation, allow console output to show analysis results
-    await infoCommand(inputPath, options);
   }
+  results.stopped = results.notProcessed > 0;
+
+  // Collected after the pool so the error list follows file order
+  results.errors = results.files
+    .map((record, index) => ({ record, file: imageFiles[index] }))
+    .filter(({ record }) => record.status === "failed")
+    .map(({ record, file }) => ({
+      file: file.relativePath,
+      error: record.error,
+      code: record.code,
+      exitCode: record.exitCode,
+      isHeic: file.isHeic,
+    }));
+
+  return results;
 }
 
-function displayBatchResults(spinner, results, operation, heicCount = 0) {
-  if (results.failed === 0) {
+function displayBatchResults(
+  spinner,
+  results,
+  operation,
+  heicCount = 0,
+  options = {}
+) {
+  if (results.interrupted) {
+    spinner.warn(chalk.yellow(`⚠ Batch ${operation} interrupted`));
+  } else if (results.stopped) {
+    spinner.fail(
+      chalk.red(`✗ Batch ${operation} stopped after ${results.failed} error(s)`)
+    );
+  } else if (results.failed === 0) {
     spinner.succeed(
       chalk.green(`✓ Batch ${operation} completed successfully!`)
     );
@@ -539,10 +1617,48 @@ function displayBatchResults(spinner, results, operation, heicCount = 0) {
   console.log(chalk.gray("─".repeat(40)));
   console.log(chalk.green(`  ✓ Successful: ${results.successful}`));
 
+  if (results.resumed > 0) {
+    console.log(
+      chalk.dim(`  ↺ Already done in an earlier run: ${results.resumed}`)
+    );
+  }
+
+  if (results.unchanged > 0) {
+    console.log(
+      chalk.dim(`  = Unchanged since last run: ${results.unchanged}`)
+    );
+  }
+
+  if (results.skipped > 0) {
+    console.log(
+      chalk.yellow(`  ↷ Skipped (output exists): ${results.skipped}`)
+    );
+  }
+
+  if (results.pruned.length > 0) {
+    console.log(
+      chalk.dim(`  🗑  Removed stale outputs: ${results.pruned.length}`)
+    );
+  }
+
   if (results.failed > 0) {
     console.log(chalk.red(`  ✗ Failed: ${results.failed}`));
   }
 
+  if (results.notProcessed > 0) {
+    console.log(
+      chalk.dim(
+        `  ⏹ Not processed: ${results.notProcessed} (${
+          results.interrupted
+            ? "interrupted"
+            : options.failFast
+            ? "--fail-fast"
+            : `--max-errors ${options.maxErrors}`
+        })`
+      )
+    );
+  }
+
   // Show HEIC processing stats if any were processed
   if (results.heicProcessed > 0) {
     console.log(
@@ -586,9 +1702,10 @@ function displayBatchResults(spinner, results, operation, heicCount = 0) {
     console.log(chalk.red.bold(`\n❌ Errors encountered:`));
     results.errors.slice(0, 5).forEach((error, index) => {
       const heicIndicator = error.isHeic ? " [HEIC]" : "";
+      const code = error.code ? ` [${error.code}]` : "";
       console.log(
         chalk.red(
-          `  ${index + 1}. ${error.file}${heicIndicator}: ${error.error}`
+          `  ${index + 1}. ${error.file}${heicIndicator}: ${error.error}${code}`
         )
       );
     });
@@ -613,5 +1730,21 @@ function displayBatchResults(spinner, results, operation, heicCount = 0) {
     }
   }
 
+  if (results.interrupted) {
+    console.log(
+      chalk.cyan(
+        "\n💡 Run the same command with --resume to continue where it stopped."
+      )
+    );
+  }
+
+  if (options.outputArchive) {
+    console.log(chalk.cyan(`\n📦 Archive saved to: ${options.outputArchive}`));
+  }
+
+  if (options.report) {
+    console.log(chalk.cyan(`\n📄 Report saved to: ${options.report}`));
+  }
+
   console.log("");
 }
@@ -1,17 +1,33 @@
 // utils/collage.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
 import fs from "fs-extra";
 import path from "path";
 import {
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  isJsonOutput,
+  printJson,
   formatFileSize,
   getSupportedFormats,
+  encodeImage,
+  saveOutput,
   generateOutputPath,
   displayOutputLocation,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import {
+  InputNotFoundError,
+  DecodeFailedError,
+  InvalidOptionError,
+} from "./errors.js";
+import { getConfigValue } from "./config.js";
+import { isZipPath, extractZip } from "./archive.js";
+import { applyResize, validateCropOptions } from "./resize.js";
 
 // Predefined collage layouts
 const layouts = {
@@ -59,171 +75,187 @@ const layouts = {
   },
 };
 
-export async function collageCommand(inputPattern, options) {
-  await initializePixpressDirectory();
-
-  const spinner = ora("Creating collage...").start();
+// Compose a collage from a folder, zip archive, comma-separated list or
+// array of files and return the encoded buffer
+export async function collage(inputs, options = {}) {
+  // A zip archive counts as the folder it unpacks to: its top-level images
+  if (isZipPath(inputs)) {
+    const supportedExtensions = getSupportedFormats().input.map(
+      (ext) => `.${ext}`
+    );
+    const archive = await extractZip(
+      inputs,
+      (name) =>
+        !name.includes("/") &&
+        !name.startsWith(".") &&
+        supportedExtensions.includes(path.extname(name).toLowerCase())
+    );
 
-  try {
-    // Parse and validate inputs
-    const imageFiles = await findImageFiles(inputPattern, options);
-    const layout = layouts[options.layout?.toLowerCase()];
-
-    if (!layout) {
-      const availableLayouts = Object.keys(layouts).join(", ");
-      throw new Error(
-        `Unknown layout: ${options.layout}. Available: ${availableLayouts}`
-      );
+    try {
+      const result = await collage(archive.dir, options);
+      return {
+        ...result,
+        images: result.images.map((image) => path.relative(archive.dir, image)),
+      };
+    } finally {
+      await archive.cleanup();
     }
+  }
 
-    if (imageFiles.length < layout.minImages) {
-      throw new Error(
-        `Layout '${layout.name}' requires at least ${layout.minImages} images. Found ${imageFiles.length}.`
-      );
-    }
+  const warnings = [];
+  const layout = layouts[options.layout?.toLowerCase()];
 
-    if (imageFiles.length > layout.maxImages) {
-      throw new Error(
-        `Layout '${layout.name}' supports maximum ${layout.maxImages} images. Found ${imageFiles.length}.`
-      );
-    }
+  if (!layout) {
+    const availableLayouts = Object.keys(layouts).join(", ");
+    throw new InvalidOptionError(
+      `Unknown layout: ${options.layout}. Available: ${availableLayouts}`
+    );
+  }
 
-    spinner.text = `Creating ${layout.name} collage with ${imageFiles.length} images`;
+  // Parse and validate inputs
+  const imageFiles = await findImageFiles(inputs, options, warnings);
 
-    // Parse dimensions
-    const width = parseInt(options.width || 1920);
-    const height = parseInt(options.height || 1080);
-    const spacing = parseInt(options.spacing || 10);
-    const quality = parseInt(options.quality || 85);
+  if (imageFiles.length < layout.minImages) {
+    throw new InvalidOptionError(
+      `Layout '${layout.name}' requires at least ${layout.minImages} images. Found ${imageFiles.length}.`
+    );
+  }
 
-    // Validate dimensions
-    if (width < 200 || width > 8000 || height < 200 || height > 8000) {
-      throw new Error(
-        "Canvas dimensions must be between 200x200 and 8000x8000 pixels"
-      );
-    }
+  if (imageFiles.length > layout.maxImages) {
+    throw new InvalidOptionError(
+      `Layout '${layout.name}' supports maximum ${layout.maxImages} images. Found ${imageFiles.length}.`
+    );
+  }
+
+  // Parse dimensions
+  const width = parseInt(options.width || 1920);
+  const height = parseInt(options.height || 1080);
+  const spacing = parseInt(options.spacing || 10);
+
+  // Validate dimensions
+  if (width < 200 || width > 8000 || height < 200 || height > 8000) {
+    throw new InvalidOptionError(
+      "Canvas dimensions must be between 200x200 and 8000x8000 pixels"
+    );
+  }
+
+  validateCropOptions(options);
+
+  const outputFormat = options.format?.toLowerCase() || "jpg";
+
+  if (!["jpg", "jpeg", "png", "webp"].includes(outputFormat)) {
+    throw new InvalidOptionError(`Unsupported output format: ${outputFormat}`);
+  }
+
+  const builders = {
+    grid: createGridLayout,
+    strip: createStripLayout,
+    polaroid: createPolaroidLayout,
+    mosaic: createMosaicLayout,
+    filmstrip: createFilmstripLayout,
+    magazine: createMagazineLayout,
+  };
+
+  let collageSharp = await builders[layout.name](
+    imageFiles,
+    width,
+    height,
+    spacing,
+    options,
+    warnings
+  );
+
+  // Apply final format and quality settings directly to the Sharp instance
+  collageSharp = encodeImage(collageSharp, outputFormat, {
+    quality: options.quality,
+    defaultQuality: 85,
+    progressive: outputFormat !== "png",
+  });
+
+  const { data, info } = await collageSharp.toBuffer({
+    resolveWithObject: true,
+  });
+
+  return {
+    buffer: data,
+    info,
+    layout,
+    images: imageFiles,
+    warnings,
+  };
+}
+
+export async function collageCommand(inputPattern, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Creating collage...");
+  const timer = startTimer();
+
+  try {
+    const layoutName = options.layout?.toLowerCase();
 
     // Generate output path
-    const outputPath = await generateOutputPath(
+    let outputPath = await generateOutputPath(
       inputPattern,
       "collages",
-      `_${layout.name}_collage`,
+      `_${layoutName}_collage`,
       `.${options.format || "jpg"}`,
-      options.output
+      options.output,
+      options.name
     );
 
-    let collageSharp;
+    spinner.text = `Creating ${layoutName} collage`;
 
-    switch (layout.name) {
-      case "grid":
-        collageSharp = await createGridLayout(
-          imageFiles,
-          width,
-          height,
-          spacing,
-          options
-        );
-        break;
-      case "strip":
-        collageSharp = await createStripLayout(
-          imageFiles,
-          width,
-          height,
-          spacing,
-          options
-        );
-        break;
-      case "polaroid":
-        collageSharp = await createPolaroidLayout(
-          imageFiles,
-          width,
-          height,
-          spacing,
-          options
-        );
-        break;
-      case "mosaic":
-        collageSharp = await createMosaicLayout(
-          imageFiles,
-          width,
-          height,
-          spacing,
-          options
-        );
-        break;
-      case "filmstrip":
-        collageSharp = await createFilmstripLayout(
-          imageFiles,
-          width,
-          height,
-          spacing,
-          options
-        );
-        break;
-      case "magazine":
-        collageSharp = await createMagazineLayout(
-          imageFiles,
-          width,
-          height,
-          spacing,
-          options
-        );
-        break;
-      default:
-        throw new Error(`Layout implementation not found: ${layout.name}`);
-    }
+    const result = await collage(inputPattern, options);
 
     spinner.text = "Saving collage...";
-
-    // Apply final format and quality settings directly to the Sharp instance
-    const outputFormat = options.format?.toLowerCase() || "jpg";
-
-    switch (outputFormat) {
-      case "jpg":
-      case "jpeg":
-        collageSharp = collageSharp.jpeg({ quality, progressive: true });
-        break;
-      case "png":
-        collageSharp = collageSharp.png({ compressionLevel: 6 });
-        break;
-      case "webp":
-        collageSharp = collageSharp.webp({ quality, effort: 4 });
-        break;
-      default:
-        throw new Error(`Unsupported output format: ${outputFormat}`);
-    }
-
-    await collageSharp.toFile(outputPath);
-
-    const outputSize = (await fs.stat(outputPath)).size;
-    const outputMeta = await sharp(outputPath).metadata();
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input: inputPattern,
+      result,
+      operation: "collage",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     spinner.succeed(
       chalk.green("✓ Collage created successfully!") +
-        chalk.dim(`\n  Layout: ${layout.name} (${layout.description})`) +
-        chalk.dim(`\n  Images: ${imageFiles.length} combined`) +
         chalk.dim(
-          `\n  Canvas: ${outputMeta.width}x${outputMeta.height} pixels`
+          `\n  Layout: ${result.layout.name} (${result.layout.description})`
         ) +
-        chalk.dim(`\n  Format: ${outputFormat.toUpperCase()}`) +
-        chalk.dim(`\n  Size: ${formatFileSize(outputSize)}`)
+        chalk.dim(`\n  Images: ${result.images.length} combined`) +
+        chalk.dim(
+          `\n  Canvas: ${result.info.width}x${result.info.height} pixels`
+        ) +
+        chalk.dim(`\n  Format: ${result.info.format.toUpperCase()}`) +
+        chalk.dim(`\n  Size: ${formatFileSize(result.info.size)}`)
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("collage", {
+      result,
+      outputPath,
+      timer,
+      details: { layout: result.layout.name, images: result.images },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
 }
 
 // Find image files from input pattern (folder, glob, or file list)
-async function findImageFiles(inputPattern, options) {
+async function findImageFiles(inputPattern, options, warnings = []) {
   const files = [];
   const supportedExtensions = getSupportedFormats().input.map(
     (ext) => `.${ext}`
   );
 
   // Check if input is a folder
-  if (await fs.pathExists(inputPattern)) {
+  if (Array.isArray(inputPattern)) {
+    files.push(...inputPattern);
+  } else if (await fs.pathExists(inputPattern)) {
     const stats = await fs.stat(inputPattern);
 
     if (stats.isDirectory()) {
@@ -256,13 +288,13 @@ async function findImageFiles(inputPattern, options) {
       if (await fs.pathExists(file)) {
         files.push(file);
       } else {
-        console.warn(chalk.yellow(`⚠ File not found: ${file}`));
+        warnings.push(`File not found: ${file}`);
       }
     }
   }
 
   if (files.length === 0) {
-    throw new Error("No valid image files found");
+    throw new InputNotFoundError("No valid image files found");
   }
 
   // Limit number of files if specified
@@ -300,7 +332,8 @@ async function createGridLayout(
   canvasWidth,
   canvasHeight,
   spacing,
-  options
+  options,
+  warnings = []
 ) {
   const imageCount = imageFiles.length;
   const cols = parseInt(options.cols || Math.ceil(Math.sqrt(imageCount)));
@@ -314,7 +347,7 @@ async function createGridLayout(
   const cellHeight = Math.floor((canvasHeight - totalVerticalSpacing) / rows);
 
   if (cellWidth < 50 || cellHeight < 50) {
-    throw new Error(
+    throw new InvalidOptionError(
       "Canvas too small for grid layout. Increase canvas size or reduce number of images."
     );
   }
@@ -332,13 +365,13 @@ async function createGridLayout(
 
     try {
       // Resize and position image
-      const imageBuffer = await sharp(imageFiles[i])
-        .resize(cellWidth, cellHeight, {
-          fit: options.fit || "cover",
-          position: "center",
-        })
-        .png() // Convert to PNG buffer to avoid format issues
-        .toBuffer();
+      const imageBuffer = await fitCell(
+        imageFiles[i],
+        cellWidth,
+        cellHeight,
+        options.fit || getConfigValue("fit"),
+        options
+      );
 
       compositeImages.push({
         input: imageBuffer,
@@ -346,15 +379,13 @@ async function createGridLayout(
         top: top,
       });
     } catch (error) {
-      console.warn(
-        chalk.yellow(`⚠ Skipping corrupted image: ${imageFiles[i]}`)
-      );
+      warnings.push(`Skipping corrupted image: ${imageFiles[i]}`);
       continue;
     }
   }
 
   if (compositeImages.length === 0) {
-    throw new Error("No valid images could be processed");
+    throw new DecodeFailedError("No valid images could be processed");
   }
 
   // Create base canvas and composite images
@@ -368,13 +399,37 @@ async function createGridLayout(
   }).composite(compositeImages);
 }
 
+// Resize one image to fill a collage cell, cropped the way
+// --crop-strategy, --gravity and --focal ask for, as a PNG buffer
+async function fitCell(file, width, height, fit, options) {
+  // Only a focal point crop needs the size of the image up front
+  const dimensions =
+    options.focal !== undefined ? await sharp(file).metadata() : null;
+
+  return applyResize(
+    sharp(file),
+    {
+      width,
+      height,
+      fit,
+      cropStrategy: options.cropStrategy,
+      gravity: options.gravity,
+      focal: options.focal,
+    },
+    dimensions
+  )
+    .png() // Convert to PNG buffer to avoid format issues
+    .toBuffer();
+}
+
 // Create horizontal or vertical strip layout
 async function createStripLayout(
   imageFiles,
   canvasWidth,
   canvasHeight,
   spacing,
-  options
+  options,
+  warnings = []
 ) {
   const isVertical = options.direction === "vertical";
   const backgroundColor = parseColor(options.background || "#FFFFFF");
@@ -396,7 +451,7 @@ async function createStripLayout(
 
   // Ensure minimum image size
   if (imageWidth < 50 || imageHeight < 50) {
-    throw new Error(
+    throw new InvalidOptionError(
       "Canvas too small for strip layout. Increase canvas size or reduce number of images."
     );
   }
@@ -408,13 +463,13 @@ async function createStripLayout(
     const top = isVertical ? spacing + i * (imageHeight + spacing) : spacing;
 
     try {
-      const imageBuffer = await sharp(imageFiles[i])
-        .resize(imageWidth, imageHeight, {
-          fit: options.fit || "cover",
-          position: "center",
-        })
-        .png()
-        .toBuffer();
+      const imageBuffer = await fitCell(
+        imageFiles[i],
+        imageWidth,
+        imageHeight,
+        options.fit || getConfigValue("fit"),
+        options
+      );
 
       compositeImages.push({
         input: imageBuffer,
@@ -422,9 +477,7 @@ async function createStripLayout(
         top: top,
       });
     } catch (error) {
-      console.warn(
-        chalk.yellow(`⚠ Skipping corrupted image: ${imageFiles[i]}`)
-      );
+      warnings.push(`Skipping corrupted image: ${imageFiles[i]}`);
       continue;
     }
   }
@@ -445,7 +498,8 @@ async function createPolaroidLayout(
   canvasWidth,
   canvasHeight,
   spacing,
-  options
+  options,
+  warnings = []
 ) {
   const backgroundColor = parseColor(options.background || "#F5F5F5");
 
@@ -473,8 +527,9 @@ async function createPolaroidLayout(
       const border = Math.floor((polaroidSize - imageSize) / 2);
       const bottomBorder = border * 2;
 
-      const polaroidImage = await sharp(imageFiles[i])
-        .resize(imageSize, imageSize, { fit: "cover", position: "center" })
+      const polaroidImage = await sharp(
+        await fitCell(imageFiles[i], imageSize, imageSize, "cover", options)
+      )
         .extend({
           top: border,
           bottom: bottomBorder,
@@ -497,9 +552,7 @@ async function createPolaroidLayout(
 
       usedPositions.push(position);
     } catch (error) {
-      console.warn(
-        chalk.yellow(`⚠ Skipping corrupted image: ${imageFiles[i]}`)
-      );
+      warnings.push(`Skipping corrupted image: ${imageFiles[i]}`);
       continue;
     }
   }
@@ -556,7 +609,8 @@ async function createMosaicLayout(
   canvasWidth,
   canvasHeight,
   spacing,
-  options
+  options,
+  warnings = []
 ) {
   const backgroundColor = parseColor(options.background || "#FFFFFF");
   const compositeImages = [];
@@ -582,10 +636,13 @@ async function createMosaicLayout(
     );
 
     try {
-      const imageBuffer = await sharp(imageFiles[i])
-        .resize(width, height, { fit: "cover", position: "center" })
-        .png()
-        .toBuffer();
+      const imageBuffer = await fitCell(
+        imageFiles[i],
+        width,
+        height,
+        "cover",
+        options
+      );
 
       compositeImages.push({
         input: imageBuffer,
@@ -593,9 +650,7 @@ async function createMosaicLayout(
         top: top,
       });
     } catch (error) {
-      console.warn(
-        chalk.yellow(`⚠ Skipping corrupted image: ${imageFiles[i]}`)
-      );
+      warnings.push(`Skipping corrupted image: ${imageFiles[i]}`);
       continue;
     }
   }
@@ -638,7 +693,8 @@ async function createFilmstripLayout(
   canvasWidth,
   canvasHeight,
   spacing,
-  options
+  options,
+  warnings = []
 ) {
   const backgroundColor = parseColor(options.background || "#1a1a1a");
   const perforationColor = { r: 255, g: 255, b: 255, alpha: 1 };
@@ -716,10 +772,13 @@ async function createFilmstripLayout(
     const left = spacing + i * (frameWidth + frameSpacing);
 
     try {
-      const imageBuffer = await sharp(imageFiles[i])
-        .resize(frameWidth, frameHeight, { fit: "cover", position: "center" })
-        .png()
-        .toBuffer();
+      const imageBuffer = await fitCell(
+        imageFiles[i],
+        frameWidth,
+        frameHeight,
+        "cover",
+        options
+      );
 
       compositeImages.push({
         input: imageBuffer,
@@ -727,9 +786,7 @@ async function createFilmstripLayout(
         top: frameTop,
       });
     } catch (error) {
-      console.warn(
-        chalk.yellow(`⚠ Skipping corrupted image: ${imageFiles[i]}`)
-      );
+      warnings.push(`Skipping corrupted image: ${imageFiles[i]}`);
       continue;
     }
   }
@@ -750,7 +807,8 @@ async function createMagazineLayout(
   canvasWidth,
   canvasHeight,
   spacing,
-  options
+  options,
+  warnings = []
 ) {
   const backgroundColor = parseColor(options.background || "#FFFFFF");
   const compositeImages = [];
@@ -760,10 +818,13 @@ async function createMagazineLayout(
   const mainHeight = Math.floor(canvasHeight * 0.8);
 
   try {
-    const mainImage = await sharp(imageFiles[0])
-      .resize(mainWidth, mainHeight, { fit: "cover", position: "center" })
-      .png()
-      .toBuffer();
+    const mainImage = await fitCell(
+      imageFiles[0],
+      mainWidth,
+      mainHeight,
+      "cover",
+      options
+    );
 
     compositeImages.push({
       input: mainImage,
@@ -771,9 +832,7 @@ async function createMagazineLayout(
       top: Math.floor((canvasHeight - mainHeight) / 2),
     });
   } catch (error) {
-    console.warn(
-      chalk.yellow(`⚠ Skipping corrupted main image: ${imageFiles[0]}`)
-    );
+    warnings.push(`Skipping corrupted main image: ${imageFiles[0]}`);
   }
 
   // Secondary images
@@ -802,13 +861,13 @@ async function createMagazineLayout(
         row * (secondaryHeight + spacing);
 
       try {
-        const imageBuffer = await sharp(secondaryImages[i])
-          .resize(secondaryWidth, secondaryHeight, {
-            fit: "cover",
-            position: "center",
-          })
-          .png()
-          .toBuffer();
+        const imageBuffer = await fitCell(
+          secondaryImages[i],
+          secondaryWidth,
+          secondaryHeight,
+          "cover",
+          options
+        );
 
         compositeImages.push({
           input: imageBuffer,
@@ -816,9 +875,7 @@ async function createMagazineLayout(
           top: top,
         });
       } catch (error) {
-        console.warn(
-          chalk.yellow(`⚠ Skipping corrupted image: ${secondaryImages[i]}`)
-        );
+        warnings.push(`Skipping corrupted image: ${secondaryImages[i]}`);
         continue;
       }
     }
@@ -892,6 +949,11 @@ function parseColor(colorStr) {
 
 // List available layouts for CLI help
 export function listLayouts() {
+  if (isJsonOutput()) {
+    printJson({ ok: true, layouts });
+    return;
+  }
+
   console.log(chalk.cyan.bold("\n🖼️  Available Collage Layouts\n"));
 
   Object.entries(layouts).forEach(([key, layout]) => {
@@ -0,0 +1,396 @@
+// utils/config.js
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+import chalk from "chalk";
+import YAML from "yaml";
+import { InvalidOptionError } from "./errors.js";
+import { checkOptionValue } from "./schema.js";
+import { handleError, isJsonOutput, printJson } from "./helpers.js";
+
+const projectConfigName = ".pixpressrc";
+
+const quality = { type: "integer", min: 1, max: 100 };
+
+// Every setting the config controls. Values are looked up in the global
+// config, then the project .pixpressrc, then PIXPRESS_* environment
+// variables, each overriding the one before. Flags given on the command
+// line override all of them.
+const configSettings = {
+  outputDir: {
+    type: "string",
+    default: null,
+    description: "Folder processed images are saved to",
+  },
+  "quality.jpeg": {
+    ...quality,
+    default: null,
+    description: "Default JPEG quality",
+  },
+  "quality.webp": {
+    ...quality,
+    default: null,
+    description: "Default WebP quality",
+  },
+  "quality.avif": {
+    ...quality,
+    default: null,
+    description: "Default AVIF quality",
+  },
+  "quality.tiff": {
+    ...quality,
+    default: null,
+    description: "Default TIFF quality",
+  },
+  fit: {
+    values: ["cover", "contain", "fill", "inside", "outside"],
+    default: "cover",
+    description: "Default resize fit mode",
+  },
+  onConflict: {
+    values: ["skip", "overwrite", "rename", "fail"],
+    default: "overwrite",
+    description: "What to do when an output file already exists",
+  },
+  banner: {
+    type: "boolean",
+    default: true,
+    description: "Show the Pixpress banner",
+  },
+};
+
+let cachedConfig = null;
+
+// Values set by global command line flags such as --on-conflict
+const flagOverrides = {};
+
+// Default Pixpress directory for the current platform. The global config
+// always lives here, even when outputDir points somewhere else.
+export function getDefaultPixpressDirectory() {
+  const platform = os.platform();
+  const homeDir = os.homedir();
+
+  let pixpressDir;
+
+  // Use platform-appropriate directory
+  if (platform === "win32") {
+    // Windows: Use Documents folder
+    pixpressDir = path.join(homeDir, "Documents", "Pixpress");
+  } else if (platform === "darwin") {
+    // macOS: Use Pictures folder
+    pixpressDir = path.join(homeDir, "Pictures", "Pixpress");
+  } else {
+    // Linux and others: Use Pictures folder or home if Pictures doesn't exist
+    pixpressDir = path.join(homeDir, "Pictures", "Pixpress");
+  }
+
+  return pixpressDir;
+}
+
+// The per-user config file, created on first run
+export function getGlobalConfigPath() {
+  return path.join(getDefaultPixpressDirectory(), ".pixpress_config");
+}
+
+// Find the nearest .pixpressrc, walking up from the working directory
+export function findProjectConfig(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    const candidate = path.join(dir, projectConfigName);
+    if (fs.pathExistsSync(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Read a JSON or YAML config file. Missing files read as empty.
+export function readConfigFile(filePath) {
+  if (!filePath || !fs.pathExistsSync(filePath)) {
+    return {};
+  }
+
+  let data;
+
+  try {
+    data = YAML.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new InvalidOptionError(
+      `Could not parse config file ${filePath}: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  if (data === null || data === undefined) {
+    return {};
+  }
+
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new InvalidOptionError(
+      `Config file ${filePath} must contain a mapping of settings`
+    );
+  }
+
+  return data;
+}
+
+// Config files in order of increasing precedence
+export function getConfigSources(cwd = process.cwd()) {
+  return [
+    { name: "global", path: getGlobalConfigPath() },
+    { name: "project", path: findProjectConfig(cwd) },
+  ]
+    .filter((source) => source.path)
+    .map((source) => ({ ...source, data: readConfigFile(source.path) }));
+}
+
+// PIXPRESS_ON_CONFLICT for onConflict, PIXPRESS_QUALITY_WEBP for quality.webp
+function getEnvName(key) {
+  return `PIXPRESS_${key
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .replace(/\./g, "_")
+    .toUpperCase()}`;
+}
+
+// Read a dotted key such as "quality.webp" out of nested config data
+function getNested(data, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      data
+    );
+}
+
+function getSetting(key) {
+  const setting = configSettings[key];
+
+  if (!setting) {
+    throw new InvalidOptionError(
+      `Unknown config key: ${key}. Available: ${Object.keys(
+        configSettings
+      ).join(", ")}`
+    );
+  }
+
+  return setting;
+}
+
+// Convert a value typed on the command line or in an environment variable
+// to the setting's type and check it, naming `origin` in any error
+function parseSettingValue(key, value, origin) {
+  const setting = getSetting(key);
+  let parsed = value;
+
+  if (typeof value === "string") {
+    if (setting.type === "boolean" && /^(true|false)$/i.test(value)) {
+      parsed = value.toLowerCase() === "true";
+    } else if (setting.type === "integer" && value.trim() !== "") {
+      parsed = Number(value);
+    } else if (setting.values) {
+      parsed = value.toLowerCase();
+    }
+  }
+
+  const problem = checkOptionValue(parsed, setting);
+  if (problem) {
+    throw new InvalidOptionError(
+      `Invalid ${key} in ${origin}: ${problem} (got ${JSON.stringify(value)})`
+    );
+  }
+
+  return parsed;
+}
+
+// Override a setting for this run from a command line flag. `flag` names
+// the flag in error messages.
+export function setConfigOverride(key, value, flag) {
+  flagOverrides[key] = parseSettingValue(key, value, flag);
+  cachedConfig = null;
+}
+
+// Resolve every setting to { value, source }, where source is "default",
+// "global", "project", "env" or "flag"
+export function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const config = {};
+  const sources = getConfigSources();
+
+  for (const [key, setting] of Object.entries(configSettings)) {
+    config[key] = { value: setting.default, source: "default" };
+
+    for (const source of sources) {
+      const value = getNested(source.data, key);
+      if (value !== undefined && value !== null) {
+        config[key] = {
+          value: parseSettingValue(key, value, source.path),
+          source: source.name,
+        };
+      }
+    }
+
+    const envName = getEnvName(key);
+    if (process.env[envName] !== undefined && process.env[envName] !== "") {
+      config[key] = {
+        value: parseSettingValue(key, process.env[envName], envName),
+        source: "env",
+      };
+    }
+
+    if (flagOverrides[key] !== undefined) {
+      config[key] = { value: flagOverrides[key], source: "flag" };
+    }
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+// The resolved value of a single setting
+export function getConfigValue(key) {
+  getSetting(key);
+  return loadConfig()[key].value;
+}
+
+// Configured default quality for an output format, or null
+export function getDefaultQuality(format) {
+  return loadConfig()[`quality.${format}`]?.value ?? null;
+}
+
+// Write a setting to the global config, or to the project .pixpressrc
+// when `project` is set. Other keys in the file are left untouched.
+export async function setConfigValue(key, value, options = {}) {
+  const configPath = options.project
+    ? findProjectConfig() || path.join(process.cwd(), projectConfigName)
+    : getGlobalConfigPath();
+  const parsed = parseSettingValue(key, value, "config set");
+
+  const data = readConfigFile(configPath);
+  const parts = key.split(".");
+  let target = data;
+
+  parts.slice(0, -1).forEach((part) => {
+    if (!target[part] || typeof target[part] !== "object") {
+      target[part] = {};
+    }
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = parsed;
+
+  // Keep YAML project files in YAML, everything else is written as JSON
+  const existing = (await fs.pathExists(configPath))
+    ? await fs.readFile(configPath, "utf8")
+    : "";
+  const asYaml = options.project && existing.trim() && !/^\s*\{/.test(existing);
+
+  await fs.outputFile(
+    configPath,
+    asYaml ? YAML.stringify(data) : `${JSON.stringify(data, null, 2)}\n`
+  );
+
+  cachedConfig = null;
+  return { key, value: parsed, path: configPath };
+}
+
+export async function configCommand(action, key, value, options = {}) {
+  try {
+    switch (action) {
+      case "get": {
+        if (!key) {
+          throw new InvalidOptionError("Usage: pixpress config get <key>");
+        }
+        const resolved = getConfigValue(key);
+        if (isJsonOutput()) {
+          printJson({ ok: true, key, value: resolved });
+        } else {
+          console.log(resolved === null ? "" : String(resolved));
+        }
+        break;
+      }
+
+      case "set": {
+        if (!key || value === undefined) {
+          throw new InvalidOptionError(
+            "Usage: pixpress config set <key> <value>"
+          );
+        }
+        const saved = await setConfigValue(key, value, options);
+        if (isJsonOutput()) {
+          printJson({ ok: true, ...saved });
+          break;
+        }
+        console.log(
+          chalk.green(`✓ ${saved.key} = ${saved.value}`) +
+            chalk.dim(` (saved to ${saved.path})`)
+        );
+        break;
+      }
+
+      case "list":
+        listConfig();
+        break;
+
+      case "path": {
+        const projectPath = findProjectConfig();
+        if (isJsonOutput()) {
+          printJson({
+            ok: true,
+            global: getGlobalConfigPath(),
+            project: projectPath,
+          });
+          break;
+        }
+        console.log(chalk.white(`Global:  ${getGlobalConfigPath()}`));
+        console.log(
+          chalk.white(`Project: ${projectPath || chalk.dim("(none found)")}`)
+        );
+        break;
+      }
+
+      default:
+        throw new InvalidOptionError(
+          `Unknown config action: ${action}. Available: get, set, list, path`
+        );
+    }
+  } catch (error) {
+    handleError(null, error);
+  }
+}
+
+// Print every setting with its current value and where it came from
+function listConfig() {
+  const config = loadConfig();
+
+  if (isJsonOutput()) {
+    printJson({ ok: true, config });
+    return;
+  }
+
+  console.log(chalk.cyan.bold("\n⚙️  Pixpress Configuration\n"));
+
+  for (const [key, setting] of Object.entries(configSettings)) {
+    const { value, source } = config[key];
+    const shown = value === null ? chalk.dim("(not set)") : chalk.cyan(value);
+
+    console.log(`  ${chalk.white(key.padEnd(14))} ${shown}`);
+    console.log(
+      chalk.dim(
+        `  ${" ".repeat(14)} ${setting.description} [${source}, ${getEnvName(
+          key
+        )}]`
+      )
+    );
+  }
+
+  console.log("");
+}
@@ -1,128 +1,99 @@
 // utils/convert.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
-import fs from "fs-extra";
 import {
-  validateInput,
+  loadInput,
+  encodeImage,
+  renderImage,
+  normalizeFormat,
+  saveOutput,
   generateOutputPath,
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  isJsonOutput,
+  isStdio,
   displayOutputLocation,
+  displayWarnings,
+  validateOutputFormat,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+
+// Convert an image to another format and return the encoded buffer
+export async function convert(input, options = {}) {
+  if (!options.format) {
+    throw new InvalidOptionError("Please specify an output format");
+  }
+
+  const format = validateOutputFormat(options.format);
+
+  const image = await loadInput(input);
+  let pipeline = sharp(image.source);
+
+  // Apply color filters/effects if specified
+  if (options.filter) {
+    pipeline = applyColorFilter(pipeline, options.filter, options);
+  }
+
+  pipeline = encodeImage(pipeline, normalizeFormat(format), {
+    quality: options.quality,
+  });
+
+  return renderImage(pipeline, image);
+}
 
 export async function convertCommand(input, options) {
   await initializePixpressDirectory();
 
-  const spinner = ora("Converting image...").start();
+  const spinner = startSpinner("Converting image...");
+  const timer = startTimer();
 
   try {
-    const processedInputPath = await validateInput(input);
-    const wasConverted = processedInputPath !== input;
-
     const format = options.format.toLowerCase();
-    const supportedFormats = [
-      "jpg",
-      "jpeg",
-      "png",
-      "webp",
-      "tiff",
-      "gif",
-      "bmp",
-      "avif",
-    ];
-
-    if (!supportedFormats.includes(format)) {
-      throw new Error(
-        `Unsupported format: ${format}. Supported: ${supportedFormats.join(
-          ", "
-        )}`
-      );
-    }
 
-    const outputPath = await generateOutputPath(
+    let outputPath = await generateOutputPath(
       input,
       "converted",
       "",
       `.${format}`,
-      options.output
+      options.output,
+      options.name
     );
 
-    const metadata = await sharp(processedInputPath).metadata();
+    spinner.text = options.filter
+      ? `Applying ${
+          options.filter
+        } filter and converting to ${format.toUpperCase()}`
+      : `Converting to ${format.toUpperCase()}`;
+
+    const result = await convert(input, options);
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "convert",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     // Special handling for HEIC/HEIF files
-    const isHeicInput =
-      metadata.format === "heif" || metadata.format === "heic" || wasConverted;
-    if (isHeicInput) {
-      spinner.text = `Converting HEIC/HEIF → ${format.toUpperCase()}`;
+    if (result.input.isHeic && !isJsonOutput() && !isStdio(outputPath)) {
       console.log(
         chalk.cyan("📱 Processing HEIC/HEIF file from iOS/macOS device")
       );
-    } else {
-      spinner.text = `Converting ${
-        metadata.format?.toUpperCase() || "Unknown"
-      } → ${format.toUpperCase()}`;
-    }
-
-    let pipeline = sharp(processedInputPath);
-
-    // Apply color filters/effects if specified
-    if (options.filter) {
-      pipeline = applyColorFilter(pipeline, options.filter, options);
-      spinner.text = `Applying ${
-        options.filter
-      } filter and converting to ${format.toUpperCase()}`;
     }
 
-    // Apply format-specific optimizations
-    switch (format) {
-      case "jpg":
-      case "jpeg":
-        pipeline = pipeline.jpeg({
-          quality: parseInt(options.quality),
-          progressive: true,
-        });
-        break;
-      case "png":
-        pipeline = pipeline.png({
-          progressive: true,
-          compressionLevel: 6,
-        });
-        break;
-      case "webp":
-        pipeline = pipeline.webp({
-          quality: parseInt(options.quality),
-          effort: 4,
-        });
-        break;
-      case "tiff":
-        pipeline = pipeline.tiff({
-          quality: parseInt(options.quality),
-        });
-        break;
-      case "gif":
-        pipeline = pipeline.gif();
-        break;
-      case "bmp":
-        pipeline = pipeline.bmp();
-        break;
-      case "avif":
-        pipeline = pipeline.avif({
-          quality: parseInt(options.quality),
-        });
-        break;
-    }
-
-    await pipeline.toFile(outputPath);
-
-    const inputSize = (await fs.stat(processedInputPath)).size;
-    const outputSize = (await fs.stat(outputPath)).size;
+    const inputSize = result.input.size;
+    const outputSize = result.info.size;
     const savings = (((inputSize - outputSize) / inputSize) * 100).toFixed(1);
 
     const filterText = options.filter ? ` with ${options.filter} filter` : "";
-    const inputFormatText = isHeicInput
+    const inputFormatText = result.input.isHeic
       ? "HEIC/HEIF"
-      : metadata.format?.toUpperCase() || "Unknown";
+      : result.input.format?.toUpperCase() || "Unknown";
 
     spinner.succeed(
       chalk.green("✓ Image converted successfully!") +
@@ -137,6 +108,14 @@ export async function convertCommand(input, options) {
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("convert", {
+      result,
+      outputPath,
+      timer,
+      details: { filter: options.filter || null },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
@@ -246,7 +225,7 @@ function applyColorFilter(pipeline, filterName, options = {}) {
         .tint({ r: 255, g: 0, b: 128 });
 
     default:
-      throw new Error(
+      throw new InvalidOptionError(
         `Unknown filter: ${filterName}. Available filters: grayscale, sepia, vintage, cool, warm, dramatic, soft, vivid, muted, bright, dark, negative, polaroid, noir, retro, cyberpunk`
       );
   }
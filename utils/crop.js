@@ -0,0 +1,319 @@
+// utils/crop.js
+import sharp from "sharp";
+import chalk from "chalk";
+import {
+  loadInput,
+  encodeImage,
+  renderImage,
+  resolveOutputFormat,
+  formatFromPath,
+  extensionForFormat,
+  validateOutputFormat,
+  saveOutput,
+  generateOutputPath,
+  handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  displayOutputLocation,
+  displayWarnings,
+  initializePixpressDirectory,
+} from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { checkOptionValue } from "./schema.js";
+import { getCropRules } from "./resize.js";
+import { InvalidOptionError } from "./errors.js";
+
+// Sharp's default: how far a color may be from the border color and
+// still count as border
+const defaultTolerance = 10;
+
+// "10,20,300,200" in pixels, or "10%,10%,80%,80%" of the image
+function parseRect(value) {
+  const parts = String(value)
+    .split(",")
+    .map((part) => part.trim());
+
+  const numbers = parts.map((part) => {
+    const match = part.match(/^(\d+(?:\.\d+)?)(%?)$/);
+    return match && { value: Number(match[1]), percent: match[2] === "%" };
+  });
+
+  if (
+    parts.length !== 4 ||
+    numbers.some((number) => !number) ||
+    numbers[2].value === 0 ||
+    numbers[3].value === 0 ||
+    numbers.some((number) => number.percent && number.value > 100)
+  ) {
+    throw new InvalidOptionError(
+      `--rect must be "x,y,width,height" in pixels or percentages, got: ${value}`
+    );
+  }
+
+  const [left, top, width, height] = numbers;
+  return { left, top, width, height };
+}
+
+// "16:9", "16/9", "4x5" or a plain ratio such as "1.5"
+function parseAspect(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(?:\s*[:/x]\s*(\d+(?:\.\d+)?))?$/i);
+  const ratio = match && Number(match[1]) / Number(match[2] ?? 1);
+
+  if (!ratio || !Number.isFinite(ratio)) {
+    throw new InvalidOptionError(
+      `--aspect must be a ratio such as 16:9 or 1.5, got: ${value}`
+    );
+  }
+
+  return ratio;
+}
+
+// Check the crop options and return the one crop they ask for. Nothing
+// here needs the image, so batches can check the options up front.
+export function parseCropOptions(options = {}) {
+  const modes = ["rect", "aspect", "trim"].filter((key) => options[key]);
+
+  if (modes.length === 0) {
+    throw new InvalidOptionError("Please specify --rect, --aspect or --trim");
+  }
+  if (modes.length > 1) {
+    throw new InvalidOptionError("Use only one of --rect, --aspect and --trim");
+  }
+
+  const [mode] = modes;
+
+  if (options.gravity !== undefined) {
+    if (mode !== "aspect") {
+      throw new InvalidOptionError("--gravity only applies to --aspect");
+    }
+    const problem = checkOptionValue(options.gravity, getCropRules().gravity);
+    if (problem) {
+      throw new InvalidOptionError(`--gravity ${problem}`);
+    }
+  }
+
+  if (options.tolerance !== undefined) {
+    if (mode !== "trim") {
+      throw new InvalidOptionError("--tolerance only applies to --trim");
+    }
+    const problem = checkOptionValue(options.tolerance, {
+      type: "number",
+      min: 0,
+      max: 255,
+    });
+    if (problem) {
+      throw new InvalidOptionError(`--tolerance ${problem}`);
+    }
+  }
+
+  switch (mode) {
+    case "rect":
+      return { mode, rect: parseRect(options.rect), source: options.rect };
+    case "aspect":
+      return {
+        mode,
+        ratio: parseAspect(options.aspect),
+        gravity: String(options.gravity || "center").toLowerCase(),
+        source: options.aspect,
+      };
+    case "trim":
+      return {
+        mode,
+        tolerance: Number(options.tolerance ?? defaultTolerance),
+      };
+  }
+}
+
+// Short description of the crop, e.g. "16:9 (north)" or "trim borders"
+export function describeCropOptions(options = {}) {
+  const crop = parseCropOptions(options);
+
+  switch (crop.mode) {
+    case "rect":
+      return `region ${crop.source}`;
+    case "aspect":
+      return `${crop.source} (${crop.gravity})`;
+    case "trim":
+      return `trim borders (tolerance ${crop.tolerance})`;
+  }
+}
+
+// The largest region of the given aspect ratio, placed by gravity
+function aspectRegion(ratio, gravity, { width, height }) {
+  const regionWidth = Math.min(width, Math.round(height * ratio));
+  const regionHeight = Math.min(height, Math.round(width / ratio));
+
+  const spareWidth = width - regionWidth;
+  const spareHeight = height - regionHeight;
+
+  return {
+    left: gravity.includes("west")
+      ? 0
+      : gravity.includes("east")
+      ? spareWidth
+      : Math.floor(spareWidth / 2),
+    top: gravity.includes("north")
+      ? 0
+      : gravity.includes("south")
+      ? spareHeight
+      : Math.floor(spareHeight / 2),
+    width: Math.max(1, regionWidth),
+    height: Math.max(1, regionHeight),
+  };
+}
+
+// Add a crop step to an existing Sharp pipeline. Regions and aspect
+// ratios need the `dimensions` of the image going into the step.
+export function applyCrop(pipeline, options = {}, dimensions = null) {
+  const crop = parseCropOptions(options);
+
+  if (crop.mode === "trim") {
+    return pipeline.trim({ threshold: crop.tolerance });
+  }
+
+  const { width, height } = dimensions || {};
+  if (!width || !height) {
+    throw new InvalidOptionError(
+      `--${crop.mode} needs the size of the image, which isn't known at this step`
+    );
+  }
+
+  if (crop.mode === "aspect") {
+    return pipeline.extract(
+      aspectRegion(crop.ratio, crop.gravity, { width, height })
+    );
+  }
+
+  const resolve = ({ value, percent }, size) =>
+    Math.round(percent ? (value / 100) * size : value);
+  const region = {
+    left: resolve(crop.rect.left, width),
+    top: resolve(crop.rect.top, height),
+    width: Math.max(1, resolve(crop.rect.width, width)),
+    height: Math.max(1, resolve(crop.rect.height, height)),
+  };
+
+  if (
+    region.left + region.width > width ||
+    region.top + region.height > height
+  ) {
+    throw new InvalidOptionError(
+      `--rect ${crop.source} reaches outside the ${width}x${height} image`
+    );
+  }
+
+  return pipeline.extract(region);
+}
+
+// Whether every pixel is within `tolerance` of the top-left one, the
+// color trim treats as the border
+async function isUniform(source, tolerance) {
+  const [corner, { channels }] = await Promise.all([
+    sharp(source)
+      .extract({ left: 0, top: 0, width: 1, height: 1 })
+      .raw()
+      .toBuffer(),
+    sharp(source).stats(),
+  ]);
+
+  return channels.every(
+    ({ min, max }, index) =>
+      corner[index] - min <= tolerance && max - corner[index] <= tolerance
+  );
+}
+
+// Crop an image and return the encoded buffer
+export async function crop(input, options = {}) {
+  const image = await loadInput(input);
+
+  let pipeline = applyCrop(sharp(image.source), options, image);
+
+  pipeline = encodeImage(pipeline, resolveOutputFormat(options.format, image), {
+    quality: options.quality,
+  });
+
+  const result = await renderImage(pipeline, image);
+
+  if (
+    options.trim &&
+    result.info.width === image.width &&
+    result.info.height === image.height
+  ) {
+    // Sharp leaves the image alone both when there is no border and when
+    // the whole image would be trimmed away
+    const uniform = await isUniform(
+      image.source,
+      parseCropOptions(options).tolerance
+    );
+    result.warnings = [
+      ...result.warnings,
+      uniform
+        ? "The whole image is within --tolerance of its border color, so trimming would leave nothing; try a lower --tolerance"
+        : "No uniform border found to trim; try a higher --tolerance",
+    ];
+  }
+
+  return result;
+}
+
+export async function cropCommand(input, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Cropping image...");
+  const timer = startTimer();
+
+  try {
+    const description = describeCropOptions(options);
+    const format = options.format ? validateOutputFormat(options.format) : null;
+
+    let outputPath = await generateOutputPath(
+      input,
+      "cropped",
+      "_cropped",
+      format ? extensionForFormat(format) : null,
+      options.output,
+      options.name
+    );
+
+    spinner.text = `Cropping: ${description}`;
+
+    const result = await crop(input, {
+      ...options,
+      format: format || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "crop",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
+
+    spinner.succeed(
+      chalk.green("✓ Image cropped successfully!") +
+        chalk.dim(`\n  Crop: ${description}`) +
+        chalk.dim(
+          `\n  Dimensions: ${result.input.width}x${result.input.height} → ${result.info.width}x${result.info.height}`
+        ) +
+        chalk.dim(
+          `\n  Size: ${result.input.size} bytes → ${result.info.size} bytes`
+        )
+    );
+
+    displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("crop", {
+      result,
+      outputPath,
+      timer,
+      details: { crop: description },
+    });
+    return outputPath;
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
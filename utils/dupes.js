@@ -0,0 +1,451 @@
+// utils/dupes.js
+import fs from "fs-extra";
+import path from "path";
+import sharp from "sharp";
+import chalk from "chalk";
+import { findImageFiles } from "./batch.js";
+import { checkOptionValue } from "./schema.js";
+import {
+  InputError,
+  InputNotFoundError,
+  InvalidOptionError,
+  OutputSkippedError,
+  toPixpressError,
+} from "./errors.js";
+import {
+  loadInput,
+  resolveMoveTarget,
+  formatFileSize,
+  handleError,
+  setFailureExitCode,
+  isJsonOutput,
+  printJson,
+  startSpinner,
+  startTimer,
+} from "./helpers.js";
+
+const hashAlgorithms = ["ahash", "dhash", "phash"];
+const keepRules = ["largest", "sharpest"];
+const defaultThreshold = 8;
+
+// Grayscale pixels of an image shrunk to width x height, ignoring its
+// aspect ratio
+async function grayscalePixels(source, width, height) {
+  return sharp(source)
+    .rotate()
+    .grayscale()
+    .resize(width, height, { fit: "fill" })
+    .raw()
+    .toBuffer();
+}
+
+function bitsToHex(bits) {
+  let value = 0n;
+  for (const bit of bits) {
+    value = (value << 1n) | (bit ? 1n : 0n);
+  }
+  return value.toString(16).padStart(16, "0");
+}
+
+// Cosines of the 8 lowest frequencies of a 32-point DCT
+const dctCosines = Array.from({ length: 8 }, (_, u) =>
+  Array.from({ length: 32 }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / 64)
+  )
+);
+
+// aHash: is each pixel of an 8x8 thumbnail brighter than the average
+function averageHash(pixels) {
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  return bitsToHex([...pixels].map((value) => value > mean));
+}
+
+// dHash: is each pixel of a 9x8 thumbnail brighter than its right
+// neighbour
+function differenceHash(pixels) {
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+// pHash: is each of the 8x8 lowest frequencies of a 32x32 thumbnail's DCT
+// above their median
+function perceptionHash(pixels) {
+  const rows = dctCosines.map((cosines) =>
+    Array.from({ length: 32 }, (_, y) =>
+      cosines.reduce((sum, cos, x) => sum + pixels[y * 32 + x] * cos, 0)
+    )
+  );
+  const coefficients = [];
+  for (const row of rows) {
+    for (const cosines of dctCosines) {
+      coefficients.push(
+        row.reduce((sum, value, y) => sum + value * cosines[y], 0)
+      );
+    }
+  }
+
+  // The first coefficient is the average brightness, which says nothing
+  // about the picture's structure
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map((value) => value > median));
+}
+
+// 64-bit perceptual hash of an image as 16 hex digits. Similar images get
+// hashes that differ in few bits.
+export async function perceptualHash(source, algorithm = "dhash") {
+  switch (algorithm) {
+    case "ahash":
+      return averageHash(await grayscalePixels(source, 8, 8));
+    case "dhash":
+      return differenceHash(await grayscalePixels(source, 9, 8));
+    case "phash":
+      return perceptionHash(await grayscalePixels(source, 32, 32));
+    default:
+      throw new InvalidOptionError(
+        `Unknown hash algorithm: ${algorithm}. Available: ${hashAlgorithms.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+// Number of bits two hashes differ in
+export function hammingDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (difference) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return count;
+}
+
+// Sharpness measured on a copy scaled to a common size, so copies of
+// different sizes compare fairly: upscaling a small copy softens it
+async function measureSharpness(source) {
+  const resized = await sharp(source)
+    .rotate()
+    .grayscale()
+    .resize(1024, 1024, { fit: "inside" })
+    .toBuffer();
+  return (await sharp(resized).stats()).sharpness;
+}
+
+// Put each image in the first group whose first image is within
+// `threshold` bits of it. Comparing with the first image only keeps a
+// chain of slightly different images from ending up in one group.
+// Returns the groups of two or more, in file order.
+function groupSimilar(images, threshold) {
+  const groups = [];
+
+  for (const image of images) {
+    const group = groups.find(
+      ([first]) => hammingDistance(first.hash, image.hash) <= threshold
+    );
+    if (group) {
+      group.push(image);
+    } else {
+      groups.push([image]);
+    }
+  }
+
+  return groups.filter((group) => group.length > 1);
+}
+
+// The copy to keep: the most pixels (then bytes), or the sharpest
+function pickBest(group, keep) {
+  const score =
+    keep === "sharpest"
+      ? (image) => [image.sharpness, image.width * image.height, image.size]
+      : (image) => [image.width * image.height, image.size];
+
+  return group.reduce((best, image) => {
+    const [a, b] = [score(image), score(best)];
+    const index = a.findIndex((value, i) => value !== b[i]);
+    return index !== -1 && a[index] > b[index] ? image : best;
+  });
+}
+
+function validateDupesOptions(options) {
+  const algorithm = (options.algorithm || "dhash").toLowerCase();
+  const keep = (options.keep || "largest").toLowerCase();
+
+  for (const [flag, value, values] of [
+    ["--algorithm", algorithm, hashAlgorithms],
+    ["--keep", keep, keepRules],
+  ]) {
+    const problem = checkOptionValue(value, { values });
+    if (problem) {
+      throw new InvalidOptionError(`${flag} ${problem}`);
+    }
+  }
+
+  let threshold = defaultThreshold;
+  if (options.threshold !== undefined) {
+    const problem = checkOptionValue(options.threshold, {
+      type: "integer",
+      min: 0,
+      max: 64,
+    });
+    if (problem) {
+      throw new InvalidOptionError(`--threshold ${problem}`);
+    }
+    threshold = Number(options.threshold);
+  }
+
+  if (options.move && options.delete) {
+    throw new InvalidOptionError("Use either --move or --delete, not both");
+  }
+
+  return { algorithm, threshold, keep };
+}
+
+// Find groups of identical or near-identical images in a folder, such as
+// burst shots and re-exported copies. Reports each group with the copy
+// worth keeping; --move or --delete deals with the others.
+export async function dupesCommand(folder, options = {}) {
+  const spinner = startSpinner("Scanning folder for images...");
+  const timer = startTimer();
+
+  try {
+    const { algorithm, threshold, keep } = validateDupesOptions(options);
+
+    if (!(await fs.pathExists(folder))) {
+      throw new InputNotFoundError(`Folder not found: ${folder}`);
+    }
+    if (!(await fs.stat(folder)).isDirectory()) {
+      throw new InputError(`Path is not a directory: ${folder}`);
+    }
+
+    const files = await findImageFiles(folder, options);
+    const images = [];
+    const unreadable = [];
+
+    for (const [index, file] of files.entries()) {
+      spinner.text = `Hashing images (${index + 1}/${files.length})...`;
+
+      try {
+        const image = await loadInput(file.path);
+        images.push({
+          path: file.path,
+          relativePath: file.relativePath,
+          width: image.width,
+          height: image.height,
+          size: image.size,
+          hash: await perceptualHash(image.source, algorithm),
+          ...(keep === "sharpest" && {
+            sharpness: await measureSharpness(image.source),
+          }),
+        });
+      } catch (caught) {
+        const error = toPixpressError(caught);
+        unreadable.push({
+          file: file.relativePath,
+          error: error.message,
+          code: error.code || null,
+          exitCode: error.exitCode || 1,
+        });
+      }
+    }
+    timer.lap("hash");
+
+    const groups = groupSimilar(images, threshold).map((group) => {
+      const best = pickBest(group, keep);
+      return {
+        keep: best,
+        duplicates: group
+          .filter((image) => image !== best)
+          .map((image) => ({
+            ...image,
+            distance: hammingDistance(image.hash, best.hash),
+          })),
+      };
+    });
+    timer.lap("group");
+
+    // Move or delete everything but the copy to keep
+    const removed = [];
+    const action = options.move ? "move" : options.delete ? "delete" : null;
+    if (action && !options.dryRun) {
+      spinner.text = options.move
+        ? "Moving duplicates..."
+        : "Deleting duplicates...";
+
+      for (const { duplicates } of groups) {
+        for (const image of duplicates) {
+          if (options.delete) {
+            await fs.remove(image.path);
+            removed.push({ file: image.relativePath, to: null });
+            continue;
+          }
+
+          try {
+            const destination = await resolveMoveTarget(
+              path.join(options.move, image.relativePath)
+            );
+            await fs.move(image.path, destination);
+            removed.push({ file: image.relativePath, to: destination });
+          } catch (error) {
+            if (!(error instanceof OutputSkippedError)) throw error;
+          }
+        }
+      }
+      timer.lap(action);
+    }
+
+    const duplicateCount = groups.reduce(
+      (sum, group) => sum + group.duplicates.length,
+      0
+    );
+    const duplicateBytes = groups.reduce(
+      (sum, group) =>
+        sum + group.duplicates.reduce((total, image) => total + image.size, 0),
+      0
+    );
+
+    if (isJsonOutput()) {
+      spinner.stop();
+      const describe = ({ path: filePath, relativePath, ...image }) => ({
+        file: relativePath,
+        ...image,
+      });
+      printJson({
+        ok: unreadable.length === 0,
+        operation: "dupes",
+        folder,
+        algorithm,
+        threshold,
+        keep,
+        scanned: files.length,
+        groups: groups.map((group) => ({
+          keep: describe(group.keep),
+          duplicates: group.duplicates.map(describe),
+        })),
+        duplicates: duplicateCount,
+        duplicateSize: duplicateBytes,
+        action,
+        dryRun: Boolean(options.dryRun),
+        removed,
+        unreadable,
+        timings: timer.timings(),
+      });
+    } else {
+      displayDupesResults(spinner, {
+        files,
+        groups,
+        unreadable,
+        removed,
+        action,
+        duplicateCount,
+        duplicateBytes,
+        options,
+      });
+    }
+
+    setFailureExitCode(unreadable);
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
+
+function displayDupesResults(
+  spinner,
+  {
+    files,
+    groups,
+    unreadable,
+    removed,
+    action,
+    duplicateCount,
+    duplicateBytes,
+    options,
+  }
+) {
+  if (groups.length === 0) {
+    spinner.succeed(
+      chalk.green(`✓ No similar images among ${files.length} image(s)`)
+    );
+  } else {
+    spinner.succeed(
+      chalk.green(
+        `✓ Found ${groups.length} group(s) of similar images among ${files.length} image(s)`
+      )
+    );
+  }
+
+  const describe = (image) =>
+    `${image.relativePath}  ${chalk.dim(
+      `${image.width}x${image.height}  ${formatFileSize(image.size)}${
+        image.sharpness !== undefined
+          ? `  sharpness ${image.sharpness.toFixed(2)}`
+          : ""
+      }`
+    )}`;
+
+  groups.forEach((group, index) => {
+    console.log(
+      chalk.white.bold(
+        `\n📁 Group ${index + 1} (${group.duplicates.length + 1} images)`
+      )
+    );
+    console.log(chalk.green(`  ★ ${describe(group.keep)}`));
+    for (const image of group.duplicates) {
+      console.log(
+        `    ${describe(image)}${chalk.dim(`  distance ${image.distance}`)}`
+      );
+    }
+  });
+
+  if (groups.length > 0) {
+    console.log(
+      chalk.white.bold(
+        `\n📊 ${duplicateCount} duplicate(s) using ${formatFileSize(
+          duplicateBytes
+        )}`
+      )
+    );
+  }
+
+  if (action && options.dryRun) {
+    console.log(
+      chalk.cyan(
+        `🔍 Dry run: ${duplicateCount} duplicate(s) would be ${
+          action === "move" ? `moved to ${options.move}` : "deleted"
+        }`
+      )
+    );
+  } else if (action === "move") {
+    console.log(
+      chalk.green(`✓ Moved ${removed.length} duplicate(s) to ${options.move}`)
+    );
+  } else if (action === "delete") {
+    console.log(chalk.green(`✓ Deleted ${removed.length} duplicate(s)`));
+  } else if (groups.length > 0) {
+    console.log(
+      chalk.dim(
+        "  ★ marks the copy to keep. Add --move <folder> or --delete to remove the others."
+      )
+    );
+  }
+
+  if (unreadable.length > 0) {
+    console.log(
+      chalk.red.bold(`\n❌ Could not read ${unreadable.length} file(s):`)
+    );
+    unreadable.forEach((failure, index) => {
+      console.log(
+        chalk.red(
+          `  ${index + 1}. ${failure.file}: ${failure.error}${
+            failure.code ? ` [${failure.code}]` : ""
+          }`
+        )
+      );
+    });
+  }
+}
@@ -0,0 +1,117 @@
+// utils/errors.js
+
+// Base class for every error thrown by Pixpress operations. Each subclass
+// has its own code, process exit code and remediation hint; `options.hint`
+// replaces the hint when the usual one doesn't fit.
+export class PixpressError extends Error {
+  static code = "PIXPRESS_ERROR";
+  static exitCode = 1;
+
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || this.constructor.code;
+    this.exitCode = this.constructor.exitCode;
+    this.hint = options.hint || errorHints[this.code] || null;
+
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+// The input is missing, unreadable or otherwise unusable
+export class InputError extends PixpressError {
+  static code = "INPUT_ERROR";
+  static exitCode = 3;
+}
+
+// The input path doesn't exist
+export class InputNotFoundError extends InputError {
+  static code = "INPUT_NOT_FOUND";
+}
+
+// The input exists but can't be decoded as an image
+export class DecodeFailedError extends InputError {
+  static code = "DECODE_FAILED";
+  static exitCode = 5;
+}
+
+// An option value is missing, out of range or unknown
+export class InvalidOptionError extends PixpressError {
+  static code = "INVALID_OPTION";
+  static exitCode = 2;
+}
+
+// The input or requested output format isn't supported
+export class UnsupportedFormatError extends PixpressError {
+  static code = "UNSUPPORTED_FORMAT";
+  static exitCode = 4;
+}
+
+// A HEIC/HEIF file can't be decoded because no decoder is available
+export class HeicUnavailableError extends PixpressError {
+  static code = "HEIC_UNAVAILABLE";
+  static exitCode = 6;
+}
+
+// The output couldn't be written
+export class WriteFailedError extends PixpressError {
+  static code = "WRITE_FAILED";
+  static exitCode = 7;
+}
+
+// The output file exists and the conflict policy says not to replace it
+export class OutputExistsError extends WriteFailedError {
+  static code = "OUTPUT_EXISTS";
+}
+
+// Not a failure: the output exists and the conflict policy says to skip
+// it. Commands report it and exit with 0.
+export class OutputSkippedError extends PixpressError {
+  static code = "OUTPUT_SKIPPED";
+  static exitCode = 0;
+
+  constructor(outputPath, options = {}) {
+    super(`Output file already exists, skipped: ${outputPath}`, options);
+    this.path = outputPath;
+  }
+}
+
+const errorHints = {
+  INPUT_ERROR: "Check that the path points to an image file you can read.",
+  INPUT_NOT_FOUND:
+    "Check the path for typos and quote paths that contain spaces.",
+  DECODE_FAILED:
+    "The file may be truncated or not really an image. Try opening it in another viewer or re-exporting it.",
+  INVALID_OPTION: "Run the command with --help to see the accepted options.",
+  UNSUPPORTED_FORMAT:
+    "Supported inputs: JPG, PNG, WebP, TIFF, GIF, BMP, AVIF, HEIC/HEIF. Supported outputs: JPG, PNG, WebP, TIFF, GIF, BMP, AVIF.",
+  HEIC_UNAVAILABLE:
+    "Install the fallback decoder with 'npm install heic-convert', or install libheif (brew install libheif / sudo apt install libheif-dev).",
+  WRITE_FAILED:
+    "Check that the output folder is writable and the disk isn't full.",
+  OUTPUT_EXISTS:
+    "Pick another output path, or pass --on-conflict overwrite|rename|skip (or set it with 'pixpress config set onConflict <policy>').",
+};
+
+// Turn errors from Sharp and Node into their Pixpress equivalents so they
+// get the right exit code and hint. Pixpress errors pass through.
+export function toPixpressError(error) {
+  if (error instanceof PixpressError) {
+    return error;
+  }
+
+  if (/unsupported image format/i.test(error.message || "")) {
+    return new UnsupportedFormatError(error.message, { cause: error });
+  }
+
+  if (error.code === "ENOENT") {
+    return new InputNotFoundError(
+      `File not found${error.path ? `: ${error.path}` : ""}`,
+      { cause: error }
+    );
+  }
+
+  return error;
+}
@@ -0,0 +1,123 @@
+// utils/exif.js
+import fs from "fs-extra";
+
+// ASCII tags Pixpress reads, by TIFF tag id. Capture dates live in the
+// Exif sub-IFD; the camera and DateTime (last modified) in IFD0.
+const asciiTags = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0132: "dateTime",
+  0x9003: "dateTimeOriginal",
+  0x9004: "dateTimeDigitized",
+};
+
+const exifIfdPointer = 0x8769;
+
+// Read the entries of one IFD into `tags`, returning the Exif sub-IFD
+// offset if the IFD points to one
+function readIfd(tiff, offset, littleEndian, tags) {
+  const readUInt16 = (at) =>
+    littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at);
+  const readUInt32 = (at) =>
+    littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at);
+
+  if (offset + 2 > tiff.length) {
+    return null;
+  }
+
+  const count = readUInt16(offset);
+  let subIfd = null;
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = readUInt16(entry);
+    const type = readUInt16(entry + 2);
+    const length = readUInt32(entry + 4);
+
+    if (tag === exifIfdPointer) {
+      subIfd = readUInt32(entry + 8);
+    } else if (asciiTags[tag] && type === 2) {
+      // Values of 4 bytes or less are stored in the entry itself
+      const start = length <= 4 ? entry + 8 : readUInt32(entry + 8);
+      if (start + length <= tiff.length) {
+        tags[asciiTags[tag]] = tiff
+          .toString("latin1", start, start + length)
+          .replace(/\0+$/, "")
+          .trim();
+      }
+    }
+  }
+
+  return subIfd;
+}
+
+// Parse the date and camera tags out of the raw EXIF block Sharp returns
+// in metadata.exif. Malformed data reads as no tags.
+export function readExifTags(exif) {
+  const tags = {};
+
+  if (!exif || exif.length < 8) {
+    return tags;
+  }
+
+  // Sharp includes the "Exif\0\0" APP1 header before the TIFF data
+  const tiff =
+    exif.toString("latin1", 0, 4) === "Exif" ? exif.subarray(6) : exif;
+  const byteOrder = tiff.toString("latin1", 0, 2);
+
+  if (byteOrder !== "II" && byteOrder !== "MM") {
+    return tags;
+  }
+
+  const littleEndian = byteOrder === "II";
+
+  try {
+    const ifd0 = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+    const subIfd = readIfd(tiff, ifd0, littleEndian, tags);
+
+    if (subIfd) {
+      readIfd(tiff, subIfd, littleEndian, tags);
+    }
+  } catch {
+    // Truncated EXIF: keep whatever was read before the end
+  }
+
+  return tags;
+}
+
+// Turn an EXIF "YYYY:MM:DD HH:MM:SS" value into a local Date
+function parseExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?/.exec(
+    value || ""
+  );
+
+  if (!match || match[1] === "0000") {
+    return null;
+  }
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+// When a photo was taken: the EXIF capture date, else the file's
+// modification time, else now. `source` says which one was used.
+export async function getCaptureDate(metadata, filePath = null) {
+  const tags = readExifTags(metadata?.exif);
+  const exifDate =
+    parseExifDate(tags.dateTimeOriginal) ||
+    parseExifDate(tags.dateTimeDigitized) ||
+    parseExifDate(tags.dateTime);
+
+  if (exifDate) {
+    return { date: exifDate, source: "exif" };
+  }
+
+  if (filePath) {
+    const stats = await fs.stat(filePath);
+    return { date: stats.mtime, source: "mtime" };
+  }
+
+  return { date: new Date(), source: "now" };
+}
@@ -1,90 +1,116 @@
 // utils/filters.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
-import fs from "fs-extra";
 import {
-  validateInput,
+  loadInput,
+  encodeImage,
+  renderImage,
+  resolveOutputFormat,
+  formatFromPath,
+  extensionForFormat,
+  validateOutputFormat,
+  saveOutput,
   generateOutputPath,
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  isJsonOutput,
+  printJson,
   displayOutputLocation,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+
+// Apply a color filter to an image and return the encoded buffer
+export async function applyFilter(input, options = {}) {
+  if (!options.filter) {
+    throw new InvalidOptionError("Please specify a filter");
+  }
+
+  const filterName = options.filter.toLowerCase();
+
+  if (!getAllFilterNames().includes(filterName)) {
+    throw new InvalidOptionError(
+      `Unknown filter: ${filterName}. Use 'pixpress filters --list' to see available filters.`
+    );
+  }
+
+  const image = await loadInput(input);
+
+  let pipeline = applyColorFilter(sharp(image.source), filterName, options);
+
+  pipeline = encodeImage(pipeline, resolveOutputFormat(options.format, image), {
+    quality: options.quality,
+    defaultQuality: 85,
+  });
+
+  return renderImage(pipeline, image);
+}
 
 export async function filtersCommand(input, options) {
   await initializePixpressDirectory();
 
-  const spinner = ora("Applying color filter...").start();
+  const spinner = startSpinner("Applying color filter...");
+  const timer = startTimer();
 
   try {
-    const processedInputPath = await validateInput(input);
-
     const filterName = options.filter.toLowerCase();
-    const availableFilters = getAllFilterNames();
 
-    if (!availableFilters.includes(filterName)) {
-      throw new Error(
-        `Unknown filter: ${filterName}. Use 'pixpress filters --list' to see available filters.`
-      );
-    }
+    const format = options.format ? validateOutputFormat(options.format) : null;
 
-    const outputPath = await generateOutputPath(
+    let outputPath = await generateOutputPath(
       input,
       "filtered",
       `_${filterName}`,
-      null,
-      options.output
+      format ? extensionForFormat(format) : null,
+      options.output,
+      options.name
     );
 
-    const metadata = await sharp(processedInputPath).metadata();
-    spinner.text = `Applying ${filterName} filter to ${metadata.width}x${metadata.height} image`;
-
-    let pipeline = sharp(processedInputPath);
-
-    // Apply the selected filter
-    pipeline = applyColorFilter(pipeline, filterName, options);
+    spinner.text = `Applying ${filterName} filter`;
 
     // Preserve original format
-    const inputFormat = metadata.format;
-    const outputExt = outputPath.split(".").pop().toLowerCase();
-
-    // Apply format-specific optimizations based on output format
-    if (outputExt === "jpg" || outputExt === "jpeg") {
-      pipeline = pipeline.jpeg({
-        quality: parseInt(options.quality || 85),
-        progressive: true,
-      });
-    } else if (outputExt === "png") {
-      pipeline = pipeline.png({
-        progressive: true,
-        compressionLevel: 6,
-      });
-    } else if (outputExt === "webp") {
-      pipeline = pipeline.webp({
-        quality: parseInt(options.quality || 85),
-        effort: 4,
-      });
-    }
-
-    await pipeline.toFile(outputPath);
+    const result = await applyFilter(input, {
+      ...options,
+      format: format || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "filters",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     // Show results
-    const inputSize = (await fs.stat(processedInputPath)).size;
-    const outputSize = (await fs.stat(outputPath)).size;
     const filterInfo = getFilterDescription(filterName);
 
     spinner.succeed(
       chalk.green("✓ Color filter applied successfully!") +
         chalk.dim(`\n  Filter: ${filterName} - ${filterInfo.description}`) +
         chalk.dim(
-          `\n  Input: ${metadata.width}x${
-            metadata.height
-          } ${inputFormat?.toUpperCase()}`
+          `\n  Input: ${result.input.width}x${
+            result.input.height
+          } ${result.input.format?.toUpperCase()}`
         ) +
-        chalk.dim(`\n  Size: ${inputSize} bytes → ${outputSize} bytes`)
+        chalk.dim(
+          `\n  Size: ${result.input.size} bytes → ${result.info.size} bytes`
+        )
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("filters", {
+      result,
+      outputPath,
+      timer,
+      details: { filter: filterName },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
@@ -94,6 +120,11 @@ export async function filtersCommand(input, options) {
 export function listFilters() {
   const filters = getAvailableFilters();
 
+  if (isJsonOutput()) {
+    printJson({ ok: true, filters });
+    return;
+  }
+
   console.log(chalk.cyan.bold("\n🎨 Available Color Filters & Effects\n"));
 
   Object.entries(filters).forEach(([category, filterList]) => {
@@ -143,7 +174,7 @@ function getCategoryIcon(category) {
 }
 
 // Apply color filters and effects to the Sharp pipeline
-function applyColorFilter(pipeline, filterName, options = {}) {
+export function applyColorFilter(pipeline, filterName, options = {}) {
   switch (filterName.toLowerCase()) {
     case "grayscale":
     case "greyscale":
@@ -231,7 +262,7 @@ function applyColorFilter(pipeline, filterName, options = {}) {
         .tint({ r: 255, g: 100, b: 200 });
 
     default:
-      throw new Error(`Unknown filter: ${filterName}`);
+      throw new InvalidOptionError(`Unknown filter: ${filterName}`);
   }
 }
 
@@ -320,7 +351,7 @@ export function getAvailableFilters() {
 }
 
 // Get all filter names for validation
-function getAllFilterNames() {
+export function getAllFilterNames() {
   const filters = getAvailableFilters();
   const names = [];
 
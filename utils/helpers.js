@@ -1,58 +1,229 @@
 // utils/helpers.js
 import pkg from "fs-extra";
-const { access, constants, stat, ensureDir } = pkg;
-import { extname, parse, join } from "path";
+const { access, constants, stat, ensureDir, pathExists } = pkg;
+import { extname, parse, join, resolve, dirname, basename } from "path";
 import chalk from "chalk";
+import ora from "ora";
 import os from "os";
 import crypto from "crypto";
+import { open } from "fs/promises";
+import sharp from "sharp";
+import {
+  InputError,
+  InputNotFoundError,
+  DecodeFailedError,
+  InvalidOptionError,
+  UnsupportedFormatError,
+  HeicUnavailableError,
+  WriteFailedError,
+  OutputExistsError,
+  OutputSkippedError,
+  toPixpressError,
+} from "./errors.js";
+import {
+  getConfigValue,
+  getDefaultQuality,
+  getDefaultPixpressDirectory,
+  getGlobalConfigPath,
+} from "./config.js";
+
+// Set by the global --json flag: spinners and human-readable output are
+// replaced by a single JSON document per command
+let jsonOutput = false;
+
+export function setJsonOutput(enabled) {
+  jsonOutput = Boolean(enabled);
+}
+
+export function isJsonOutput() {
+  return jsonOutput;
+}
+
+// Set when the encoded image is written to stdout (-o -). Messages that
+// would normally go to stdout are moved to stderr so they don't end up
+// inside the image data.
+let stdoutOutput = false;
+
+export function setStdoutOutput(enabled) {
+  stdoutOutput = Boolean(enabled);
+}
+
+// "-" stands for stdin as an input path and for stdout as an output path
+export function isStdio(filePath) {
+  return filePath === "-";
+}
+
+let stdinBuffer = null;
+
+// Set by --in-place: outputs replace their source files, optionally
+// keeping the original as <file>.bak
+let inPlace = null;
+
+// Output paths written in place, mapped to the source file they replace
+const inPlaceSources = new Map();
+
+export function setInPlace(options) {
+  inPlace = options ? { backup: Boolean(options.backup) } : null;
+}
+
+export function isInPlace() {
+  return inPlace !== null;
+}
+
+// The path an in-place edit writes to: the source itself, or the source
+// with a new extension when the operation changes the format. That new
+// path may belong to another file, so it goes through the onConflict
+// policy before anything is written.
+async function inPlaceOutputPath(inputPath, newExtension) {
+  if (
+    typeof inputPath !== "string" ||
+    isStdio(inputPath) ||
+    !pkg.statSync(inputPath, { throwIfNoEntry: false })?.isFile()
+  ) {
+    throw new InvalidOptionError("--in-place needs an input file to replace");
+  }
+
+  const parsed = parse(inputPath);
+  const outputPath =
+    newExtension && newExtension.toLowerCase() !== parsed.ext.toLowerCase()
+      ? await resolveConflict(join(parsed.dir, `${parsed.name}${newExtension}`))
+      : inputPath;
+
+  inPlaceSources.set(outputPath, inputPath);
+  return outputPath;
+}
+
+// Read all image bytes piped into stdin. The data is kept so every part of
+// a command that loads the input gets the same bytes.
+export async function readStdin() {
+  if (stdinBuffer) {
+    return stdinBuffer;
+  }
+
+  if (process.stdin.isTTY) {
+    throw new InputNotFoundError("No image data on stdin", {
+      hint: "Pipe an image in, e.g. cat photo.jpg | pixpress resize - -w 400",
+    });
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+
+  const data = Buffer.concat(chunks);
+  if (data.length === 0) {
+    throw new InputNotFoundError("No image data received on stdin", {
+      hint: "Check that the command before pixpress in the pipeline succeeded.",
+    });
+  }
+
+  stdinBuffer = data;
+  return stdinBuffer;
+}
+
+// Start a spinner that stays silent in JSON mode
+export function startSpinner(text) {
+  return ora({ text, isSilent: jsonOutput }).start();
+}
+
+// Track how long each phase of an operation takes. lap() records the time
+// since the previous lap under the given name.
+export function startTimer() {
+  const startedAt = Date.now();
+  const timings = {};
+  let last = startedAt;
+
+  return {
+    lap(name) {
+      const now = Date.now();
+      timings[`${name}Ms`] = now - last;
+      last = now;
+    },
+    timings() {
+      return { ...timings, totalMs: Date.now() - startedAt };
+    },
+  };
+}
+
+// Print a JSON document on stdout, or on stderr when stdout carries the
+// image. Binary metadata such as EXIF or ICC blobs is base64 encoded.
+export function printJson(document) {
+  (stdoutOutput ? console.error : console.log)(
+    JSON.stringify(
+      document,
+      (key, value) =>
+        value && value.type === "Buffer" && Array.isArray(value.data)
+          ? Buffer.from(value.data).toString("base64")
+          : value,
+      2
+    )
+  );
+}
+
+// In JSON mode, print the summary of a finished operation. `details` adds
+// operation-specific fields.
+export function reportResult(
+  operation,
+  { result, outputPath, timer, details }
+) {
+  if (!jsonOutput) return;
+
+  printJson({
+    ok: true,
+    operation,
+    input: result.input || null,
+    output: {
+      path: outputPath,
+      format: result.info.format,
+      width: result.info.width,
+      height: result.info.height,
+      size: result.info.size,
+    },
+    ...details,
+    timings: timer ? timer.timings() : null,
+    warnings: result.warnings || [],
+  });
+}
+
+// Convert HEIC to JPEG in memory using heic-convert library as fallback
+async function convertHeicToJpeg(inputBuffer) {
+  let convert;
 
-// Convert HEIC to JPEG using heic-convert library as fallback
-async function convertHeicToJpeg(inputPath, outputPath = null) {
   try {
-    // Try using heic-convert library
-    const convert = (await import("heic-convert")).default;
+    convert = (await import("heic-convert")).default;
+  } catch (error) {
+    throw new HeicUnavailableError(
+      "This HEIC file can't be decoded: Sharp's HEIF decoder failed and heic-convert isn't installed",
+      { cause: error }
+    );
+  }
 
-    const inputBuffer = await pkg.readFile(inputPath);
+  try {
     const jpegBuffer = await convert({
       buffer: inputBuffer,
       format: "JPEG",
       quality: 0.9,
     });
 
-    if (!outputPath) {
-      const parsedPath = parse(inputPath);
-      outputPath = join(parsedPath.dir, `${parsedPath.name}_converted.jpg`);
-    }
-
-    await pkg.writeFile(outputPath, jpegBuffer);
-    return outputPath;
+    return Buffer.from(jpegBuffer);
   } catch (error) {
-    throw new Error(
-      `HEIC conversion failed: ${error.message}. Try: npm install heic-convert`
-    );
+    throw new DecodeFailedError(`HEIC conversion failed: ${error.message}`, {
+      cause: error,
+    });
   }
 }
 
-// Get the Pixpress output directory for the current platform
+// Get the Pixpress output directory: the configured outputDir, or the
+// platform default
 export function getPixpressDirectory() {
-  const platform = os.platform();
-  const homeDir = os.homedir();
-
-  let pixpressDir;
-
-  // Use platform-appropriate directory
-  if (platform === "win32") {
-    // Windows: Use Documents folder
-    pixpressDir = join(homeDir, "Documents", "Pixpress");
-  } else if (platform === "darwin") {
-    // macOS: Use Pictures folder
-    pixpressDir = join(homeDir, "Pictures", "Pixpress");
-  } else {
-    // Linux and others: Use Pictures folder or home if Pictures doesn't exist
-    pixpressDir = join(homeDir, "Pictures", "Pixpress");
+  const outputDir = getConfigValue("outputDir");
+
+  if (!outputDir) {
+    return getDefaultPixpressDirectory();
   }
 
-  return pixpressDir;
+  return resolve(outputDir.replace(/^~(?=$|[\\/])/, os.homedir()));
 }
 
 // Create a subdirectory for specific operation types
@@ -96,23 +267,94 @@ export function generateUniqueFilename(
   return uniqueName;
 }
 
-// Create output path with proper directory structure
+// Apply the onConflict policy (--on-conflict or the config, unless
+// `policy` is given) to an output path that may already exist. Paths in
+// `claimed` count as taken even before anything is written there.
+export async function resolveConflict(
+  outputPath,
+  policy = getConfigValue("onConflict"),
+  claimed = null
+) {
+  const isTaken = async (candidate) =>
+    Boolean(claimed?.has(resolve(candidate))) || (await pathExists(candidate));
+
+  if (policy === "overwrite" || !(await isTaken(outputPath))) {
+    return outputPath;
+  }
+
+  if (policy === "fail") {
+    throw new OutputExistsError(`Output file already exists: ${outputPath}`);
+  }
+
+  if (policy === "skip") {
+    throw new OutputSkippedError(outputPath);
+  }
+
+  // rename: photo.jpg -> photo_1.jpg, photo_2.jpg, ...
+  const parsed = parse(outputPath);
+  let counter = 1;
+  let candidate;
+
+  do {
+    candidate = join(parsed.dir, `${parsed.name}_${counter}${parsed.ext}`);
+    counter++;
+  } while (await isTaken(candidate));
+
+  return candidate;
+}
+
+// Where to move an existing file. The moved file may be the only copy, so
+// it never replaces another one: overwrite renames instead.
+export function resolveMoveTarget(targetPath, claimed = null) {
+  const policy = getConfigValue("onConflict");
+  return resolveConflict(
+    targetPath,
+    policy === "overwrite" ? "rename" : policy,
+    claimed
+  );
+}
+
+// Create output path with proper directory structure. Explicit output
+// paths go through the onConflict policy, unless a --name template
+// (`nameTemplate`) is going to rename the file anyway.
 export async function generateOutputPath(
   inputPath,
   operation = "processed",
   suffix = "",
   newExtension = null,
-  customOutputPath = null
+  customOutputPath = null,
+  nameTemplate = null
 ) {
+  // "-o -" writes the image to stdout
+  if (isStdio(customOutputPath)) {
+    return customOutputPath;
+  }
+
+  if (inPlace) {
+    return inPlaceOutputPath(inputPath, newExtension);
+  }
+
+  // Stdin has no file name or extension, so name the output after the
+  // format of the piped data
+  if (isStdio(inputPath)) {
+    const image = await loadInput(inputPath);
+    newExtension =
+      newExtension || extensionForFormat(resolveOutputFormat(null, image));
+    inputPath = "stdin";
+  }
+
   // If user provided a custom output path, use it
   if (customOutputPath) {
+    const checkConflict = (outputPath) =>
+      nameTemplate ? outputPath : resolveConflict(outputPath);
+
     // If it's just a filename, put it in the operation directory
     if (!customOutputPath.includes("/") && !customOutputPath.includes("\\")) {
       const operationDir = await getOperationDirectory(operation);
-      return join(operationDir, customOutputPath);
+      return checkConflict(join(operationDir, customOutputPath));
     }
     // Otherwise use the full custom path
-    return customOutputPath;
+    return checkConflict(customOutputPath);
   }
 
   // Generate unique filename
@@ -129,123 +371,417 @@ export async function generateOutputPath(
   return join(operationDir, uniqueFilename);
 }
 
-// Check if file exists and is actually an image
+// Common image file extensions
+const imageExtensions = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".webp",
+  ".tiff",
+  ".tif",
+  ".gif",
+  ".bmp",
+  ".avif",
+  ".heic",
+  ".heif",
+];
+
+// Check that the input path exists and is a regular file
 export async function validateInput(filePath) {
   try {
     await access(filePath, constants.F_OK);
     const stats = await stat(filePath);
 
     if (!stats.isFile()) {
-      throw new Error(`Path is not a file: ${filePath}`);
+      throw new InputError(`Path is not a file: ${filePath}`);
     }
 
+    return filePath;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new InputNotFoundError(`File not found: ${filePath}`, {
+        cause: error,
+      });
+    } else if (error.code === "EACCES") {
+      throw new InputError(`Permission denied: ${filePath}`, { cause: error });
+    }
+    throw error;
+  }
+}
+
+// Formats recognizable from their first bytes, as [offset, hex] pairs that
+// must all match
+const signatures = [
+  ["jpeg", [[0, "ffd8ff"]]],
+  ["png", [[0, "89504e470d0a1a0a"]]],
+  ["gif", [[0, "47494638"]]],
+  [
+    "webp",
+    [
+      [0, "52494646"],
+      [8, "57454250"],
+    ],
+  ],
+  ["tiff", [[0, "49492a00"]]],
+  ["tiff", [[0, "4d4d002a"]]],
+  ["heif", [[4, "66747970"]]],
+];
+
+async function readHeader(filePath, length = 12) {
+  const handle = await open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(length),
+      0,
+      length,
+      0
+    );
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// The Sharp-decodable format an input claims to be, going by its first
+// bytes and then its extension, or null when it doesn't look like an image
+// Sharp can read
+async function getClaimedFormat(input, filePath) {
+  const header = filePath ? await readHeader(filePath) : input.subarray(0, 12);
+  const signature = signatures.find(([, parts]) =>
+    parts.every(
+      ([offset, hex]) =>
+        header.subarray(offset, offset + hex.length / 2).toString("hex") === hex
+    )
+  );
+
+  const candidates = [signature?.[0]];
+  if (filePath) {
+    const format = normalizeFormat(extname(filePath));
+    candidates.push(format === "avif" ? "heif" : format);
+  }
+
+  return (
+    candidates.find((format) => format && sharp.format[format]?.input.file) ||
+    null
+  );
+}
+
+// Resolve an input (file path, Buffer or "-" for stdin) into a source Sharp
+// can decode. Nothing is printed: anything worth telling the user ends up
+// in `warnings`.
+export async function loadInput(input) {
+  if (isStdio(input)) {
+    input = await readStdin();
+  }
+
+  const warnings = [];
+  let source = input;
+  let filePath = null;
+  let size;
+
+  if (Buffer.isBuffer(input)) {
+    size = input.length;
+  } else {
+    filePath = await validateInput(input);
+    size = (await stat(filePath)).size;
+
     const ext = extname(filePath).toLowerCase();
-    // Common image file extensions
-    const imageExts = [
-      ".jpg",
-      ".jpeg",
-      ".png",
-      ".webp",
-      ".tiff",
-      ".tif",
-      ".gif",
-      ".bmp",
-      ".avif",
-      ".heic",
-      ".heif",
-    ];
+    if (!imageExtensions.includes(ext)) {
+      warnings.push(`${filePath} may not be an image file`);
+    }
+  }
 
-    // Warn if the file extension is not a common image type
-    if (!imageExts.includes(ext)) {
-      console.log(
-        chalk.yellow(`⚠ Warning: ${filePath} may not be an image file`)
+  let metadata;
+  try {
+    metadata = await sharp(source).metadata();
+  } catch (error) {
+    const message = `${error.message}${filePath ? `: ${filePath}` : ""}`;
+
+    // Sharp reports files it doesn't recognize at all as an unsupported
+    // format. That's only true when neither the file's first bytes nor its
+    // extension name a format Sharp reads; otherwise it's a broken image.
+    if (/unsupported image format/i.test(error.message)) {
+      const format = await getClaimedFormat(input, filePath);
+      if (!format) {
+        throw new UnsupportedFormatError(message, { cause: error });
+      }
+
+      throw new DecodeFailedError(
+        `Could not decode ${
+          filePath || "input"
+        } as ${format.toUpperCase()}: the file is corrupt or truncated`,
+        { cause: error }
       );
     }
+    throw new DecodeFailedError(message, { cause: error });
+  }
 
-    // Handle HEIC files with fallback conversion
-    const isHeic = ext === ".heic" || ext === ".heif";
-    if (isHeic) {
-      console.log(
-        chalk.cyan(
-          `📱 HEIC/HEIF file detected - processing with native support`
-        )
+  const isHeic = metadata.format === "heif";
+
+  // Sharp can often read HEIC metadata but not decode the HEVC payload,
+  // so test-decode a single pixel before trusting the native decoder
+  if (isHeic) {
+    try {
+      await sharp(source).resize(1, 1).jpeg().toBuffer();
+    } catch (sharpError) {
+      warnings.push(
+        `Sharp's HEIF decoder failed (${
+          sharpError.message.split("\n")[0]
+        }), converted with heic-convert instead`
       );
 
-      // Test if Sharp can actually process this HEIC file
-      try {
-        const sharp = (await import("sharp")).default;
-        // Try to read metadata first
-        await sharp(filePath).metadata();
-        // Try to convert a small portion to test decoding
-        await sharp(filePath).resize(1, 1).jpeg().toBuffer();
-        console.log(
-          chalk.green(`✓ HEIC file is compatible with Sharp's HEIF decoder`)
-        );
-        return filePath; // Sharp can handle it
-      } catch (sharpError) {
-        console.log(
-          chalk.yellow(
-            `⚠ Sharp's HEIF decoder failed (${
-              sharpError.message.split("\n")[0]
-            }). Falling back to heic-convert...`
-          )
-        );
-
-        try {
-          const convertedPath = await convertHeicToJpeg(filePath);
-          console.log(chalk.green(`✓ HEIC converted to: ${convertedPath}`));
-          return convertedPath; // Return the converted file path
-        } catch (conversionError) {
-          throw new Error(
-            `HEIC file cannot be processed:\n${conversionError.message}\n\n` +
-              `Solutions:\n` +
-              `1. Install: npm install heic-convert\n` +
-              `2. Or manually convert HEIC to JPG first\n` +
-              `3. Or install libheif system dependency with HEVC codec support`
-          );
-        }
-      }
+      const heicBuffer = filePath ? await pkg.readFile(filePath) : input;
+      source = await convertHeicToJpeg(heicBuffer);
     }
+  }
 
-    return filePath; // Return original path if no conversion needed
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      throw new Error(`File not found: ${filePath}`);
-    } else if (error.code === "EACCES") {
-      throw new Error(`Permission denied: ${filePath}`);
-    }
-    throw error;
+  return {
+    source,
+    path: filePath,
+    size,
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    isHeic,
+    metadata,
+    warnings,
+  };
+}
+
+// Normalize user-facing format names to the names Sharp uses
+export function normalizeFormat(format) {
+  const name = (format || "").toLowerCase().replace(/^\./, "");
+
+  switch (name) {
+    case "jpg":
+      return "jpeg";
+    case "tif":
+      return "tiff";
+    case "heic":
+      return "heif";
+    default:
+      return name;
   }
 }
 
-// Show user-friendly error messages and exit
-export function handleError(spinner, error) {
-  spinner.fail(chalk.red("✗ Operation failed"));
+// Pick the output format: explicit request, else the input's own format.
+// HEIC inputs default to JPEG since few consumers can read HEIC back.
+export function resolveOutputFormat(requested, image) {
+  if (requested) {
+    return normalizeFormat(requested);
+  }
+  return image.isHeic ? "jpeg" : normalizeFormat(image.format);
+}
 
-  if (error.message.includes("Input file contains unsupported image format")) {
-    console.error(
-      chalk.red(
-        "Error: Unsupported image format. Please use JPG, PNG, WebP, TIFF, GIF, BMP, AVIF, HEIC, or HEIF."
-      )
+// Check a requested output format against the supported list
+export function validateOutputFormat(format) {
+  const name = (format || "").toLowerCase();
+  const supportedFormats = getSupportedFormats().output;
+
+  if (!supportedFormats.includes(name)) {
+    throw new UnsupportedFormatError(
+      `Unsupported format: ${format}. Supported: ${supportedFormats.join(", ")}`
     );
-  } else if (error.message.includes("ENOENT")) {
-    console.error(
-      chalk.red("Error: File not found. Please check the file path.")
+  }
+
+  return name;
+}
+
+// File extension (with dot) to use for a Sharp format name
+export function extensionForFormat(format) {
+  const name = normalizeFormat(format);
+
+  switch (name) {
+    case "jpeg":
+      return ".jpg";
+    case "heif":
+      return ".heic";
+    default:
+      return `.${name}`;
+  }
+}
+
+// Derive the output format from an output file path's extension
+export function formatFromPath(filePath) {
+  return normalizeFormat(extname(filePath));
+}
+
+// Apply format-specific encoder settings to a Sharp pipeline
+export function encodeImage(pipeline, format, options = {}) {
+  // Explicit quality, then the configured default for the format, then
+  // the caller's default
+  const quality = parseInt(
+    options.quality ||
+      getDefaultQuality(normalizeFormat(format)) ||
+      options.defaultQuality ||
+      80
+  );
+
+  switch (normalizeFormat(format)) {
+    case "jpeg":
+      return pipeline.jpeg({
+        quality,
+        progressive: options.progressive ?? true,
+        mozjpeg: options.mozjpeg || false,
+      });
+    case "png":
+      return pipeline.png({
+        progressive: options.progressive ?? true,
+        compressionLevel: options.compressionLevel ?? 6,
+      });
+    case "webp":
+      return pipeline.webp({ quality, effort: 4 });
+    case "tiff":
+      return pipeline.tiff({ quality });
+    case "avif":
+      return pipeline.avif({ quality });
+    case "gif":
+      return pipeline.gif();
+    default:
+      return pipeline.toFormat(normalizeFormat(format));
+  }
+}
+
+// Run a pipeline to a buffer and describe the input and output
+export async function renderImage(pipeline, image) {
+  let rendered;
+
+  try {
+    rendered = await pipeline.toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new DecodeFailedError(
+      `Could not process image${image.path ? ` ${image.path}` : ""}: ${
+        error.message
+      }`,
+      { cause: error }
     );
-  } else if (error.message.includes("EACCES")) {
-    console.error(
-      chalk.red("Error: Permission denied. Please check file permissions.")
+  }
+
+  const { data, info } = rendered;
+
+  return {
+    buffer: data,
+    info,
+    input: {
+      path: image.path,
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      size: image.size,
+      isHeic: image.isHeic,
+    },
+    warnings: image.warnings,
+  };
+}
+
+// Write an encoded image to disk, creating parent directories as needed,
+// or to stdout when the output path is "-". Files are written to a
+// temporary file first and renamed into place, so a failed write never
+// leaves a half-written image behind.
+export async function saveOutput(outputPath, buffer) {
+  const tempPath = join(
+    dirname(outputPath),
+    `.${basename(outputPath)}.${crypto.randomBytes(4).toString("hex")}.tmp`
+  );
+
+  try {
+    if (isStdio(outputPath)) {
+      await new Promise((resolve, reject) =>
+        process.stdout.write(buffer, (error) =>
+          error ? reject(error) : resolve()
+        )
+      );
+      return outputPath;
+    }
+
+    await pkg.outputFile(tempPath, buffer);
+
+    const source = inPlaceSources.get(outputPath);
+    if (source && inPlace.backup) {
+      await pkg.copy(source, `${source}.bak`, { preserveTimestamps: true });
+    }
+
+    await pkg.rename(tempPath, outputPath);
+
+    // A format change writes next to the source, which is then replaced
+    if (source && source !== outputPath) {
+      await pkg.remove(source);
+    }
+  } catch (error) {
+    await pkg.remove(tempPath).catch(() => {});
+    throw new WriteFailedError(
+      `Could not write ${isStdio(outputPath) ? "to stdout" : outputPath}: ${
+        error.message
+      }`,
+      { cause: error }
     );
-  } else if (error.message.includes("HEIC conversion failed")) {
-    console.error(chalk.red("Error: HEIC file processing failed."));
-    console.error(chalk.yellow("💡 Solutions:"));
-    console.error(chalk.dim("   1. Install: npm install heic-convert"));
-    console.error(
-      chalk.dim("   2. Install system dependency: brew install libheif (macOS)")
+  }
+  return outputPath;
+}
+
+// Print warnings collected by a core operation
+export function displayWarnings(warnings = []) {
+  if (jsonOutput) return;
+
+  warnings.forEach((warning) => {
+    (stdoutOutput ? console.error : console.log)(
+      chalk.yellow(`⚠ Warning: ${warning}`)
     );
-    console.error(chalk.dim("   3. Or convert HEIC to JPG manually first"));
-  } else {
-    console.error(chalk.red(`Error: ${error.message}`));
+  });
+}
+
+// Commands that carry on past files that fail still fail as a whole, so
+// scripts notice: exit with the code of the first failure
+export function setFailureExitCode(failures) {
+  if (failures.length > 0) {
+    process.exitCode = failures[0].exitCode || 1;
+  }
+}
+
+// Show a user-friendly error message with a hint for fixing it, then exit
+// with the error's exit code (1 for unexpected errors). Skipped outputs
+// are reported without exiting.
+export function handleError(spinner, error) {
+  const failure = toPixpressError(error);
+
+  if (failure instanceof OutputSkippedError) {
+    if (jsonOutput) {
+      printJson({
+        ok: true,
+        skipped: true,
+        output: { path: failure.path },
+        message: failure.message,
+      });
+    } else if (spinner) {
+      spinner.info(chalk.yellow(failure.message));
+    } else {
+      console.error(chalk.yellow(failure.message));
+    }
+    return;
+  }
+
+  spinner?.fail(chalk.red("✗ Operation failed"));
+
+  const exitCode = failure.exitCode || 1;
+
+  if (jsonOutput) {
+    printJson({
+      ok: false,
+      error: {
+        name: failure.name,
+        code: failure.code || null,
+        message: failure.message,
+        exitCode,
+        hint: failure.hint || null,
+      },
+    });
+    process.exit(exitCode);
+  }
+
+  console.error(chalk.red(`Error: ${failure.message}`));
+
+  if (failure.hint) {
+    console.error(chalk.yellow(`💡 ${failure.hint}`));
   }
 
   // Show full stack trace only when debugging
@@ -254,7 +790,7 @@ export function handleError(spinner, error) {
     console.error(chalk.dim(error.stack));
   }
 
-  process.exit(1);
+  process.exit(exitCode);
 }
 
 // Format bytes as human-readable string
@@ -290,6 +826,8 @@ export function getSupportedFormats() {
 
 // Display the output location to user
 export function displayOutputLocation(outputPath) {
+  if (jsonOutput || isStdio(outputPath)) return;
+
   const pixpressDir = getPixpressDirectory();
   const relativePath = outputPath.replace(pixpressDir, "Pixpress");
 
@@ -309,11 +847,15 @@ export async function initializePixpressDirectory() {
       "resized",
       "converted",
       "rotated",
+      "cropped",
       "filtered",
       "memes",
       "collages",
       "watermarked",
       "presets",
+      "piped",
+      "recipes",
+      "responsive",
       "batch",
     ];
 
@@ -322,20 +864,22 @@ export async function initializePixpressDirectory() {
     }
 
     // Check if this is first run
-    const configPath = join(pixpressDir, ".pixpress_config");
+    const configPath = getGlobalConfigPath();
     try {
       await access(configPath, constants.F_OK);
     } catch {
       // First run, create config file
-      await pkg.writeJson(configPath, {
+      await pkg.outputJson(configPath, {
         version: "1.0.0",
         createdAt: new Date().toISOString(),
         platform: os.platform(),
       });
 
-      console.log(chalk.cyan.bold("\n🎉 Welcome to Pixpress!"));
-      console.log(chalk.white(`Your processed images will be saved in:`));
-      console.log(chalk.green(`  ${pixpressDir}\n`));
+      if (!jsonOutput && !stdoutOutput) {
+        console.log(chalk.cyan.bold("\n🎉 Welcome to Pixpress!"));
+        console.log(chalk.white(`Your processed images will be saved in:`));
+        console.log(chalk.green(`  ${pixpressDir}\n`));
+      }
     }
   } catch (error) {
     console.error(
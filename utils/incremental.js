@@ -0,0 +1,101 @@
+// utils/incremental.js
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+
+const cacheFileName = ".pixpress-cache.json";
+const cacheVersion = 1;
+
+export function getCachePath(outputDir) {
+  return path.join(outputDir, cacheFileName);
+}
+
+// SHA-256 of a file's contents
+export async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest("hex");
+}
+
+// An unreadable or outdated cache just means everything is rebuilt
+async function readCache(cachePath) {
+  try {
+    const data = await fs.readJson(cachePath);
+    if (data.version === cacheVersion && data.entries) {
+      return new Map(Object.entries(data.entries));
+    }
+  } catch {
+    // Missing or corrupt cache
+  }
+
+  return new Map();
+}
+
+// Open the build cache of an incremental batch. Entries are keyed by the
+// input's path relative to the batch folder (plus the row for manifest
+// batches) and remember the hash of its contents, the hash of the batch
+// options and the output it produced.
+export async function openBuildCache(outputDir) {
+  const cachePath = getCachePath(outputDir);
+  const entries = await readCache(cachePath);
+
+  return {
+    path: cachePath,
+
+    // The cached output for an input with this content and these options,
+    // if it still exists
+    async lookup(key, contentHash, optionsHash) {
+      const entry = entries.get(key);
+
+      if (
+        !entry ||
+        entry.hash !== contentHash ||
+        entry.optionsHash !== optionsHash ||
+        !(await fs.pathExists(entry.output))
+      ) {
+        return null;
+      }
+
+      return entry;
+    },
+
+    set(key, entry) {
+      entries.set(key, entry);
+    },
+
+    // Delete the outputs of inputs that no longer exist in `folder` and
+    // forget them. Returns the removed output paths.
+    async prune(folder) {
+      const removed = [];
+
+      for (const [key, entry] of entries) {
+        if (await fs.pathExists(path.join(folder, entry.input ?? key))) {
+          continue;
+        }
+
+        if (await fs.pathExists(entry.output)) {
+          await fs.remove(entry.output);
+          removed.push(entry.output);
+        }
+        entries.delete(key);
+      }
+
+      return removed;
+    },
+
+    // Written through a temp file so an interrupted save keeps the old cache
+    async save() {
+      const tempPath = `${cachePath}.tmp`;
+      await fs.writeJson(
+        tempPath,
+        { version: cacheVersion, entries: Object.fromEntries(entries) },
+        { spaces: 2 }
+      );
+      await fs.rename(tempPath, cachePath);
+    },
+  };
+}
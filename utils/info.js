@@ -1,281 +1,324 @@
 // utils/info.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
 import fs from "fs-extra";
 import {
-  validateInput,
+  loadInput,
   handleError,
+  startSpinner,
+  startTimer,
+  isJsonOutput,
+  isStdio,
+  printJson,
   formatFileSize,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
 
+// Read metadata, file details and color statistics for an image
+export async function info(input) {
+  const image = await loadInput(input);
+
+  let file = { size: image.size, created: null, modified: null };
+  if (image.path) {
+    const stats = await fs.stat(image.path);
+    file = {
+      size: stats.size,
+      created: stats.birthtime,
+      modified: stats.mtime,
+    };
+  }
+
+  const histogram = await getHistogramData(image.source, image.metadata);
+
+  return {
+    path: image.path,
+    file,
+    metadata: image.metadata,
+    histogram,
+    warnings: image.warnings,
+  };
+}
+
 export async function infoCommand(input, options = {}) {
   await initializePixpressDirectory();
 
-  const spinner = ora("Reading image information...").start();
+  const spinner = startSpinner("Reading image information...");
+  const timer = startTimer();
 
   try {
-    await validateInput(input);
-
-    const metadata = await sharp(input).metadata();
-    const stats = await fs.stat(input);
-
-    // Get histogram data for color analysis
     spinner.text = "Analyzing color distribution...";
-    const histogramData = await getHistogramData(input, metadata);
+    const result = await info(input);
+    const { metadata, histogram: histogramData } = result;
+    timer.lap("process");
 
     spinner.stop();
 
-    // Display comprehensive image information
-    console.log(chalk.cyan.bold("\n📊 Image Information"));
-    console.log(chalk.gray("─".repeat(50)));
+    if (isJsonOutput()) {
+      const { stats: channelStats, ...histogram } = histogramData || {};
+
+      printJson({
+        ok: true,
+        operation: "info",
+        path: result.path,
+        file: result.file,
+        metadata,
+        stats: channelStats || null,
+        histogram: histogramData ? histogram : null,
+        timings: timer.timings(),
+        warnings: result.warnings,
+      });
+      return;
+    }
+    displayInfo(input, result, options);
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
+
+// Print the full report for an info() result on `input`
+export function displayInfo(input, result, options = {}) {
+  const { metadata, file: stats, histogram: histogramData } = result;
 
-    // File Information Section
-    console.log(chalk.white.bold("📁 File Details:"));
-    console.log(chalk.dim(`   Path: ${input}`));
+  displayWarnings(result.warnings);
+
+  // Display comprehensive image information
+  console.log(chalk.cyan.bold("\n📊 Image Information"));
+  console.log(chalk.gray("─".repeat(50)));
+
+  // File Information Section
+  console.log(chalk.white.bold("📁 File Details:"));
+  console.log(chalk.dim(`   Path: ${isStdio(input) ? "stdin" : input}`));
+  console.log(
+    chalk.dim(
+      `   Size: ${formatFileSize(
+        stats.size
+      )} (${stats.size.toLocaleString()} bytes)`
+    )
+  );
+  if (stats.created) {
     console.log(
       chalk.dim(
-        `   Size: ${formatFileSize(
-          stats.size
-        )} (${stats.size.toLocaleString()} bytes)`
+        `   Created: ${stats.created.toLocaleDateString()} ${stats.created.toLocaleTimeString()}`
       )
     );
+  }
+  if (stats.modified) {
     console.log(
       chalk.dim(
-        `   Created: ${stats.birthtime.toLocaleDateString()} ${stats.birthtime.toLocaleTimeString()}`
+        `   Modified: ${stats.modified.toLocaleDateString()} ${stats.modified.toLocaleTimeString()}`
       )
     );
+  }
+
+  // Image Properties Section
+  console.log(chalk.white.bold("\n🖼️  Image Properties:"));
+  console.log(
+    chalk.dim(`   Format: ${metadata.format?.toUpperCase() || "Unknown"}`)
+  );
+  console.log(
+    chalk.dim(
+      `   Dimensions: ${metadata.width?.toLocaleString()} × ${metadata.height?.toLocaleString()} pixels`
+    )
+  );
+
+  if (metadata.width && metadata.height) {
+    const megapixels = ((metadata.width * metadata.height) / 1000000).toFixed(
+      2
+    );
+    console.log(chalk.dim(`   Resolution: ${megapixels} megapixels`));
+
+    const gcd = getGCD(metadata.width, metadata.height);
+    const aspectWidth = metadata.width / gcd;
+    const aspectHeight = metadata.height / gcd;
+    console.log(chalk.dim(`   Aspect ratio: ${aspectWidth}:${aspectHeight}`));
+
+    const aspectName = getAspectRatioName(aspectWidth, aspectHeight);
+    if (aspectName) {
+      console.log(chalk.dim(`   Common name: ${aspectName}`));
+    }
+  }
+
+  console.log(
+    chalk.dim(
+      `   Channels: ${metadata.channels} (${getChannelDescription(
+        metadata.channels
+      )})`
+    )
+  );
+  console.log(
+    chalk.dim(`   Bit depth: ${metadata.depth || "Unknown"} bits per channel`)
+  );
+  console.log(chalk.dim(`   Color space: ${metadata.space || "Unknown"}`));
+
+  if (metadata.density) {
+    console.log(chalk.dim(`   DPI: ${metadata.density}`));
+  }
+
+  if (metadata.hasAlpha) {
     console.log(
       chalk.dim(
-        `   Modified: ${stats.mtime.toLocaleDateString()} ${stats.mtime.toLocaleTimeString()}`
+        `   Transparency: ${chalk.green("Yes")} (alpha channel present)`
       )
     );
+  } else {
+    console.log(chalk.dim(`   Transparency: ${chalk.red("No")}`));
+  }
 
-    // Image Properties Section
-    console.log(chalk.white.bold("\n🖼️  Image Properties:"));
-    console.log(
-      chalk.dim(`   Format: ${metadata.format?.toUpperCase() || "Unknown"}`)
-    );
+  // Orientation handling
+  if (metadata.orientation && metadata.orientation !== 1) {
     console.log(
       chalk.dim(
-        `   Dimensions: ${metadata.width?.toLocaleString()} × ${metadata.height?.toLocaleString()} pixels`
+        `   EXIF Orientation: ${
+          metadata.orientation
+        } (${getOrientationDescription(metadata.orientation)})`
       )
     );
+  }
 
-    if (metadata.width && metadata.height) {
-      const megapixels = ((metadata.width * metadata.height) / 1000000).toFixed(
-        2
-      );
-      console.log(chalk.dim(`   Resolution: ${megapixels} megapixels`));
+  // Color Analysis Section
+  if (histogramData) {
+    displayColorAnalysis(histogramData, metadata, options.verbose);
+  } else {
+    console.log(chalk.dim("   Note: Could not generate histogram data"));
+  }
 
-      const gcd = getGCD(metadata.width, metadata.height);
-      const aspectWidth = metadata.width / gcd;
-      const aspectHeight = metadata.height / gcd;
-      console.log(chalk.dim(`   Aspect ratio: ${aspectWidth}:${aspectHeight}`));
+  // Compression and Quality Information
+  console.log(chalk.white.bold("\n📊 Compression Details:"));
+
+  if (metadata.width && metadata.height) {
+    const uncompressedSize =
+      metadata.width * metadata.height * (metadata.channels || 3);
+    const compressionRatio = (
+      ((uncompressedSize - stats.size) / uncompressedSize) *
+      100
+    ).toFixed(1);
+    console.log(chalk.dim(`   Compression ratio: ${compressionRatio}%`));
+    console.log(
+      chalk.dim(`   Uncompressed size: ${formatFileSize(uncompressedSize)}`)
+    );
 
-      const aspectName = getAspectRatioName(aspectWidth, aspectHeight);
-      if (aspectName) {
-        console.log(chalk.dim(`   Common name: ${aspectName}`));
-      }
-    }
+    // Bytes per pixel
+    const bytesPerPixel = (
+      stats.size /
+      (metadata.width * metadata.height)
+    ).toFixed(2);
+    console.log(chalk.dim(`   Bytes per pixel: ${bytesPerPixel}`));
+  }
 
+  // Format-specific information
+  if (metadata.format === "jpeg") {
     console.log(
-      chalk.dim(
-        `   Channels: ${metadata.channels} (${getChannelDescription(
-          metadata.channels
-        )})`
-      )
+      chalk.dim(`   Format notes: Lossy compression, no transparency support`)
     );
+  } else if (metadata.format === "png") {
     console.log(
-      chalk.dim(`   Bit depth: ${metadata.depth || "Unknown"} bits per channel`)
+      chalk.dim(`   Format notes: Lossless compression, supports transparency`)
     );
-    console.log(chalk.dim(`   Color space: ${metadata.space || "Unknown"}`));
-
-    if (metadata.density) {
-      console.log(chalk.dim(`   DPI: ${metadata.density}`));
-    }
+  } else if (metadata.format === "webp") {
+    console.log(
+      chalk.dim(`   Format notes: Modern format, excellent compression`)
+    );
+  } else if (metadata.format === "gif") {
+    console.log(
+      chalk.dim(`   Format notes: Supports animation, limited to 256 colors`)
+    );
+  }
 
-    if (metadata.hasAlpha) {
-      console.log(
-        chalk.dim(
-          `   Transparency: ${chalk.green("Yes")} (alpha channel present)`
-        )
-      );
-    } else {
-      console.log(chalk.dim(`   Transparency: ${chalk.red("No")}`));
-    }
+  // EXIF Information
+  if (metadata.exif && metadata.exif.length > 0) {
+    console.log(chalk.white.bold("\n📷 EXIF Data:"));
+    console.log(
+      chalk.dim(`   EXIF data present (${metadata.exif.length} bytes)`)
+    );
 
-    // Orientation handling
-    if (metadata.orientation && metadata.orientation !== 1) {
+    if (metadata.orientation) {
       console.log(
         chalk.dim(
-          `   EXIF Orientation: ${
+          `   Camera orientation: ${getOrientationDescription(
             metadata.orientation
-          } (${getOrientationDescription(metadata.orientation)})`
+          )}`
         )
       );
     }
+  }
 
-    // Color Analysis Section
-    if (histogramData) {
-      displayColorAnalysis(histogramData, metadata, options.verbose);
-    }
-
-    // Compression and Quality Information
-    console.log(chalk.white.bold("\n📊 Compression Details:"));
-
-    if (metadata.width && metadata.height) {
-      const uncompressedSize =
-        metadata.width * metadata.height * (metadata.channels || 3);
-      const compressionRatio = (
-        ((uncompressedSize - stats.size) / uncompressedSize) *
-        100
-      ).toFixed(1);
-      console.log(chalk.dim(`   Compression ratio: ${compressionRatio}%`));
-      console.log(
-        chalk.dim(`   Uncompressed size: ${formatFileSize(uncompressedSize)}`)
-      );
+  // Color Profile Information
+  if (metadata.icc && metadata.icc.length > 0) {
+    console.log(chalk.white.bold("\n🎨 Color Profile:"));
+    console.log(
+      chalk.dim(`   ICC profile present (${metadata.icc.length} bytes)`)
+    );
+    console.log(chalk.dim(`   Color management: Enabled`));
+  } else {
+    console.log(chalk.white.bold("\n🎨 Color Profile:"));
+    console.log(chalk.dim(`   ICC profile: Not present`));
+    console.log(chalk.dim(`   Color management: Basic (sRGB assumed)`));
+  }
 
-      // Bytes per pixel
-      const bytesPerPixel = (
-        stats.size /
-        (metadata.width * metadata.height)
-      ).toFixed(2);
-      console.log(chalk.dim(`   Bytes per pixel: ${bytesPerPixel}`));
-    }
+  // Usage Recommendations
+  console.log(chalk.white.bold("\n💡 Usage Recommendations:"));
 
-    // Format-specific information
-    if (metadata.format === "jpeg") {
+  if (metadata.width && metadata.height) {
+    // Size recommendations
+    if (metadata.width > 4000 || metadata.height > 4000) {
       console.log(
-        chalk.dim(`   Format notes: Lossy compression, no transparency support`)
-      );
-    } else if (metadata.format === "png") {
-      console.log(
-        chalk.dim(
-          `   Format notes: Lossless compression, supports transparency`
+        chalk.yellow(
+          `   • Very high resolution - consider resizing for web use`
         )
       );
-    } else if (metadata.format === "webp") {
+    } else if (metadata.width < 500 && metadata.height < 500) {
       console.log(
-        chalk.dim(`   Format notes: Modern format, excellent compression`)
-      );
-    } else if (metadata.format === "gif") {
-      console.log(
-        chalk.dim(`   Format notes: Supports animation, limited to 256 colors`)
+        chalk.yellow(`   • Low resolution - may appear pixelated when enlarged`)
       );
     }
 
-    // EXIF Information
-    if (metadata.exif && metadata.exif.length > 0) {
-      console.log(chalk.white.bold("\n📷 EXIF Data:"));
+    // Format recommendations
+    if (metadata.format === "bmp" || metadata.format === "tiff") {
       console.log(
-        chalk.dim(`   EXIF data present (${metadata.exif.length} bytes)`)
+        chalk.yellow(
+          `   • Consider converting to PNG or JPEG for smaller file size`
+        )
       );
-
-      try {
-        const image = sharp(input);
-        const exifData = await image.metadata();
-
-        if (exifData.orientation) {
-          console.log(
-            chalk.dim(
-              `   Camera orientation: ${getOrientationDescription(
-                exifData.orientation
-              )}`
-            )
-          );
-        }
-      } catch (e) {
-        console.log(
-          chalk.dim(`   EXIF data present but detailed parsing not available`)
-        );
-      }
     }
 
-    // Color Profile Information
-    if (metadata.icc && metadata.icc.length > 0) {
-      console.log(chalk.white.bold("\n🎨 Color Profile:"));
+    if (
+      metadata.format === "png" &&
+      !metadata.hasAlpha &&
+      stats.size > 500000
+    ) {
       console.log(
-        chalk.dim(`   ICC profile present (${metadata.icc.length} bytes)`)
+        chalk.yellow(
+          `   • Large PNG without transparency - JPEG might be more efficient`
+        )
       );
-      console.log(chalk.dim(`   Color management: Enabled`));
-    } else {
-      console.log(chalk.white.bold("\n🎨 Color Profile:"));
-      console.log(chalk.dim(`   ICC profile: Not present`));
-      console.log(chalk.dim(`   Color management: Basic (sRGB assumed)`));
     }
 
-    // Usage Recommendations
-    console.log(chalk.white.bold("\n💡 Usage Recommendations:"));
-
-    if (metadata.width && metadata.height) {
-      // Size recommendations
-      if (metadata.width > 4000 || metadata.height > 4000) {
-        console.log(
-          chalk.yellow(
-            `   • Very high resolution - consider resizing for web use`
-          )
-        );
-      } else if (metadata.width < 500 && metadata.height < 500) {
-        console.log(
-          chalk.yellow(
-            `   • Low resolution - may appear pixelated when enlarged`
-          )
-        );
-      }
-
-      // Format recommendations
-      if (metadata.format === "bmp" || metadata.format === "tiff") {
-        console.log(
-          chalk.yellow(
-            `   • Consider converting to PNG or JPEG for smaller file size`
-          )
-        );
-      }
-
-      if (
-        metadata.format === "png" &&
-        !metadata.hasAlpha &&
-        stats.size > 500000
-      ) {
-        console.log(
-          chalk.yellow(
-            `   • Large PNG without transparency - JPEG might be more efficient`
-          )
-        );
-      }
-
-      if (metadata.format === "gif" && metadata.channels > 1) {
-        console.log(
-          chalk.yellow(`   • Static GIF - PNG or JPEG would be more efficient`)
-        );
-      }
-    }
-
-    // Color-based recommendations from histogram analysis
-    if (histogramData) {
-      displayColorRecommendations(histogramData, metadata);
-    }
-
-    // Web usage info
-    const isWebFriendly = ["jpeg", "jpg", "png", "webp", "gif"].includes(
-      metadata.format?.toLowerCase()
-    );
-    if (isWebFriendly) {
-      console.log(chalk.green(`   • Format is web-friendly`));
-    } else {
+    if (metadata.format === "gif" && metadata.channels > 1) {
       console.log(
-        chalk.yellow(
-          `   • Consider converting to JPEG, PNG, or WebP for web use`
-        )
+        chalk.yellow(`   • Static GIF - PNG or JPEG would be more efficient`)
       );
     }
+  }
 
-    console.log("");
-  } catch (error) {
-    handleError(spinner, error);
+  // Color-based recommendations from histogram analysis
+  if (histogramData) {
+    displayColorRecommendations(histogramData, metadata);
   }
+
+  // Web usage info
+  const isWebFriendly = ["jpeg", "jpg", "png", "webp", "gif"].includes(
+    metadata.format?.toLowerCase()
+  );
+  if (isWebFriendly) {
+    console.log(chalk.green(`   • Format is web-friendly`));
+  } else {
+    console.log(
+      chalk.yellow(`   • Consider converting to JPEG, PNG, or WebP for web use`)
+    );
+  }
+
+  console.log("");
 }
 
 // Generate comprehensive histogram data
@@ -320,7 +363,6 @@ async function getHistogramData(input, metadata) {
       isGrayscale: metadata.channels === 1,
     };
   } catch (error) {
-    console.log(chalk.dim("   Note: Could not generate histogram data"));
     return null;
   }
 }
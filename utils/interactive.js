@@ -6,9 +6,10 @@ import pkg from "fs-extra";
 const { access, constants, stat } = pkg;
 import { resizeCommand } from "./resize.js";
 import { convertCommand } from "./convert.js";
-import { presetCommand } from "./preset.js";
+import { presetCommand, getPresets } from "./preset.js";
 import { watermarkCommand } from "./watermark.js";
 import { rotateCommand, getRotationPresets } from "./rotate.js";
+import { cropCommand, parseCropOptions } from "./crop.js";
 import { infoCommand } from "./info.js";
 import { batchCommand } from "./batch.js";
 import { filtersCommand, getAvailableFilters } from "./filters.js";
@@ -89,21 +90,15 @@ async function validateCollageInput(input) {
 
 // Helper function to get preset options
 async function getPresetOptions() {
-  const presets = {
-    thumbnail: "150x150 thumbnail",
-    avatar: "128x128 avatar",
-    banner: "1200x400 banner",
-    social: "1080x1080 social media post",
-    compress: "High compression for web",
-  };
+  const presets = getPresets();
 
   const { preset } = await inquirer.prompt([
     {
       type: "list",
       name: "preset",
       message: "Choose a preset:",
-      choices: Object.entries(presets).map(([key, description]) => ({
-        name: `${key} - ${description}`,
+      choices: Object.entries(presets).map(([key, preset]) => ({
+        name: `${key} - ${preset.description}`,
         value: key,
       })),
     },
@@ -440,6 +435,93 @@ async function getRotateOptions() {
   return options;
 }
 
+// Helper function to get crop options
+async function getCropOptions() {
+  const { cropType } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "cropType",
+      message: "How do you want to crop?",
+      choices: [
+        { name: "Aspect ratio - e.g. 16:9 or 1:1", value: "aspect" },
+        { name: "Region - x, y, width and height", value: "rect" },
+        { name: "Trim - Remove uniform borders", value: "trim" },
+      ],
+    },
+  ]);
+
+  const options = {};
+
+  if (cropType === "aspect") {
+    const answers = await inquirer.prompt([
+      {
+        type: "list",
+        name: "aspect",
+        message: "Choose aspect ratio:",
+        choices: ["1:1", "4:3", "3:2", "16:9", "4:5", "9:16", "Custom"],
+        default: "16:9",
+      },
+      {
+        type: "input",
+        name: "customAspect",
+        message: "Enter aspect ratio (e.g. 21:9 or 1.85):",
+        when: (answers) => answers.aspect === "Custom",
+        validate: (input) => validateCrop({ aspect: input }),
+      },
+      {
+        type: "list",
+        name: "gravity",
+        message: "Which part of the image should be kept?",
+        choices: [
+          { name: "Center", value: "center" },
+          { name: "Top", value: "north" },
+          { name: "Bottom", value: "south" },
+          { name: "Left", value: "west" },
+          { name: "Right", value: "east" },
+        ],
+        default: "center",
+      },
+    ]);
+    options.aspect = answers.customAspect || answers.aspect;
+    options.gravity = answers.gravity;
+  } else if (cropType === "rect") {
+    const { rect } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "rect",
+        message:
+          'Enter the region as x,y,width,height in pixels or percentages (e.g. "10%,10%,80%,80%"):',
+        validate: (input) => validateCrop({ rect: input }),
+      },
+    ]);
+    options.rect = rect;
+  } else {
+    const { tolerance } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "tolerance",
+        message: "Border color tolerance (0-255, default 10):",
+        default: "10",
+        validate: (input) => validateCrop({ trim: true, tolerance: input }),
+      },
+    ]);
+    options.trim = true;
+    options.tolerance = tolerance;
+  }
+
+  return options;
+}
+
+// Check crop answers with the same rules as the crop command
+function validateCrop(options) {
+  try {
+    parseCropOptions(options);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
 // Helper function to get resize options
 async function getResizeOptions() {
   const answers = await inquirer.prompt([
@@ -765,6 +847,10 @@ async function processSingleImage() {
           name: "🔄 Rotate - Rotate and flip images",
           value: "rotate",
         },
+        {
+          name: "✂️  Crop - Cut out a region, aspect ratio or borders",
+          value: "crop",
+        },
         {
           name: "🎨 Filters - Apply color filters and effects",
           value: "filters",
@@ -831,6 +917,9 @@ async function processSingleImage() {
         case "rotate":
           options = await getRotateOptions();
           break;
+        case "crop":
+          options = await getCropOptions();
+          break;
         case "filters":
           options = await getFilterOptions();
           break;
@@ -877,6 +966,9 @@ async function processSingleImage() {
     case "rotate":
       await rotateCommand(inputFile, options);
       break;
+    case "crop":
+      await cropCommand(inputFile, options);
+      break;
     case "filters":
       await filtersCommand(inputFile, options);
       break;
@@ -918,6 +1010,10 @@ async function processBatchImages() {
           name: "🔄 Rotate - Rotate/flip all images the same way",
           value: "rotate",
         },
+        {
+          name: "✂️  Crop - Crop all images the same way",
+          value: "crop",
+        },
         {
           name: "🎨 Filters - Apply color filters and effects to all images",
           value: "filters",
@@ -982,6 +1078,9 @@ async function processBatchImages() {
     case "rotate":
       operationOptions = await getRotateOptions();
       break;
+    case "crop":
+      operationOptions = await getCropOptions();
+      break;
     case "filters":
       operationOptions = await getFilterOptions();
       break;
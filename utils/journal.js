@@ -0,0 +1,122 @@
+// utils/journal.js
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+
+const journalFileName = ".pixpress-journal.jsonl";
+
+// Options that change how a batch runs but not what it produces
+const runOptions = [
+  "verbose",
+  "dryRun",
+  "recursive",
+  "include",
+  "exclude",
+  "concurrency",
+  "failFast",
+  "maxErrors",
+  "resume",
+  "incremental",
+  "prune",
+  "manifest",
+  "report",
+  "outputArchive",
+];
+
+export function getJournalPath(outputDir) {
+  return path.join(outputDir, journalFileName);
+}
+
+// Hash of the operation and the options that affect its output, so a
+// resumed batch only skips files done with the same settings
+export function hashOptions(operation, options) {
+  const relevant = Object.keys(options)
+    .filter((key) => !runOptions.includes(key) && options[key] !== undefined)
+    .sort()
+    .map((key) => [key, options[key]]);
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([operation, relevant]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Read the entries of an earlier run, keyed by input path. Lines cut off
+// by a crash are ignored.
+async function readEntries(journalPath) {
+  const entries = new Map();
+
+  if (!(await fs.pathExists(journalPath))) {
+    return entries;
+  }
+
+  const lines = (await fs.readFile(journalPath, "utf8")).split("\n");
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.input) {
+        entries.set(entry.input, entry);
+      }
+    } catch {
+      // Partial line from an interrupted write
+    }
+  }
+
+  return entries;
+}
+
+// Open the job journal in `outputDir`. Each completed file is appended as
+// one JSON line. With `resume` the entries of the previous run are kept
+// and isDone() reports which files they cover; otherwise the journal
+// starts over.
+export async function openJournal(outputDir, { resume = false } = {}) {
+  const journalPath = getJournalPath(outputDir);
+  const entries = resume ? await readEntries(journalPath) : new Map();
+
+  if (!resume) {
+    await fs.outputFile(journalPath, "");
+  }
+
+  // Appends run one after another so lines never interleave
+  let pending = Promise.resolve();
+
+  return {
+    path: journalPath,
+    previousEntries: entries.size,
+
+    // A file is done if it hasn't changed since, was processed with the
+    // same options and its output is still there
+    async isDone(input, stats, optionsHash) {
+      const entry = entries.get(input);
+
+      return Boolean(
+        entry &&
+          entry.mtime === stats.mtimeMs &&
+          entry.size === stats.size &&
+          entry.optionsHash === optionsHash &&
+          entry.output &&
+          (await fs.pathExists(entry.output))
+      );
+    },
+
+    getEntry(input) {
+      return entries.get(input) || null;
+    },
+
+    record(entry) {
+      entries.set(entry.input, entry);
+      // A failed append fails its own file, not the ones after it
+      const append = pending.then(() =>
+        fs.appendFile(journalPath, `${JSON.stringify(entry)}\n`)
+      );
+      pending = append.catch(() => {});
+      return append;
+    },
+
+    // Wait for every recorded entry to reach the disk
+    flush() {
+      return pending;
+    },
+  };
+}
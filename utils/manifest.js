@@ -0,0 +1,172 @@
+// utils/manifest.js
+import fs from "fs-extra";
+import path from "path";
+import YAML from "yaml";
+import { InputNotFoundError, InvalidOptionError } from "./errors.js";
+
+const manifestFormats = [".csv", ".json", ".yml", ".yaml"];
+
+// Columns that describe the job itself; every other column is an option
+const jobColumns = ["input", "operation", "output"];
+
+// Options whose values are files, resolved like the inputs
+const pathOptions = ["watermark", "textFile"];
+
+// Split CSV text into rows of fields. Quoted fields can hold commas,
+// doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines aren't rows
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+// --flip-h, flip_h and "flip h" all become flipH
+function toOptionName(key) {
+  return key
+    .trim()
+    .replace(/^-+/, "")
+    .replace(/[-_\s]+([a-z0-9])/gi, (match, char) => char.toUpperCase());
+}
+
+// CSV cells are text: empty cells are left out, true/false are switches
+// and meme text lines are separated by "|"
+function fromCsvCell(key, value) {
+  const text = value.trim();
+  if (text === "") return undefined;
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (key === "text") return text.split("|").map((line) => line.trim());
+  return text;
+}
+
+function readCsvRows(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(toOptionName);
+  return lines.map((fields) => {
+    const row = {};
+    keys.forEach((key, index) => {
+      const value = fromCsvCell(key, fields[index] ?? "");
+      if (key && value !== undefined) row[key] = value;
+    });
+    return row;
+  });
+}
+
+// JSON and YAML manifests are a list of jobs. Options can sit next to
+// input and operation or in an `options` map.
+function readDocumentRows(data, fileName) {
+  if (!Array.isArray(data)) {
+    throw new InvalidOptionError(`${fileName}: expected a list of jobs`);
+  }
+
+  return data.map((job) => {
+    if (!job || typeof job !== "object" || Array.isArray(job)) {
+      return {};
+    }
+
+    const { options, ...rest } = job;
+    const row = {};
+    for (const [key, value] of Object.entries({ ...rest, ...options })) {
+      if (value !== null && value !== undefined) {
+        row[toOptionName(key)] = value;
+      }
+    }
+    return row;
+  });
+}
+
+// Read a --manifest file into jobs of `{ row, input, inputPath, operation,
+// output, options }`. Inputs, recipe:<file> and file options are relative
+// to the manifest; the rows themselves are checked by the batch.
+export async function readManifest(manifestPath) {
+  const fileName = path.basename(manifestPath);
+  const ext = path.extname(manifestPath).toLowerCase();
+
+  if (!manifestFormats.includes(ext)) {
+    throw new InvalidOptionError(
+      `--manifest must be a .csv, .json or .yml file, got: ${manifestPath}`
+    );
+  }
+
+  if (!(await fs.pathExists(manifestPath))) {
+    throw new InputNotFoundError(`Manifest not found: ${manifestPath}`);
+  }
+
+  const text = await fs.readFile(manifestPath, "utf8");
+  let rows;
+  try {
+    rows =
+      ext === ".csv"
+        ? readCsvRows(text)
+        : readDocumentRows(YAML.parse(text), fileName);
+  } catch (error) {
+    if (error instanceof InvalidOptionError) throw error;
+    throw new InvalidOptionError(
+      `${fileName}: could not parse manifest: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const resolve = (file) => path.resolve(baseDir, String(file));
+
+  return rows.map((row, index) => {
+    const options = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (jobColumns.includes(key)) continue;
+      options[key] = pathOptions.includes(key) ? resolve(value) : value;
+    }
+
+    const operation = row.operation && String(row.operation);
+
+    return {
+      row: index + 1,
+      input: row.input,
+      inputPath: row.input ? resolve(row.input) : null,
+      operation: operation?.startsWith("recipe:")
+        ? `recipe:${resolve(operation.slice("recipe:".length))}`
+        : operation,
+      output: row.output,
+      options,
+    };
+  });
+}
@@ -1,17 +1,26 @@
 // utils/meme.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
 import path from "path";
 import { fileURLToPath } from "url";
 import { access, constants } from "fs/promises";
 import {
-  validateInput,
+  loadInput,
+  encodeImage,
+  renderImage,
+  saveOutput,
   generateOutputPath,
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
   displayOutputLocation,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InputNotFoundError, InvalidOptionError } from "./errors.js";
+import { applyResize, validateCropOptions } from "./resize.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -379,103 +388,164 @@ const textStyles = {
   },
 };
 
-export async function memeCommand(input, options) {
-  await initializePixpressDirectory();
-
-  const spinner = ora("Creating your meme...").start();
-
-  try {
-    const texts = options.text
-      ? Array.isArray(options.text)
-        ? options.text
-        : [options.text]
-      : [];
-
-    const outputPath = await generateOutputPath(
-      input || "meme",
-      "memes",
-      "_meme",
-      ".jpg",
-      options.output
-    );
+// Classic memes can crop the photo to --width/--height first, using the
+// crop strategy options. Returns the photo to draw on and its size.
+async function fitClassicImage(image, options) {
+  if (!options.width && !options.height) {
+    return { source: image.source, metadata: image.metadata };
+  }
 
-    let image;
-    let metadata;
+  const { data, info } = await applyResize(
+    sharp(image.source),
+    {
+      width: options.width,
+      height: options.height,
+      fit: "cover",
+      cropStrategy: options.cropStrategy,
+      gravity: options.gravity,
+      focal: options.focal,
+    },
+    image
+  ).toBuffer({ resolveWithObject: true });
 
-    spinner.text = "Applying meme magic...";
+  return {
+    source: data,
+    metadata: { ...image.metadata, width: info.width, height: info.height },
+  };
+}
 
-    // Check if using a template
-    if (options.template && memeTemplates[options.template]) {
-      const template = memeTemplates[options.template];
-
-      if (template.templateImage && template.name !== "Classic Impact") {
-        try {
-          await access(template.templateImage, constants.F_OK);
-          image = sharp(template.templateImage);
-          spinner.text = `Using ${template.name} template...`;
-        } catch (error) {
-          // If template image not found, fall back to requiring input
-          if (!input) {
-            throw new Error(
-              `Template image not found. Please ensure template assets exist.`
-            );
-          }
-          spinner.text = "Template image not found, using your image...";
-          await validateInput(input);
-          image = sharp(input);
-        }
-      } else {
+// Render a meme and return the encoded JPEG buffer
+export async function meme(input, options = {}) {
+  const texts = options.text
+    ? Array.isArray(options.text)
+      ? options.text
+      : [options.text]
+    : [];
+
+  let image;
+  let pipeline;
+
+  validateCropOptions(options);
+
+  // Check if using a template
+  if (options.template && memeTemplates[options.template]) {
+    const template = memeTemplates[options.template];
+
+    if (template.templateImage && template.name !== "Classic Impact") {
+      try {
+        await access(template.templateImage, constants.F_OK);
+        image = await loadInput(template.templateImage);
+      } catch (error) {
+        // If template image not found, fall back to requiring input
         if (!input) {
-          throw new Error("Input image is required for classic meme format.");
+          throw new InputNotFoundError(
+            `Template image not found. Please ensure template assets exist.`
+          );
         }
-        await validateInput(input);
-        image = sharp(input);
+        image = await loadInput(input);
+        image.warnings.push("Template image not found, used your image");
       }
-
-      // Validate text count
-      if (texts.length === 0) {
-        throw new Error(
-          `No text provided. The ${template.name} template requires ${template.textAreas.length} text input(s).`
+    } else {
+      if (!input) {
+        throw new InvalidOptionError(
+          "Input image is required for classic meme format."
         );
       }
+      image = await loadInput(input);
+    }
 
-      metadata = await image.metadata();
+    // Only the classic format draws on the user's own photo
+    const photo =
+      template.name === "Classic Impact"
+        ? await fitClassicImage(image, options)
+        : image;
 
-      // Apply template-specific text positioning
-      image = await applyTemplateText(
-        image,
-        texts,
-        template,
-        options,
-        metadata
+    // Validate text count
+    if (texts.length === 0) {
+      throw new InvalidOptionError(
+        `No text provided. The ${template.name} template requires ${template.textAreas.length} text input(s).`
       );
-    } else {
-      if (!input) {
-        throw new Error(
-          "Input image is required when not using a predefined template."
-        );
-      }
-      await validateInput(input);
-      image = sharp(input);
-      metadata = await image.metadata();
+    }
 
-      if (texts.length === 0) {
-        throw new Error("No text provided for meme. Use --text option.");
-      }
+    // Apply template-specific text positioning
+    pipeline = await applyTemplateText(
+      sharp(photo.source),
+      texts,
+      template,
+      options,
+      photo.metadata,
+      image.warnings
+    );
+  } else {
+    if (options.template) {
+      throw new InvalidOptionError(`Unknown template '${options.template}'`);
+    }
 
-      const style = textStyles[options.style || "impact"];
-      image = await applyClassicMemeText(image, texts, style, metadata);
+    if (!input) {
+      throw new InvalidOptionError(
+        "Input image is required when not using a predefined template."
+      );
     }
+    image = await loadInput(input);
 
-    // Apply filters for extra effect
-    if (options.filter) {
-      image = applyMemeFilter(image, options.filter);
+    if (texts.length === 0) {
+      throw new InvalidOptionError(
+        "No text provided for meme. Use --text option."
+      );
     }
 
+    const photo = await fitClassicImage(image, options);
+    const style = textStyles[options.style || "impact"];
+    pipeline = await applyClassicMemeText(
+      sharp(photo.source),
+      texts,
+      style,
+      photo.metadata
+    );
+  }
+
+  // Apply filters for extra effect
+  if (options.filter) {
+    pipeline = applyMemeFilter(pipeline, options.filter);
+  }
+
+  pipeline = encodeImage(pipeline, "jpeg", {
+    quality: options.quality,
+    defaultQuality: 85,
+  });
+
+  return renderImage(pipeline, image);
+}
+
+export async function memeCommand(input, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Creating your meme...");
+  const timer = startTimer();
+
+  try {
+    let outputPath = await generateOutputPath(
+      input || "meme",
+      "memes",
+      "_meme",
+      ".jpg",
+      options.output,
+      options.name
+    );
+
+    spinner.text = "Applying meme magic...";
+
+    const result = await meme(input, options);
+
     // Save the meme
-    await image
-      .jpeg({ quality: parseInt(options.quality || 85), progressive: true })
-      .toFile(outputPath);
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input: input || "meme",
+      result,
+      operation: "meme",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     spinner.succeed(
       chalk.green("✓ Meme created successfully!") +
@@ -484,12 +554,30 @@ export async function memeCommand(input, options) {
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("meme", {
+      result,
+      outputPath,
+      timer,
+      details: {
+        template: options.template || "classic",
+        style: options.style || "impact",
+      },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
 }
 
-async function applyTemplateText(image, texts, template, options, metadata) {
+async function applyTemplateText(
+  image,
+  texts,
+  template,
+  options,
+  metadata,
+  warnings = []
+) {
   const { width, height } = metadata;
   const style = textStyles[options.style || template.defaultStyle];
 
@@ -524,10 +612,8 @@ async function applyTemplateText(image, texts, template, options, metadata) {
         top: 0,
       });
     } catch (error) {
-      console.warn(
-        chalk.yellow(
-          `Warning: Failed to create text overlay for area ${i}: ${error.message}`
-        )
+      warnings.push(
+        `Failed to create text overlay for area ${i}: ${error.message}`
       );
     }
   }
@@ -0,0 +1,149 @@
+// utils/naming.js
+import fs from "fs-extra";
+import { dirname, extname, isAbsolute, join, parse } from "path";
+import crypto from "crypto";
+import sharp from "sharp";
+import { InvalidOptionError } from "./errors.js";
+import {
+  extensionForFormat,
+  isStdio,
+  readStdin,
+  resolveConflict,
+} from "./helpers.js";
+import { getCaptureDate } from "./exif.js";
+
+// Tokens a --name template can use
+const nameTokens = {
+  name: "Input file name without its extension",
+  ext: "Output file extension",
+  w: "Output width in pixels",
+  h: "Output height in pixels",
+  op: "Operation, e.g. resize or convert",
+  filter: "Filter applied, if any",
+  date: "Today's date (YYYYMMDD)",
+  "exif.date": "Capture date from EXIF, else the file's modified date",
+  hash8: "First 8 characters of the output's SHA-256",
+  index: "Position of the file in a batch (1 for single images)",
+};
+
+export function getNameTokens() {
+  return { ...nameTokens };
+}
+
+// Check a --name template before any work is done
+export function validateNameTemplate(template) {
+  if (typeof template !== "string" || !template.trim()) {
+    throw new InvalidOptionError("--name needs a file name template");
+  }
+
+  const unknown = [...template.matchAll(/\{([^}]*)\}/g)]
+    .map((match) => match[1])
+    .find((token) => !nameTokens[token]);
+
+  if (unknown !== undefined) {
+    throw new InvalidOptionError(
+      `Unknown --name token {${unknown}}. Available: ${Object.keys(nameTokens)
+        .map((token) => `{${token}}`)
+        .join(", ")}`
+    );
+  }
+
+  if (isAbsolute(template) || template.split(/[\\/]/).includes("..")) {
+    throw new InvalidOptionError(
+      "--name must stay inside the output folder; use --output to choose the folder"
+    );
+  }
+
+  return template;
+}
+
+// YYYYMMDD, matching the timestamps in generated file names
+function formatDate(date) {
+  return (
+    date.getFullYear().toString() +
+    (date.getMonth() + 1).toString().padStart(2, "0") +
+    date.getDate().toString().padStart(2, "0")
+  );
+}
+
+// Name of the input without extension, made safe for file names
+function inputName(input) {
+  if (typeof input !== "string") return "image";
+  if (isStdio(input)) return "stdin";
+  return parse(input).name.replace(/[^a-zA-Z0-9-_]/g, "_");
+}
+
+async function inputCaptureDate(input) {
+  if (typeof input !== "string") {
+    return getCaptureDate(null);
+  }
+
+  if (isStdio(input)) {
+    return getCaptureDate(await sharp(await readStdin()).metadata());
+  }
+
+  if (!(await fs.pathExists(input))) {
+    return getCaptureDate(null);
+  }
+
+  const metadata = await sharp(input)
+    .metadata()
+    .catch(() => null);
+  return getCaptureDate(metadata, input);
+}
+
+// Fill in a --name template for a finished operation. `context` holds the
+// input, the core operation's result, the operation name and optionally
+// the filter and batch index. Templates without an extension get the
+// output format's.
+export async function renderNameTemplate(template, context) {
+  validateNameTemplate(template);
+
+  const { input, result, operation, filter, index } = context;
+  const ext = extensionForFormat(result.info.format).slice(1);
+
+  const values = {
+    name: inputName(input),
+    ext,
+    w: result.info.width,
+    h: result.info.height,
+    op: operation,
+    filter: filter ? filter.toLowerCase() : "",
+    date: formatDate(new Date()),
+    index: index ?? 1,
+    hash8: crypto
+      .createHash("sha256")
+      .update(result.buffer)
+      .digest("hex")
+      .slice(0, 8),
+  };
+
+  // Reading EXIF means decoding the input's metadata again, so only do it
+  // when the template asks for it
+  if (template.includes("{exif.date}")) {
+    values["exif.date"] = formatDate((await inputCaptureDate(input)).date);
+  }
+
+  const name = template.replace(/\{([^}]+)\}/g, (_, token) =>
+    String(values[token])
+  );
+
+  return extname(name) ? name : `${name}.${ext}`;
+}
+
+// Rename a command's output with its --name template. The template names
+// the file only: the folder still comes from --output or the operation
+// folder. Output to stdout has no name and is left alone.
+export async function applyNameTemplate(outputPath, options, context) {
+  if (!options.name || isStdio(outputPath)) {
+    return outputPath;
+  }
+
+  const name = await renderNameTemplate(options.name, {
+    filter: options.filter,
+    index: options.index,
+    ...context,
+  });
+
+  return resolveConflict(join(dirname(outputPath), name));
+}
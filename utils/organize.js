@@ -0,0 +1,385 @@
+// utils/organize.js
+import fs from "fs-extra";
+import path from "path";
+import sharp from "sharp";
+import chalk from "chalk";
+import { findImageFiles } from "./batch.js";
+import { readExifTags, getCaptureDate } from "./exif.js";
+import { checkOptionValue } from "./schema.js";
+import {
+  InputError,
+  InputNotFoundError,
+  InvalidOptionError,
+  OutputSkippedError,
+  toPixpressError,
+} from "./errors.js";
+import {
+  resolveMoveTarget,
+  handleError,
+  setFailureExitCode,
+  isJsonOutput,
+  printJson,
+  startSpinner,
+  startTimer,
+} from "./helpers.js";
+
+// Folder pattern used for each --by
+const sortPatterns = {
+  date: "{yyyy}/{mm}",
+  camera: "{camera}",
+  orientation: "{orientation}",
+  format: "{format}",
+};
+
+// Tokens an --pattern can use
+const patternTokens = {
+  yyyy: "Year the photo was taken",
+  mm: "Month the photo was taken (01-12)",
+  dd: "Day the photo was taken (01-31)",
+  camera: "Camera make and model from EXIF",
+  make: "Camera make from EXIF",
+  model: "Camera model from EXIF",
+  orientation: "landscape, portrait or square",
+  format: "File format, e.g. jpg or heic",
+};
+
+function validatePattern(pattern) {
+  if (typeof pattern !== "string" || !pattern.trim()) {
+    throw new InvalidOptionError("--pattern needs a folder pattern");
+  }
+
+  const unknown = [...pattern.matchAll(/\{([^}]*)\}/g)]
+    .map((match) => match[1])
+    .find((token) => !patternTokens[token]);
+
+  if (unknown !== undefined) {
+    throw new InvalidOptionError(
+      `Unknown --pattern token {${unknown}}. Available: ${Object.keys(
+        patternTokens
+      )
+        .map((token) => `{${token}}`)
+        .join(", ")}`
+    );
+  }
+
+  if (path.isAbsolute(pattern) || pattern.split(/[\\/]/).includes("..")) {
+    throw new InvalidOptionError(
+      "--pattern must stay inside the output folder; use --output to choose the folder"
+    );
+  }
+
+  return pattern;
+}
+
+// Token values become folder names, so they can't contain separators or
+// characters Windows rejects
+function toFolderName(value) {
+  return String(value)
+    .replace(/[\\/:*?"<>|\0]/g, "_")
+    .trim();
+}
+
+// The values of every pattern token for one image. Files Sharp can't read
+// still get their date from the file and their format from the extension.
+async function readTokens(file) {
+  let metadata = null;
+  try {
+    metadata = await sharp(file.path).metadata();
+  } catch {
+    // Unreadable image: no EXIF, no dimensions
+  }
+
+  const tags = readExifTags(metadata?.exif);
+  const { date, source } = await getCaptureDate(metadata, file.path);
+  const pad = (number) => String(number).padStart(2, "0");
+
+  const make = tags.make || "";
+  const model = tags.model || "";
+  // Models usually repeat the make: "Canon" + "Canon EOS R5"
+  const camera = model.toLowerCase().startsWith(make.toLowerCase())
+    ? model
+    : `${make} ${model}`.trim();
+
+  // Orientations 5-8 are stored rotated by 90 degrees
+  const rotated = (metadata?.orientation || 1) >= 5;
+  const width = rotated ? metadata?.height : metadata?.width;
+  const height = rotated ? metadata?.width : metadata?.height;
+
+  const ext = path.extname(file.name).slice(1).toLowerCase();
+
+  return {
+    dateSource: source,
+    values: {
+      yyyy: String(date.getFullYear()),
+      mm: pad(date.getMonth() + 1),
+      dd: pad(date.getDate()),
+      camera: camera || "Unknown camera",
+      make: make || "Unknown make",
+      model: model || "Unknown model",
+      orientation:
+        !width || !height
+          ? "unknown"
+          : width > height
+          ? "landscape"
+          : width < height
+          ? "portrait"
+          : "square",
+      format: { jpeg: "jpg", tif: "tiff", heif: "heic" }[ext] || ext,
+    },
+  };
+}
+
+function applyPattern(pattern, values) {
+  return pattern.replace(/\{([^}]*)\}/g, (match, token) =>
+    toFolderName(values[token])
+  );
+}
+
+function recordFailure(record, error) {
+  record.status = "failed";
+  record.error = error.message;
+  record.code = error.code || null;
+  record.exitCode = error.exitCode || 1;
+}
+
+function validateOrganizeOptions(options) {
+  const by = (options.by || "date").toLowerCase();
+  const problem = checkOptionValue(by, { values: Object.keys(sortPatterns) });
+  if (problem) {
+    throw new InvalidOptionError(`--by ${problem}`);
+  }
+
+  return { by, pattern: validatePattern(options.pattern || sortPatterns[by]) };
+}
+
+// Sort the images of a folder into subfolders named after their capture
+// date, camera, orientation or format. Files are moved (or copied with
+// --copy) within the folder itself unless --output names another one.
+export async function organizeCommand(folder, options = {}) {
+  const spinner = startSpinner("Scanning folder for images...");
+  const timer = startTimer();
+
+  try {
+    const { by, pattern } = validateOrganizeOptions(options);
+
+    if (!(await fs.pathExists(folder))) {
+      throw new InputNotFoundError(`Folder not found: ${folder}`);
+    }
+    if (!(await fs.stat(folder)).isDirectory()) {
+      throw new InputError(`Path is not a directory: ${folder}`);
+    }
+
+    const outputDir = options.output || folder;
+    const action = options.copy ? "copy" : "move";
+    const files = await findImageFiles(folder, options);
+    const heicCount = files.filter((file) => file.isHeic).length;
+
+    // Work out every target first, including renames and skips for names
+    // taken on disk or by an earlier file of this run, so the dry run
+    // shows exactly what the real run does
+    const plan = [];
+    const claimed = new Set();
+    for (const [index, file] of files.entries()) {
+      spinner.text = `Reading image details (${index + 1}/${files.length})...`;
+      const { values, dateSource } = await readTokens(file);
+      const destination = path.join(
+        outputDir,
+        applyPattern(pattern, values),
+        file.name
+      );
+      const step = { file, dateSource, output: destination, status: "pending" };
+      plan.push(step);
+
+      // Already where it belongs
+      if (path.resolve(destination) === path.resolve(file.path)) {
+        step.status = "in-place";
+        claimed.add(path.resolve(destination));
+        continue;
+      }
+
+      try {
+        step.output = await resolveMoveTarget(destination, claimed);
+        claimed.add(path.resolve(step.output));
+      } catch (caught) {
+        const error = toPixpressError(caught);
+        if (error instanceof OutputSkippedError) {
+          step.status = "skipped";
+        } else {
+          recordFailure(step, error);
+        }
+      }
+    }
+    timer.lap("read");
+
+    if (options.dryRun) {
+      spinner.info(chalk.cyan(`🔍 Dry run - showing what would be organized:`));
+      if (isJsonOutput()) {
+        printJson({
+          ok: true,
+          operation: "organize",
+          dryRun: true,
+          folder,
+          outputDir,
+          by,
+          pattern,
+          action,
+          files: plan.map(({ file, dateSource, ...step }) => ({
+            input: file.relativePath,
+            ...step,
+            dateSource,
+          })),
+        });
+        return;
+      }
+      displayOrganizePreview(plan, { folder, outputDir, by, pattern, action });
+      return;
+    }
+
+    const results = plan.map(({ file, dateSource, ...step }) => ({
+      input: file.relativePath,
+      ...step,
+    }));
+
+    for (const [index, { file }] of plan.entries()) {
+      const record = results[index];
+      if (record.status !== "pending") continue;
+      spinner.text = `Organizing (${index + 1}/${plan.length})...`;
+
+      try {
+        await fs.ensureDir(path.dirname(record.output));
+        if (action === "copy") {
+          await fs.copy(file.path, record.output, { preserveTimestamps: true });
+        } else {
+          await fs.move(file.path, record.output);
+        }
+        record.status = "ok";
+      } catch (caught) {
+        recordFailure(record, toPixpressError(caught));
+      }
+    }
+    timer.lap(action);
+
+    const count = (status) =>
+      results.filter((record) => record.status === status).length;
+    const failures = results.filter((record) => record.status === "failed");
+
+    if (isJsonOutput()) {
+      spinner.stop();
+      printJson({
+        ok: failures.length === 0,
+        operation: "organize",
+        folder,
+        outputDir,
+        by,
+        pattern,
+        action,
+        organized: count("ok"),
+        alreadyInPlace: count("in-place"),
+        skipped: count("skipped"),
+        failed: failures.length,
+        files: results,
+        timings: timer.timings(),
+      });
+    } else {
+      if (failures.length === 0) {
+        spinner.succeed(chalk.green(`✓ Organized ${files.length} image(s)`));
+      } else {
+        spinner.warn(chalk.yellow(`⚠ Organized with some errors`));
+      }
+
+      console.log(chalk.white.bold("\n📊 Summary:"));
+      console.log(chalk.gray("─".repeat(40)));
+      console.log(
+        chalk.green(
+          `  ✓ ${action === "copy" ? "Copied" : "Moved"}: ${count("ok")}`
+        )
+      );
+      if (count("in-place") > 0) {
+        console.log(chalk.dim(`  = Already in place: ${count("in-place")}`));
+      }
+      if (count("skipped") > 0) {
+        console.log(
+          chalk.yellow(`  ↷ Skipped (destination exists): ${count("skipped")}`)
+        );
+      }
+      if (heicCount > 0) {
+        console.log(chalk.cyan(`  📱 HEIC/HEIF files: ${heicCount}`));
+      }
+      console.log(chalk.dim(`  📁 Output folder: ${outputDir}`));
+
+      if (failures.length > 0) {
+        console.log(chalk.red(`  ✗ Failed: ${failures.length}`));
+        console.log(chalk.red.bold(`\n❌ Errors encountered:`));
+        failures.forEach((failure, index) => {
+          console.log(
+            chalk.red(
+              `  ${index + 1}. ${failure.input}: ${failure.error}${
+                failure.code ? ` [${failure.code}]` : ""
+              }`
+            )
+          );
+        });
+      }
+    }
+
+    setFailureExitCode(failures);
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
+
+function displayOrganizePreview(
+  plan,
+  { folder, outputDir, by, pattern, action }
+) {
+  console.log(chalk.white.bold(`\n📋 Organize preview:`));
+  console.log(chalk.gray("─".repeat(60)));
+
+  console.log(chalk.dim(`Input folder: ${folder}`));
+  console.log(chalk.dim(`Output folder: ${outputDir}`));
+  console.log(chalk.dim(`Files to ${action}: ${plan.length}`));
+
+  const heicCount = plan.filter(({ file }) => file.isHeic).length;
+  if (heicCount > 0) {
+    console.log(chalk.cyan(`HEIC/HEIF files: ${heicCount}`));
+  }
+
+  console.log(chalk.dim(`\nSettings:`));
+  console.log(chalk.dim(`  • Sorted by: ${by}`));
+  console.log(chalk.dim(`  • Folder pattern: ${pattern}`));
+
+  const fromMtime = plan.filter(({ dateSource }) => dateSource === "mtime");
+  if (pattern.match(/\{(yyyy|mm|dd)\}/) && fromMtime.length > 0) {
+    console.log(
+      chalk.yellow(
+        `  • No EXIF date in ${fromMtime.length} file(s); using their modified date`
+      )
+    );
+  }
+
+  console.log(chalk.white.bold(`\n📁 Files to be organized:`));
+
+  // Show first 10 files and summary if more
+  plan.slice(0, 10).forEach(({ file, output, status, error }, index) => {
+    const heicIndicator = file.isHeic ? chalk.cyan(" [HEIC/HEIF]") : "";
+    const target = path.relative(outputDir, output);
+    const outcome =
+      status === "skipped"
+        ? chalk.yellow(`skipped, ${target} exists`)
+        : status === "failed"
+        ? chalk.red(`fails: ${error}`)
+        : status === "in-place"
+        ? `${target} (already in place)`
+        : target;
+    console.log(
+      chalk.dim(`  ${index + 1}. ${file.relativePath}${heicIndicator} → `) +
+        chalk.dim(outcome)
+    );
+  });
+
+  if (plan.length > 10) {
+    console.log(chalk.dim(`  ... and ${plan.length - 10} more files`));
+  }
+
+  console.log(chalk.green(`\n✅ Run without --dry-run to ${action} the files`));
+}
@@ -0,0 +1,330 @@
+// utils/pipe.js
+import sharp from "sharp";
+import chalk from "chalk";
+import {
+  loadInput,
+  encodeImage,
+  renderImage,
+  resolveOutputFormat,
+  validateOutputFormat,
+  extensionForFormat,
+  formatFromPath,
+  saveOutput,
+  generateOutputPath,
+  handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  displayOutputLocation,
+  displayWarnings,
+  initializePixpressDirectory,
+} from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+import { applyResize } from "./resize.js";
+import { applyRotation } from "./rotate.js";
+import { applyColorFilter } from "./filters.js";
+import { applyWatermark } from "./watermark.js";
+
+// Operations a pipe step can use, with the option names commander gives
+// the matching commands. `value` is the option a bare argument
+// fills (e.g. filter:sepia), `aliases` are short forms of the option names.
+const stepOperations = {
+  resize: {
+    keys: ["width", "height", "fit", "quality"],
+    value: "size",
+    aliases: { w: "width", h: "height", q: "quality" },
+  },
+  rotate: {
+    keys: ["angle", "flipH", "flipV", "background", "quality"],
+    value: "angle",
+    aliases: {
+      a: "angle",
+      bg: "background",
+      q: "quality",
+      horizontal: "flipH",
+      vertical: "flipV",
+    },
+  },
+  filter: {
+    keys: ["filter", "quality"],
+    value: "filter",
+    aliases: { f: "filter", q: "quality" },
+  },
+  watermark: {
+    keys: ["watermark", "position", "size", "opacity", "quality"],
+    value: "watermark",
+    aliases: { pos: "position", p: "position", s: "size", q: "quality" },
+  },
+  convert: {
+    keys: ["format", "quality", "filter"],
+    value: "format",
+    aliases: { f: "format", q: "quality" },
+  },
+};
+
+// Accept the command names as well as the short step names
+const operationAliases = {
+  filters: "filter",
+};
+
+// Turn "flip-h" into "flipH" to match commander's option names
+function toOptionKey(key) {
+  return key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// Build a { operation, options } step from an operation name and its
+// options, resolving aliases and rejecting options the step doesn't take
+export function createStep(name, stepOptions = {}) {
+  const operation =
+    operationAliases[name.trim().toLowerCase()] || name.trim().toLowerCase();
+  const definition = stepOperations[operation];
+
+  if (!definition) {
+    throw new InvalidOptionError(
+      `Unknown pipe step: ${name}. Available: ${Object.keys(
+        stepOperations
+      ).join(", ")}`
+    );
+  }
+
+  const options = {};
+
+  for (const [rawKey, value] of Object.entries(stepOptions)) {
+    const key = definition.aliases[rawKey] || toOptionKey(rawKey);
+
+    if (!definition.keys.includes(key) && key !== definition.value) {
+      throw new InvalidOptionError(
+        `Unknown option '${rawKey}' for ${operation} step. Available: ${definition.keys.join(
+          ", "
+        )}`
+      );
+    }
+
+    options[key] = value;
+  }
+
+  // resize:800x600 is shorthand for resize:w=800,h=600
+  if (operation === "resize" && options.size) {
+    const [width, height] = String(options.size).split("x");
+    if (width) options.width = width;
+    if (height) options.height = height;
+    delete options.size;
+  }
+
+  return { operation, options };
+}
+
+// Parse a step like "watermark:logo.png,pos=bottom-right" into
+// { operation, options }
+export function parseStep(spec) {
+  const separator = spec.indexOf(":");
+  const name = separator === -1 ? spec : spec.slice(0, separator);
+  const args = separator === -1 ? "" : spec.slice(separator + 1);
+
+  const operation =
+    operationAliases[name.trim().toLowerCase()] || name.trim().toLowerCase();
+  const definition = stepOperations[operation];
+  const options = {};
+
+  args
+    .split(",")
+    .map((arg) => arg.trim())
+    .filter(Boolean)
+    .forEach((arg) => {
+      const equals = arg.indexOf("=");
+
+      if (equals !== -1) {
+        options[arg.slice(0, equals)] = arg.slice(equals + 1);
+        return;
+      }
+
+      // A bare known option is a boolean flag, anything else is the value
+      const key = definition?.aliases[arg] || toOptionKey(arg);
+      if (definition?.keys.includes(key)) {
+        options[arg] = true;
+      } else if (definition) {
+        options[definition.value] = arg;
+      }
+    });
+
+  return createStep(name, options);
+}
+
+// Parse a list of step specs, leaving already-parsed steps untouched
+export function parseSteps(steps = []) {
+  return steps.map((step) =>
+    typeof step === "string" ? parseStep(step) : step
+  );
+}
+
+// Sharp applies operations in a fixed internal order rather than call
+// order, so each step hands its result to the next one as raw pixels.
+// Raw buffers are never compressed, so the image is still encoded once.
+export async function toRawPipeline(pipeline) {
+  const { data, info } = await pipeline
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    pipeline: sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels },
+    }),
+    width: info.width,
+    height: info.height,
+  };
+}
+
+// Run an ordered list of steps over one image and return the buffer
+// produced by a single final encode
+export async function pipe(input, steps, options = {}) {
+  const parsedSteps = parseSteps(steps);
+
+  if (parsedSteps.length === 0) {
+    throw new InvalidOptionError("Please specify at least one pipe step");
+  }
+
+  const image = await loadInput(input);
+
+  let format = options.format;
+  let quality = options.quality;
+  let pipeline = sharp(image.source);
+  let dimensions = { width: image.width, height: image.height };
+
+  // Steps after the last pixel-changing one don't need a raw hand-off
+  const lastImageStep = parsedSteps.reduce(
+    (last, step, index) =>
+      step.operation === "convert" && !step.options.filter ? last : index,
+    -1
+  );
+
+  for (const [index, step] of parsedSteps.entries()) {
+    try {
+      // Any step may set the quality of the final encode
+      if (step.options.quality) {
+        quality = step.options.quality;
+      }
+
+      switch (step.operation) {
+        case "resize":
+          pipeline = applyResize(pipeline, step.options);
+          break;
+        case "rotate":
+          pipeline = applyRotation(pipeline, step.options);
+          break;
+        case "filter":
+          if (!step.options.filter) {
+            throw new InvalidOptionError("Please specify a filter");
+          }
+          pipeline = applyColorFilter(pipeline, step.options.filter);
+          break;
+        case "watermark": {
+          const applied = await applyWatermark(
+            pipeline,
+            dimensions,
+            step.options
+          );
+          pipeline = applied.pipeline;
+          image.warnings.push(...applied.warnings);
+          break;
+        }
+        case "convert":
+          format = validateOutputFormat(step.options.format);
+          if (!step.options.filter) {
+            continue;
+          }
+          pipeline = applyColorFilter(pipeline, step.options.filter);
+          break;
+        default:
+          throw new InvalidOptionError(`Unknown pipe step: ${step.operation}`);
+      }
+
+      if (index < lastImageStep) {
+        const raw = await toRawPipeline(pipeline);
+        pipeline = raw.pipeline;
+        dimensions = { width: raw.width, height: raw.height };
+      }
+    } catch (error) {
+      error.message = `Step ${index + 1} (${step.operation}): ${error.message}`;
+      throw error;
+    }
+  }
+
+  pipeline = encodeImage(pipeline, resolveOutputFormat(format, image), {
+    quality,
+  });
+
+  const result = await renderImage(pipeline, image);
+  result.steps = parsedSteps;
+
+  return result;
+}
+
+export async function pipeCommand(input, steps, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Building pipeline...");
+  const timer = startTimer();
+
+  try {
+    const parsedSteps = parseSteps(steps);
+    const operations = parsedSteps.map((step) => step.operation);
+
+    // The last convert step decides the output format
+    const convertStep = parsedSteps
+      .filter((step) => step.operation === "convert")
+      .pop();
+    const requestedFormat = convertStep?.options.format || options.format;
+
+    let outputPath = await generateOutputPath(
+      input,
+      "piped",
+      `_${operations.filter((op) => op !== "convert").join("_") || "piped"}`,
+      requestedFormat ? extensionForFormat(requestedFormat) : null,
+      options.output,
+      options.name
+    );
+
+    spinner.text = `Running ${operations.join(" → ")}`;
+
+    const result = await pipe(input, parsedSteps, {
+      ...options,
+      format: requestedFormat || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "pipe",
+      filter: parsedSteps.find((step) => step.options.filter)?.options.filter,
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
+
+    spinner.succeed(
+      chalk.green("✓ Pipeline completed successfully!") +
+        chalk.dim(`\n  Steps: ${operations.join(" → ")}`) +
+        chalk.dim(
+          `\n  Dimensions: ${result.input.width}x${result.input.height} → ${result.info.width}x${result.info.height}`
+        ) +
+        chalk.dim(
+          `\n  Format: ${result.input.format?.toUpperCase()} → ${result.info.format.toUpperCase()}`
+        ) +
+        chalk.dim(
+          `\n  Size: ${result.input.size} bytes → ${result.info.size} bytes`
+        )
+    );
+
+    displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("pipe", {
+      result,
+      outputPath,
+      timer,
+      details: { steps: result.steps },
+    });
+    return outputPath;
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
@@ -1,19 +1,47 @@
 // utils/preset.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
-import fs from "fs-extra";
 import path from "path";
 import {
-  validateInput,
+  getSupportedFormats,
+  extensionForFormat,
+  loadInput,
+  encodeImage,
+  renderImage,
+  normalizeFormat,
+  formatFromPath,
+  saveOutput,
   generateOutputPath,
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  isJsonOutput,
+  printJson,
   displayOutputLocation,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+import { checkOptionValue } from "./schema.js";
+import { getConfigSources, getDefaultQuality } from "./config.js";
+import {
+  applyResize,
+  describeCrop,
+  describeResize,
+  getCropRules,
+  getResizeModeRules,
+  hasResize,
+  validateCropOptions,
+  validateResizeOptions,
+} from "./resize.js";
+import { applyColorFilter, getAllFilterNames } from "./filters.js";
+import { applyWatermark, getWatermarkPositions } from "./watermark.js";
+import { toRawPipeline } from "./pipe.js";
 
 // Predefined image configurations for common use cases
-const presets = {
+const builtInPresets = {
   thumbnail: {
     width: 150,
     height: 150,
@@ -49,123 +77,320 @@ const presets = {
   compress: {
     quality: 60,
     progressive: true,
+    compressionLevel: 9,
+    mozjpeg: true,
     description: "High compression for web",
     defaultFormat: "jpg",
   },
 };
 
-export async function presetCommand(input, options) {
-  await initializePixpressDirectory();
+// Settings a user preset may define in a config file
+const presetSchema = {
+  description: { type: "string" },
+  width: { type: "integer", min: 1 },
+  height: { type: "integer", min: 1 },
+  ...getResizeModeRules(),
+  enlarge: { type: "boolean" },
+  fit: { values: ["cover", "contain", "fill", "inside", "outside"] },
+  ...getCropRules(),
+  format: { values: () => getSupportedFormats().output },
+  quality: { type: "integer", min: 1, max: 100 },
+  progressive: { type: "boolean" },
+  filter: { values: getAllFilterNames },
+};
+
+const watermarkSchema = {
+  image: { type: "string" },
+  position: { values: getWatermarkPositions },
+  size: { type: "number", min: 10, max: 50 },
+  opacity: { type: "number", min: 0.1, max: 1 },
+};
+
+// Check a preset from a config file and return it in the same shape as
+// the built-in presets. Watermark paths are relative to the config file.
+function normalizeUserPreset(name, preset, configPath) {
+  const label = `Preset '${name}' in ${configPath}`;
+
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    throw new InvalidOptionError(`${label} must be a mapping of settings`);
+  }
 
-  const spinner = ora("Applying preset...").start();
+  const { watermark, ...settings } = preset;
+
+  for (const [key, value] of Object.entries(settings)) {
+    const rule = presetSchema[key];
+
+    if (!rule) {
+      throw new InvalidOptionError(
+        `${label}: unknown setting '${key}'. Available: ${[
+          ...Object.keys(presetSchema),
+          "watermark",
+        ].join(", ")}`
+      );
+    }
+
+    const problem = checkOptionValue(value, rule);
+    if (problem) {
+      throw new InvalidOptionError(`${label}: '${key}' ${problem}`);
+    }
+  }
 
   try {
-    const processedInputPath = await validateInput(input);
+    if (hasResize(settings)) validateResizeOptions(settings);
+    validateCropOptions(settings);
+  } catch (error) {
+    throw new InvalidOptionError(`${label}: ${error.message}`);
+  }
 
-    const presetName = options.preset.toLowerCase();
-    const preset = presets[presetName];
+  const normalized = {
+    ...settings,
+    description: settings.description || describePreset(settings),
+    defaultFormat: settings.format || "jpg",
+    source: configPath,
+  };
+
+  if (watermark !== undefined) {
+    // A plain string is shorthand for { image: "logo.png" }
+    const mark =
+      typeof watermark === "string" ? { image: watermark } : watermark;
 
-    if (!preset) {
-      const availablePresets = Object.keys(presets).join(", ");
-      throw new Error(
-        `Unknown preset: ${presetName}. Available: ${availablePresets}`
+    if (!mark || typeof mark !== "object" || !mark.image) {
+      throw new InvalidOptionError(
+        `${label}: 'watermark' must be an image path or { image, position, size, opacity }`
       );
     }
 
+    for (const [key, value] of Object.entries(mark)) {
+      const rule = watermarkSchema[key];
+      const problem = rule
+        ? checkOptionValue(value, rule)
+        : `is not a watermark setting. Available: ${Object.keys(
+            watermarkSchema
+          ).join(", ")}`;
+
+      if (problem) {
+        throw new InvalidOptionError(`${label}: watermark '${key}' ${problem}`);
+      }
+    }
+
+    normalized.watermark = {
+      ...mark,
+      image: path.resolve(path.dirname(configPath), mark.image),
+    };
+  }
+
+  return normalized;
+}
+
+// Build a short description for presets that don't define one
+function describePreset(preset) {
+  const parts = [];
+
+  if (hasResize(preset)) {
+    parts.push(describeResize(preset));
+  }
+  if (preset.format) parts.push(preset.format.toUpperCase());
+  if (preset.filter) parts.push(`${preset.filter} filter`);
+
+  return parts.length > 0 ? parts.join(", ") : "Custom preset";
+}
+
+// All presets by name: the built-in ones, then presets from the global
+// config and the project .pixpressrc, each overriding the one before
+export function getPresets() {
+  const presets = {};
+
+  for (const [name, preset] of Object.entries(builtInPresets)) {
+    presets[name] = { ...preset, source: "built-in" };
+  }
+
+  for (const source of getConfigSources()) {
+    const userPresets = source.data.presets;
+
+    if (userPresets === undefined) {
+      continue;
+    }
+
+    if (!userPresets || typeof userPresets !== "object") {
+      throw new InvalidOptionError(
+        `'presets' in ${source.path} must be a mapping of preset names to settings`
+      );
+    }
+
+    for (const [name, preset] of Object.entries(userPresets)) {
+      presets[name.toLowerCase()] = normalizeUserPreset(
+        name,
+        preset,
+        source.path
+      );
+    }
+  }
+
+  return presets;
+}
+
+// Look up a single preset, failing with the list of available names
+export function getPreset(name) {
+  const presets = getPresets();
+  const preset = presets[String(name).toLowerCase()];
+
+  if (!preset) {
+    throw new InvalidOptionError(
+      `Unknown preset: ${name}. Available: ${Object.keys(presets).join(", ")}`
+    );
+  }
+
+  return preset;
+}
+
+// File extension a preset produces for an input, or null to keep the
+// input's own extension
+export function getPresetExtension(preset, inputPath) {
+  if (preset.format) {
+    return extensionForFormat(preset.format);
+  }
+
+  const inputExt = path.extname(inputPath).toLowerCase();
+  return inputExt === ".heic" || inputExt === ".heif"
+    ? extensionForFormat(preset.defaultFormat)
+    : null;
+}
+
+// Apply a named preset to an image and return the encoded buffer
+export async function applyPreset(input, options = {}) {
+  if (!options.preset) {
+    throw new InvalidOptionError("Please specify a preset");
+  }
+
+  const presetName = options.preset.toLowerCase();
+  const preset = getPreset(presetName);
+
+  const image = await loadInput(input);
+
+  // A preset's own format always wins, HEIC inputs fall back to the
+  // preset's default format and everything else keeps its original format
+  const format = options.format
+    ? normalizeFormat(options.format)
+    : preset.format
+    ? normalizeFormat(preset.format)
+    : image.isHeic
+    ? normalizeFormat(preset.defaultFormat)
+    : normalizeFormat(image.format);
+
+  let pipeline = sharp(image.source);
+
+  // Apply resize if the preset specifies dimensions or a scale
+  if (hasResize(preset)) {
+    pipeline = applyResize(pipeline, preset, image);
+  }
+
+  if (preset.filter) {
+    pipeline = applyColorFilter(pipeline, preset.filter);
+  }
+
+  // The watermark is sized against the resized image, so settle the
+  // earlier steps first
+  if (preset.watermark) {
+    const raw = await toRawPipeline(pipeline);
+    const applied = await applyWatermark(raw.pipeline, raw, {
+      watermark: preset.watermark.image,
+      position: preset.watermark.position,
+      size: preset.watermark.size,
+      opacity: preset.watermark.opacity,
+    });
+    pipeline = applied.pipeline;
+    image.warnings.push(...applied.warnings);
+  }
+
+  pipeline = encodeImage(pipeline, format, {
+    quality: preset.quality,
+    progressive: preset.progressive || false,
+    compressionLevel: preset.compressionLevel || 6,
+    mozjpeg: preset.mozjpeg || false,
+  });
+
+  const result = await renderImage(pipeline, image);
+  result.preset = { name: presetName, ...preset };
+
+  return result;
+}
+
+// The quality encodeImage will use: the preset's own, then the configured
+// default for the output format, then 80
+function describeQuality(preset) {
+  if (preset.quality) {
+    return preset.quality;
+  }
+
+  if (!preset.format) {
+    return "configured default for the output format (80 if unset)";
+  }
+
+  return getDefaultQuality(normalizeFormat(preset.format)) || 80;
+}
+
+export async function presetCommand(input, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Applying preset...");
+  const timer = startTimer();
+
+  try {
+    const presetName = options.preset.toLowerCase();
+    const preset = getPreset(presetName);
+
     // Check if input is HEIC/HEIF and handle appropriately
     const inputExt = path.extname(input).toLowerCase();
     const isHeicInput = inputExt === ".heic" || inputExt === ".heif";
 
-    // For HEIC inputs, use preset's default format instead of preserving original
-    const outputExtension = isHeicInput ? `.${preset.defaultFormat}` : null; // null preserves original format
-
-    const outputPath = await generateOutputPath(
+    let outputPath = await generateOutputPath(
       input,
       "presets",
       `_${presetName}`,
-      outputExtension,
-      options.output
+      getPresetExtension(preset, input),
+      options.output,
+      options.name
     );
 
-    const metadata = await sharp(processedInputPath).metadata();
-
     if (isHeicInput) {
       spinner.text = `Converting HEIC/HEIF and applying ${presetName} preset (${preset.description})`;
     } else {
       spinner.text = `Applying ${presetName} preset (${preset.description})`;
     }
 
-    let pipeline = sharp(processedInputPath);
-
-    // Apply resize if the preset specifies dimensions
-    if (preset.width || preset.height) {
-      pipeline = pipeline.resize({
-        width: preset.width,
-        height: preset.height,
-        fit: preset.fit || "cover",
-        withoutEnlargement: false,
-      });
-    }
-
-    // Determine output format from file extension
-    const outputFormat = outputPath.split(".").pop().toLowerCase();
-
-    // Apply format-specific optimizations
-    switch (outputFormat) {
-      case "jpg":
-      case "jpeg":
-        pipeline = pipeline.jpeg({
-          quality: preset.quality || 80,
-          progressive: preset.progressive || false,
-        });
-        break;
-      case "png":
-        pipeline = pipeline.png({
-          progressive: preset.progressive || false,
-          compressionLevel: 6,
-        });
-        break;
-      case "webp":
-        pipeline = pipeline.webp({
-          quality: preset.quality || 80,
-          effort: 4,
-        });
-        break;
-    }
-
-    // Special handling for compression preset
-    if (presetName === "compress") {
-      if (outputFormat === "png") {
-        pipeline = pipeline.png({ compressionLevel: 9 });
-      } else {
-        pipeline = pipeline.jpeg({
-          quality: preset.quality,
-          progressive: preset.progressive,
-          mozjpeg: true,
-        });
-      }
-    }
-
-    await pipeline.toFile(outputPath);
+    // The output file's extension decides the format; stdout keeps the
+    // preset's own choice
+    const result = await applyPreset(input, {
+      ...options,
+      format: formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "preset",
+      filter: result.preset.filter,
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     // Show before/after stats to user
-    const finalMetadata = await sharp(outputPath).metadata();
-    const inputSize = (await fs.stat(processedInputPath)).size;
-    const outputSize = (await fs.stat(outputPath)).size;
+    const inputSize = result.input.size;
+    const outputSize = result.info.size;
     const savings = (((inputSize - outputSize) / inputSize) * 100).toFixed(1);
 
-    const inputFormatText = isHeicInput
+    const inputFormatText = result.input.isHeic
       ? "HEIC/HEIF"
-      : metadata.format?.toUpperCase() || "Unknown";
+      : result.input.format?.toUpperCase() || "Unknown";
 
     spinner.succeed(
       chalk.green(`✓ Preset applied successfully!`) +
         chalk.dim(`\n  Preset: ${presetName} (${preset.description})`) +
         chalk.dim(
-          `\n  Dimensions: ${metadata.width}x${metadata.height} → ${finalMetadata.width}x${finalMetadata.height}`
+          `\n  Dimensions: ${result.input.width}x${result.input.height} → ${result.info.width}x${result.info.height}`
         ) +
         chalk.dim(
-          `\n  Format: ${inputFormatText} → ${outputFormat.toUpperCase()}`
+          `\n  Format: ${inputFormatText} → ${result.info.format.toUpperCase()}`
         ) +
         chalk.dim(
           `\n  Size: ${inputSize} bytes → ${outputSize} bytes (${
@@ -175,7 +400,118 @@ export async function presetCommand(input, options) {
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("preset", {
+      result,
+      outputPath,
+      timer,
+      details: { preset: { name: presetName, ...preset } },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
 }
+
+// Print every preset, grouped by where it was defined
+export function listPresets() {
+  try {
+    if (isJsonOutput()) {
+      printJson({ ok: true, presets: getPresets() });
+      return;
+    }
+
+    const presets = Object.entries(getPresets());
+
+    console.log(chalk.cyan.bold("\n⚡ Available Presets\n"));
+
+    const groups = {};
+    presets.forEach(([name, preset]) => {
+      (groups[preset.source] = groups[preset.source] || []).push([
+        name,
+        preset,
+      ]);
+    });
+
+    Object.entries(groups).forEach(([source, entries]) => {
+      console.log(
+        chalk.white.bold(
+          source === "built-in" ? "Built-in:" : `From ${source}:`
+        )
+      );
+      entries.forEach(([name, preset]) => {
+        console.log(
+          chalk.dim(`  • ${chalk.cyan(name)} - ${preset.description}`)
+        );
+      });
+      console.log("");
+    });
+
+    console.log(chalk.yellow("💡 Usage examples:"));
+    console.log(chalk.dim("  pixpress preset photo.jpg --preset thumbnail"));
+    console.log(chalk.dim("  pixpress preset --show thumbnail"));
+    console.log(chalk.dim('  Define your own under "presets" in .pixpressrc'));
+    console.log("");
+  } catch (error) {
+    handleError(null, error);
+  }
+}
+
+// Print the full settings of a single preset
+export function showPreset(name) {
+  try {
+    const preset = getPreset(name);
+
+    if (isJsonOutput()) {
+      printJson({ ok: true, preset: { name: name.toLowerCase(), ...preset } });
+      return;
+    }
+
+    console.log(chalk.cyan.bold(`\n⚡ Preset: ${name.toLowerCase()}\n`));
+    console.log(chalk.dim(`  Description: ${preset.description}`));
+    console.log(chalk.dim(`  Source: ${preset.source}`));
+
+    if (hasResize(preset)) {
+      console.log(chalk.dim(`  Dimensions: ${describeResize(preset)}`));
+      if (preset.width || preset.height) {
+        console.log(chalk.dim(`  Fit: ${preset.fit || "cover"}`));
+        console.log(chalk.dim(`  Crop: ${describeCrop(preset)}`));
+      }
+      if (preset.enlarge === false) {
+        console.log(chalk.dim(`  Enlarge: no`));
+      }
+    }
+
+    console.log(
+      chalk.dim(
+        `  Format: ${
+          preset.format
+            ? preset.format.toUpperCase()
+            : `keep original (${preset.defaultFormat.toUpperCase()} for HEIC)`
+        }`
+      )
+    );
+    console.log(chalk.dim(`  Quality: ${describeQuality(preset)}`));
+
+    if (preset.progressive) {
+      console.log(chalk.dim(`  Progressive: yes`));
+    }
+    if (preset.filter) {
+      console.log(chalk.dim(`  Filter: ${preset.filter}`));
+    }
+    if (preset.watermark) {
+      console.log(
+        chalk.dim(
+          `  Watermark: ${preset.watermark.image} (${
+            preset.watermark.position || "bottom-right"
+          }, ${preset.watermark.size || 20}%, opacity ${
+            preset.watermark.opacity || 0.8
+          })`
+        )
+      );
+    }
+    console.log("");
+  } catch (error) {
+    handleError(null, error);
+  }
+}
@@ -0,0 +1,302 @@
+// utils/recipe.js
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import YAML from "yaml";
+import {
+  getSupportedFormats,
+  extensionForFormat,
+  formatFromPath,
+  saveOutput,
+  generateOutputPath,
+  handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  displayOutputLocation,
+  displayWarnings,
+  initializePixpressDirectory,
+} from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InputNotFoundError, InvalidOptionError } from "./errors.js";
+import { checkOptionValue } from "./schema.js";
+import { getAllFilterNames } from "./filters.js";
+import { getWatermarkPositions } from "./watermark.js";
+import { createStep, parseStep, pipe } from "./pipe.js";
+
+const quality = { type: "integer", min: 1, max: 100 };
+
+// What each recipe step accepts, keyed by the option names commander
+// gives the matching command. `oneOf` lists options a step can't do without.
+const recipeSchema = {
+  resize: {
+    options: {
+      width: { type: "integer", min: 1 },
+      height: { type: "integer", min: 1 },
+      fit: { values: ["cover", "contain", "fill", "inside", "outside"] },
+      quality,
+    },
+    oneOf: ["width", "height"],
+  },
+  rotate: {
+    options: {
+      angle: { type: "number", min: -360, max: 360 },
+      flipH: { type: "boolean" },
+      flipV: { type: "boolean" },
+      background: { type: "string" },
+      quality,
+    },
+    oneOf: ["angle", "flipH", "flipV"],
+  },
+  filter: {
+    options: {
+      filter: { values: getAllFilterNames },
+      quality,
+    },
+    oneOf: ["filter"],
+  },
+  watermark: {
+    options: {
+      watermark: { type: "string" },
+      position: { values: getWatermarkPositions },
+      size: { type: "number", min: 10, max: 50 },
+      opacity: { type: "number", min: 0.1, max: 1 },
+      quality,
+    },
+    oneOf: ["watermark"],
+  },
+  convert: {
+    options: {
+      format: { values: () => getSupportedFormats().output },
+      quality,
+      filter: { values: getAllFilterNames },
+    },
+    oneOf: ["format"],
+  },
+};
+
+const recipeFields = ["name", "description", "steps"];
+
+// Turn one entry of the `steps` list into a pipe step. Steps are written
+// either as { resize: { width: 800 } } or as a "resize:w=800" string.
+function normalizeRecipeStep(entry, index, source) {
+  const label = `${source}: step ${index + 1}`;
+  let step;
+
+  try {
+    if (typeof entry === "string") {
+      step = parseStep(entry);
+    } else if (
+      entry &&
+      typeof entry === "object" &&
+      !Array.isArray(entry) &&
+      Object.keys(entry).length === 1
+    ) {
+      const [name, options] = Object.entries(entry)[0];
+
+      if (
+        options !== null &&
+        (typeof options !== "object" || Array.isArray(options))
+      ) {
+        throw new InvalidOptionError(
+          `Options for '${name}' must be a mapping of option names to values`
+        );
+      }
+
+      step = createStep(name, options || {});
+    } else {
+      throw new InvalidOptionError(
+        "Each step must name exactly one operation, e.g. { resize: { width: 800 } }"
+      );
+    }
+  } catch (error) {
+    throw new InvalidOptionError(`${label}: ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  const schema = recipeSchema[step.operation];
+  const stepLabel = `${label} (${step.operation})`;
+
+  for (const [key, value] of Object.entries(step.options)) {
+    const problem = checkOptionValue(value, schema.options[key]);
+
+    if (problem) {
+      throw new InvalidOptionError(
+        `${stepLabel}: option '${key}' ${problem} (got ${JSON.stringify(
+          value
+        )})`
+      );
+    }
+  }
+
+  if (!schema.oneOf.some((key) => step.options[key] !== undefined)) {
+    throw new InvalidOptionError(
+      `${stepLabel}: requires ${schema.oneOf
+        .map((key) => `'${key}'`)
+        .join(" or ")}`
+    );
+  }
+
+  return step;
+}
+
+// Validate parsed recipe data and return { name, description, steps }.
+// `source` is used to point errors at the recipe they came from.
+export function validateRecipe(data, source = "recipe") {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new InvalidOptionError(
+      `${source}: a recipe must be a mapping with a 'steps' list`
+    );
+  }
+
+  const unknownFields = Object.keys(data).filter(
+    (field) => !recipeFields.includes(field)
+  );
+
+  if (unknownFields.length > 0) {
+    throw new InvalidOptionError(
+      `${source}: unknown field '${
+        unknownFields[0]
+      }'. Allowed: ${recipeFields.join(", ")}`
+    );
+  }
+
+  if (!Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new InvalidOptionError(
+      `${source}: 'steps' must be a non-empty list of operations`
+    );
+  }
+
+  return {
+    name: data.name ? String(data.name) : null,
+    description: data.description ? String(data.description) : null,
+    steps: data.steps.map((entry, index) =>
+      normalizeRecipeStep(entry, index, source)
+    ),
+  };
+}
+
+// Read and validate a JSON or YAML recipe file. Watermark paths are
+// resolved relative to the recipe so recipes can ship with their assets.
+export async function loadRecipe(recipePath) {
+  if (!(await fs.pathExists(recipePath))) {
+    throw new InputNotFoundError(`Recipe not found: ${recipePath}`);
+  }
+
+  const source = path.basename(recipePath);
+  const ext = path.extname(recipePath).toLowerCase();
+  const text = await fs.readFile(recipePath, "utf8");
+  let data;
+
+  try {
+    data = ext === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new InvalidOptionError(
+      `${source}: could not parse recipe: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  const recipe = validateRecipe(data, source);
+  const recipeDir = path.dirname(path.resolve(recipePath));
+
+  recipe.steps.forEach((step) => {
+    if (step.operation === "watermark") {
+      step.options.watermark = path.resolve(recipeDir, step.options.watermark);
+    }
+  });
+
+  recipe.name = recipe.name || path.parse(recipePath).name;
+
+  return recipe;
+}
+
+// The output format a recipe ends up with, if any of its steps sets one
+export function getRecipeFormat(recipe) {
+  const convertStep = recipe.steps
+    .filter((step) => step.operation === "convert")
+    .pop();
+
+  return convertStep ? convertStep.options.format : null;
+}
+
+// Filename suffix for images produced by a recipe
+export function getRecipeSuffix(recipe) {
+  return `_${recipe.name.replace(/[^\w-]+/g, "-")}`;
+}
+
+// Run a recipe over one image and return the encoded result. `recipe` is
+// either a recipe file path or recipe data shaped like a recipe file.
+export async function runRecipe(recipe, input, options = {}) {
+  const loaded =
+    typeof recipe === "string"
+      ? await loadRecipe(recipe)
+      : validateRecipe(recipe);
+
+  const result = await pipe(input, loaded.steps, options);
+  result.recipe = loaded.name;
+
+  return result;
+}
+
+export async function runCommand(recipePath, input, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Loading recipe...");
+  const timer = startTimer();
+
+  try {
+    const recipe = await loadRecipe(recipePath);
+    const requestedFormat = getRecipeFormat(recipe);
+
+    let outputPath = await generateOutputPath(
+      input,
+      "recipes",
+      getRecipeSuffix(recipe),
+      requestedFormat ? extensionForFormat(requestedFormat) : null,
+      options.output,
+      options.name
+    );
+
+    spinner.text = `Running recipe ${recipe.name}...`;
+
+    const result = await pipe(input, recipe.steps, {
+      format: requestedFormat || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "run",
+      filter: recipe.steps.find((step) => step.options.filter)?.options.filter,
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
+
+    spinner.succeed(
+      chalk.green(`✓ Recipe ${recipe.name} applied successfully!`) +
+        chalk.dim(
+          `\n  Steps: ${recipe.steps.map((step) => step.operation).join(" → ")}`
+        ) +
+        chalk.dim(
+          `\n  Dimensions: ${result.input.width}x${result.input.height} → ${result.info.width}x${result.info.height}`
+        ) +
+        chalk.dim(
+          `\n  Size: ${result.input.size} bytes → ${result.info.size} bytes`
+        )
+    );
+
+    displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("run", {
+      result,
+      outputPath,
+      timer,
+      details: { recipe: recipe.name, steps: recipe.steps },
+    });
+    return outputPath;
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
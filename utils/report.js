@@ -0,0 +1,223 @@
+// utils/report.js
+import fs from "fs-extra";
+import path from "path";
+import sharp from "sharp";
+import { InvalidOptionError, WriteFailedError } from "./errors.js";
+import { formatFileSize } from "./helpers.js";
+
+const reportFormats = [".csv", ".json", ".html"];
+
+const columns = [
+  ["input", "Input"],
+  ["output", "Output"],
+  ["status", "Status"],
+  ["inputWidth", "Input width"],
+  ["inputHeight", "Input height"],
+  ["outputWidth", "Output width"],
+  ["outputHeight", "Output height"],
+  ["inputBytes", "Input bytes"],
+  ["outputBytes", "Output bytes"],
+  ["savingsPercent", "Savings %"],
+  ["durationMs", "Duration (ms)"],
+  ["error", "Error"],
+];
+
+// Check a --report path before the batch runs
+export function validateReportPath(reportPath) {
+  const ext = path.extname(reportPath || "").toLowerCase();
+
+  if (!reportFormats.includes(ext)) {
+    throw new InvalidOptionError(
+      `--report must be a .csv, .json or .html file, got: ${reportPath}`
+    );
+  }
+
+  return reportPath;
+}
+
+// One flat row per file of the batch
+function toRow(record) {
+  const savings =
+    record.inputSize && record.outputSize
+      ? Number(
+          (
+            ((record.inputSize - record.outputSize) / record.inputSize) *
+            100
+          ).toFixed(1)
+        )
+      : null;
+
+  return {
+    input: record.input,
+    output: record.output,
+    status: record.status,
+    inputWidth: record.inputDimensions?.width ?? null,
+    inputHeight: record.inputDimensions?.height ?? null,
+    outputWidth: record.outputDimensions?.width ?? null,
+    outputHeight: record.outputDimensions?.height ?? null,
+    inputBytes: record.inputSize ?? null,
+    outputBytes: record.outputSize ?? null,
+    savingsPercent: savings,
+    durationMs: record.durationMs ?? null,
+    error: record.error
+      ? `${record.error}${record.code ? ` [${record.code}]` : ""}`
+      : null,
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [columns.map(([, label]) => csvField(label)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(([key]) => csvField(row[key])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Small JPEG of the output (or the input if there is no output) as a data
+// URL, so the page works on its own when attached to a ticket
+async function thumbnail(record, folder) {
+  const source =
+    record.output && (await fs.pathExists(record.output))
+      ? record.output
+      : path.join(folder, record.input);
+
+  try {
+    const buffer = await sharp(source)
+      .rotate()
+      .resize(96, 96, { fit: "inside" })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return `data:image/jpeg;base64,${buffer.toString("base64")}`;
+  } catch {
+    return null;
+  }
+}
+
+async function toHtml(report, rows, folder) {
+  const statusColors = {
+    ok: "#1a7f37",
+    failed: "#cf222e",
+    skipped: "#9a6700",
+  };
+
+  const body = [];
+  for (const [index, row] of rows.entries()) {
+    const image = await thumbnail(report.files[index], folder);
+    const dimensions = (width, height) =>
+      width && height ? `${width}×${height}` : "";
+
+    body.push(`      <tr>
+        <td>${image ? `<img src="${image}" alt="">` : ""}</td>
+        <td>${escapeHtml(row.input)}</td>
+        <td>${escapeHtml(row.output)}</td>
+        <td style="color: ${
+          statusColors[row.status] || "#57606a"
+        }">${escapeHtml(row.status)}</td>
+        <td>${dimensions(row.inputWidth, row.inputHeight)}</td>
+        <td>${dimensions(row.outputWidth, row.outputHeight)}</td>
+        <td class="num">${
+          row.inputBytes !== null
+            ? escapeHtml(formatFileSize(row.inputBytes))
+            : ""
+        }</td>
+        <td class="num">${
+          row.outputBytes !== null
+            ? escapeHtml(formatFileSize(row.outputBytes))
+            : ""
+        }</td>
+        <td class="num">${
+          row.savingsPercent !== null ? `${row.savingsPercent}%` : ""
+        }</td>
+        <td class="num">${row.durationMs ?? ""}</td>
+        <td>${escapeHtml(row.error)}</td>
+      </tr>`);
+  }
+
+  const { summary } = report;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Pixpress batch ${escapeHtml(report.operation)} report</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #24292f; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: 0.4rem 0.6rem; text-align: left; vertical-align: middle; }
+    th { background: #f6f8fa; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    img { display: block; max-width: 96px; max-height: 96px; }
+    dl { display: grid; grid-template-columns: max-content auto; gap: 0.2rem 1rem; }
+    dt { font-weight: 600; }
+  </style>
+</head>
+<body>
+  <h1>Batch ${escapeHtml(report.operation)} report</h1>
+  <dl>
+    <dt>Folder</dt><dd>${escapeHtml(report.folder)}</dd>
+    <dt>Output</dt><dd>${escapeHtml(report.outputDir)}</dd>
+    <dt>Created</dt><dd>${escapeHtml(report.createdAt)}</dd>
+    <dt>Successful</dt><dd>${summary.successful}</dd>
+    <dt>Failed</dt><dd>${summary.failed}</dd>
+    <dt>Skipped</dt><dd>${summary.skipped}</dd>
+    <dt>Input size</dt><dd>${escapeHtml(formatFileSize(summary.inputSize))}</dd>
+    <dt>Output size</dt><dd>${escapeHtml(
+      formatFileSize(summary.outputSize)
+    )}</dd>
+  </dl>
+  <table>
+    <thead>
+      <tr>
+        <th></th><th>Input</th><th>Output</th><th>Status</th>
+        <th>Input dimensions</th><th>Output dimensions</th><th>Input bytes</th><th>Output bytes</th>
+        <th>Savings</th><th>Duration (ms)</th><th>Error</th>
+      </tr>
+    </thead>
+    <tbody>
+${body.join("\n")}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// Write the per-file report of a finished batch. The format follows the
+// file extension.
+export async function writeBatchReport(reportPath, report, folder) {
+  const rows = report.files.map(toRow);
+  const ext = path.extname(reportPath).toLowerCase();
+
+  let content;
+  if (ext === ".csv") {
+    content = toCsv(rows);
+  } else if (ext === ".json") {
+    content = `${JSON.stringify({ ...report, files: rows }, null, 2)}\n`;
+  } else {
+    content = await toHtml(report, rows, folder);
+  }
+
+  try {
+    await fs.outputFile(reportPath, content);
+  } catch (error) {
+    throw new WriteFailedError(`Could not write report: ${reportPath}`, {
+      cause: error,
+    });
+  }
+
+  return reportPath;
+}
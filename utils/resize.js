@@ -1,69 +1,377 @@
 // utils/resize.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
-import fs from "fs-extra";
-import { extname } from "path";
-import { validateInput, generateOutputPath, handleError } from "./helpers.js";
+import {
+  loadInput,
+  encodeImage,
+  renderImage,
+  resolveOutputFormat,
+  formatFromPath,
+  extensionForFormat,
+  validateOutputFormat,
+  saveOutput,
+  generateOutputPath,
+  displayWarnings,
+  handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
+  isStdio,
+} from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+import { getConfigValue } from "./config.js";
+import { checkOptionValue } from "./schema.js";
 
-export async function resizeCommand(input, options) {
-  const spinner = ora("Processing image...").start();
+// Ways to size an image relative to its own dimensions, by option name,
+// with the flag and the values each accepts
+const relativeModes = {
+  scale: { flag: "--scale", rule: { type: "number", min: 0.01, max: 100 } },
+  percent: { flag: "--percent", rule: { type: "number", min: 1, max: 10000 } },
+  maxMegapixels: {
+    flag: "--max-megapixels",
+    rule: { type: "number", min: 0.01 },
+  },
+  longEdge: { flag: "--long-edge", rule: { type: "integer", min: 1 } },
+  shortEdge: { flag: "--short-edge", rule: { type: "integer", min: 1 } },
+};
 
-  try {
-    // validateInput returns the processed input path (may be converted from HEIC)
-    const processedInputPath = await validateInput(input);
+// Fixed target sizes, checked the same way
+const sizeOptions = {
+  width: { flag: "--width", rule: { type: "integer", min: 1 } },
+  height: { flag: "--height", rule: { type: "integer", min: 1 } },
+};
+
+function checkSizeOption(options, key, { flag, rule }) {
+  const problem = checkOptionValue(options[key], rule);
+  if (problem) {
+    throw new InvalidOptionError(`${flag} ${problem}`);
+  }
+}
+
+// Schema rules for the relative modes, for settings files such as presets
+export function getResizeModeRules() {
+  return Object.fromEntries(
+    Object.entries(relativeModes).map(([key, { rule }]) => [key, rule])
+  );
+}
+
+// Whether the options ask for any resizing at all
+export function hasResize(options = {}) {
+  return Boolean(
+    options.width ||
+      options.height ||
+      Object.keys(relativeModes).some((key) => options[key] !== undefined)
+  );
+}
+
+// Check that the options pick exactly one way of sizing the image and
+// return the relative mode, if that's the one
+export function validateResizeOptions(options = {}) {
+  for (const [key, option] of Object.entries(sizeOptions)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      checkSizeOption(options, key, option);
+    }
+  }
 
-    const width = options.width ? parseInt(options.width) : null;
-    const height = options.height ? parseInt(options.height) : null;
+  const modes = Object.keys(relativeModes).filter(
+    (key) => options[key] !== undefined
+  );
 
-    // Require at least one dimension to prevent no-op
-    if (!width && !height) {
-      throw new Error("Please specify at least width or height");
+  if (modes.length === 0) {
+    if (!options.width && !options.height) {
+      throw new InvalidOptionError(
+        "Please specify --width, --height, --scale, --percent, --max-megapixels, --long-edge or --short-edge"
+      );
     }
+    return null;
+  }
+
+  if (modes.length > 1 || options.width || options.height) {
+    throw new InvalidOptionError(
+      "Use only one of --width/--height, --scale, --percent, --max-megapixels, --long-edge and --short-edge"
+    );
+  }
 
-    const outputPath =
-      options.output ||
-      (await generateOutputPath(input, "resized", "_resized"));
+  const [mode] = modes;
+  checkSizeOption(options, mode, relativeModes[mode]);
 
-    const metadata = await sharp(processedInputPath).metadata();
-    spinner.text = `Resizing ${metadata.width}x${metadata.height} → ${
-      width || "auto"
-    }x${height || "auto"}`;
+  return mode;
+}
 
-    let pipeline = sharp(processedInputPath);
+// Short description of the requested size, e.g. "800xauto" or "50%"
+export function describeResize(options = {}) {
+  if (options.scale !== undefined) return `scale ${options.scale}`;
+  if (options.percent !== undefined) return `${options.percent}%`;
+  if (options.maxMegapixels !== undefined) {
+    return `at most ${options.maxMegapixels} MP`;
+  }
+  if (options.longEdge !== undefined) return `long edge ${options.longEdge}px`;
+  if (options.shortEdge !== undefined) {
+    return `short edge ${options.shortEdge}px`;
+  }
+  return `${options.width || "auto"}x${options.height || "auto"}`;
+}
 
-    const resizeOptions = {
-      width,
-      height,
-      fit: options.fit,
-      withoutEnlargement: false, // Allow upscaling when requested
-    };
+const cropStrategies = ["center", "entropy", "attention", "focal"];
+const gravities = Object.keys(sharp.gravity).filter(
+  (gravity) => gravity !== "centre"
+);
 
-    pipeline = pipeline.resize(resizeOptions);
+// Read a --focal point of "x,y" percentages, e.g. "50,30", into fractions
+function parseFocalPoint(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(",");
+  const [x, y] = parts.map((part) => Number(String(part).trim()));
 
-    // Apply JPEG quality setting if output is JPEG
-    const format = extname(outputPath).toLowerCase();
-    if (format === ".jpg" || format === ".jpeg") {
-      pipeline = pipeline.jpeg({ quality: parseInt(options.quality) });
+  if (
+    parts.length !== 2 ||
+    ![x, y].every((number) => Number.isFinite(number)) ||
+    x < 0 ||
+    x > 100 ||
+    y < 0 ||
+    y > 100
+  ) {
+    throw new InvalidOptionError(
+      `--focal must be two percentages "x,y" between 0 and 100, got: ${value}`
+    );
+  }
+
+  return { x: x / 100, y: y / 100 };
+}
+
+// Check --crop-strategy, --gravity and --focal and return how an image
+// should be cropped when it's resized to cover a box. A --focal point on
+// its own picks the focal strategy.
+export function validateCropOptions(options = {}) {
+  const strategy = String(
+    options.cropStrategy || (options.focal !== undefined ? "focal" : "center")
+  ).toLowerCase();
+
+  const problem = checkOptionValue(strategy, { values: cropStrategies });
+  if (problem) {
+    throw new InvalidOptionError(`--crop-strategy ${problem}`);
+  }
+
+  if (options.gravity !== undefined) {
+    const gravityProblem = checkOptionValue(options.gravity, {
+      values: gravities,
+    });
+    if (gravityProblem) {
+      throw new InvalidOptionError(`--gravity ${gravityProblem}`);
     }
+    if (strategy !== "center") {
+      throw new InvalidOptionError(
+        `--gravity can't be combined with --crop-strategy ${strategy}`
+      );
+    }
+  }
 
-    await pipeline.toFile(outputPath);
+  if (strategy === "focal" && options.focal === undefined) {
+    throw new InvalidOptionError("--crop-strategy focal needs --focal x,y");
+  }
+  if (strategy !== "focal" && options.focal !== undefined) {
+    throw new InvalidOptionError(
+      `--focal can't be combined with --crop-strategy ${strategy}`
+    );
+  }
 
-    // Show detailed before/after comparison
-    const finalMetadata = await sharp(outputPath).metadata();
-    const inputStats = await fs.stat(processedInputPath);
-    const outputStats = await fs.stat(outputPath);
+  return {
+    strategy,
+    gravity: String(options.gravity || "center").toLowerCase(),
+    focal: strategy === "focal" ? parseFocalPoint(options.focal) : null,
+  };
+}
+
+// Schema rules for the crop settings, for settings files such as presets
+export function getCropRules() {
+  return {
+    cropStrategy: { values: cropStrategies },
+    gravity: { values: gravities },
+    focal: { type: "string" },
+  };
+}
+
+// Short description of the crop, e.g. "attention" or "focal 50,30"
+export function describeCrop(options = {}) {
+  const { strategy, gravity } = validateCropOptions(options);
+  if (strategy === "focal") return `focal ${options.focal}`;
+  if (strategy === "center") return gravity;
+  return strategy;
+}
 
+// Cover a width x height box, keeping the given point of the image as
+// close to the middle of the box as the edges allow. Sharp has no focal
+// point position, so scale to cover and extract the box ourselves.
+function coverAroundPoint(pipeline, box, point, dimensions, enlarge) {
+  let scale = Math.max(
+    box.width / dimensions.width,
+    box.height / dimensions.height
+  );
+  if (!enlarge) scale = Math.min(scale, 1);
+
+  const scaledWidth = Math.max(1, Math.round(dimensions.width * scale));
+  const scaledHeight = Math.max(1, Math.round(dimensions.height * scale));
+  const width = Math.min(box.width, scaledWidth);
+  const height = Math.min(box.height, scaledHeight);
+
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  const left = clamp(
+    Math.round(point.x * scaledWidth - width / 2),
+    scaledWidth - width
+  );
+  const top = clamp(
+    Math.round(point.y * scaledHeight - height / 2),
+    scaledHeight - height
+  );
+
+  return pipeline
+    .resize(scaledWidth, scaledHeight, { fit: "fill" })
+    .extract({ left, top, width, height });
+}
+
+// Factor a relative mode scales an image of `dimensions` by
+function getScaleFactor(mode, value, { width, height }) {
+  const number = Number(value);
+
+  switch (mode) {
+    case "scale":
+      return number;
+    case "percent":
+      return number / 100;
+    case "maxMegapixels":
+      // A budget, so images already within it keep their size
+      return Math.min(1, Math.sqrt((number * 1e6) / (width * height)));
+    case "longEdge":
+      return number / Math.max(width, height);
+    case "shortEdge":
+      return number / Math.min(width, height);
+  }
+}
+
+// Add a resize step to an existing Sharp pipeline. The relative modes and
+// focal point crops need the `dimensions` of the image going into the step.
+export function applyResize(pipeline, options = {}, dimensions = null) {
+  const mode = validateResizeOptions(options);
+  const crop = validateCropOptions(options);
+  // Upscaling is allowed unless --no-enlarge (enlarge: false) says otherwise
+  const withoutEnlargement = options.enlarge === false;
+
+  if (mode) {
+    if (!dimensions?.width || !dimensions?.height) {
+      throw new InvalidOptionError(
+        `${relativeModes[mode].flag} needs the size of the image, which isn't known at this step`
+      );
+    }
+
+    const factor = getScaleFactor(mode, options[mode], dimensions);
+    return pipeline.resize({
+      width: Math.max(1, Math.round(dimensions.width * factor)),
+      height: Math.max(1, Math.round(dimensions.height * factor)),
+      // The factor keeps the aspect ratio, so nothing is cropped
+      fit: "fill",
+      withoutEnlargement,
+    });
+  }
+
+  const width = options.width ? parseInt(options.width) : null;
+  const height = options.height ? parseInt(options.height) : null;
+  const fit = options.fit || getConfigValue("fit");
+
+  // Only a cover fit of both sides crops; anything else keeps the whole
+  // image, so entropy, attention and focal have nothing to choose
+  const crops = fit === "cover" && width && height;
+
+  if (crops && crop.strategy === "focal") {
+    if (!dimensions?.width || !dimensions?.height) {
+      throw new InvalidOptionError(
+        "--focal needs the size of the image, which isn't known at this step"
+      );
+    }
+    return coverAroundPoint(
+      pipeline,
+      { width, height },
+      crop.focal,
+      dimensions,
+      !withoutEnlargement
+    );
+  }
+
+  return pipeline.resize({
+    width,
+    height,
+    fit,
+    position:
+      crops && crop.strategy !== "center"
+        ? sharp.strategy[crop.strategy]
+        : sharp.gravity[crop.gravity],
+    withoutEnlargement,
+  });
+}
+
+// Resize an image and return the encoded buffer without writing anything
+export async function resize(input, options = {}) {
+  const image = await loadInput(input);
+
+  let pipeline = applyResize(sharp(image.source), options, image);
+
+  pipeline = encodeImage(pipeline, resolveOutputFormat(options.format, image), {
+    quality: options.quality,
+  });
+
+  return renderImage(pipeline, image);
+}
+
+export async function resizeCommand(input, options) {
+  const spinner = startSpinner("Processing image...");
+  const timer = startTimer();
+
+  try {
+    // Stdout has no extension, so --format is the only way to change it
+    const format = options.format ? validateOutputFormat(options.format) : null;
+
+    let outputPath = await generateOutputPath(
+      input,
+      "resized",
+      "_resized",
+      format ? extensionForFormat(format) : null,
+      options.output,
+      options.name
+    );
+
+    validateResizeOptions(options);
+    validateCropOptions(options);
+    spinner.text = `Resizing to ${describeResize(options)}`;
+
+    const result = await resize(input, {
+      ...options,
+      format: format || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "resize",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
+
+    // Show detailed before/after comparison
     spinner.succeed(
       chalk.green("✓ Image resized successfully!") +
         chalk.dim(
-          `\n  Input: ${metadata.width}x${metadata.height} (${inputStats.size} bytes)`
+          `\n  Input: ${result.input.width}x${result.input.height} (${result.input.size} bytes)`
         ) +
         chalk.dim(
-          `\n  Output: ${finalMetadata.width}x${finalMetadata.height} (${outputStats.size} bytes)`
+          `\n  Output: ${result.info.width}x${result.info.height} (${result.info.size} bytes)`
         ) +
-        chalk.dim(`\n  Saved to: ${outputPath}`)
+        chalk.dim(
+          `\n  Saved to: ${isStdio(outputPath) ? "stdout" : outputPath}`
+        )
     );
+
+    displayWarnings(result.warnings);
+    reportResult("resize", { result, outputPath, timer });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
@@ -0,0 +1,312 @@
+// utils/responsive.js
+import sharp from "sharp";
+import chalk from "chalk";
+import path from "path";
+import {
+  loadInput,
+  encodeImage,
+  renderImage,
+  normalizeFormat,
+  extensionForFormat,
+  validateOutputFormat,
+  saveOutput,
+  resolveConflict,
+  getOperationDirectory,
+  getPixpressDirectory,
+  formatFileSize,
+  handleError,
+  startSpinner,
+  startTimer,
+  isJsonOutput,
+  isStdio,
+  isInPlace,
+  printJson,
+  displayWarnings,
+  initializePixpressDirectory,
+} from "./helpers.js";
+import { applyResize } from "./resize.js";
+import { checkOptionValue } from "./schema.js";
+import { InvalidOptionError, OutputSkippedError } from "./errors.js";
+
+const defaultWidths = "320,640,1280,1920";
+const defaultFormats = "avif,webp,jpg";
+
+// Accept "320,640" from the command line or [320, 640] from the API
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+function parseWidths(value) {
+  const widths = toList(value).map((width) => {
+    const problem = checkOptionValue(width, {
+      type: "integer",
+      min: 1,
+      max: 16383,
+    });
+    if (problem) {
+      throw new InvalidOptionError(`--widths: '${width}' ${problem}`);
+    }
+    return Number(width);
+  });
+
+  if (widths.length === 0) {
+    throw new InvalidOptionError("--widths needs at least one width");
+  }
+
+  return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+// Formats in the order given, which is the order the browser tries them
+function parseFormats(value) {
+  const formats = toList(value).map((format) =>
+    normalizeFormat(validateOutputFormat(format))
+  );
+
+  if (formats.length === 0) {
+    throw new InvalidOptionError("--formats needs at least one format");
+  }
+
+  return [...new Set(formats)];
+}
+
+// Variant files are named <name>-<width>.<ext>, so the name has to be
+// safe in a URL
+function variantBaseName(input) {
+  if (isStdio(input) || Buffer.isBuffer(input)) return "image";
+  return path.parse(input).name.replace(/[^a-zA-Z0-9-_]/g, "_");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Build the <picture> element for a set of variants. Each format but the
+// last becomes a <source>; the last one is the <img> fallback, at its
+// largest width.
+function buildPictureHtml(variants, formats, options = {}) {
+  const sizes = options.sizes || "100vw";
+  const baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, "") : "";
+  const url = (file) => escapeHtml(baseUrl ? `${baseUrl}/${file}` : file);
+
+  const srcset = (format) =>
+    variants
+      .filter((variant) => variant.format === format)
+      .map((variant) => `${url(variant.file)} ${variant.width}w`)
+      .join(", ");
+
+  const fallbackFormat = formats[formats.length - 1];
+  const fallback = variants
+    .filter((variant) => variant.format === fallbackFormat)
+    .reduce((largest, variant) =>
+      variant.width > largest.width ? variant : largest
+    );
+
+  const sources = formats
+    .slice(0, -1)
+    .map(
+      (format) =>
+        `  <source type="image/${format}" srcset="${srcset(
+          format
+        )}" sizes="${escapeHtml(sizes)}">`
+    );
+
+  const img =
+    `  <img src="${url(fallback.file)}" srcset="${srcset(fallbackFormat)}"` +
+    ` sizes="${escapeHtml(sizes)}" width="${fallback.width}"` +
+    ` height="${fallback.height}" alt="${escapeHtml(options.alt || "")}"` +
+    ` loading="lazy" decoding="async">`;
+
+  return ["<picture>", ...sources, img, "</picture>"].join("\n");
+}
+
+// Render every width in every format and return the variants with their
+// buffers, plus the <picture> markup that ties them together. Widths
+// larger than the image are left out in favor of its own width.
+export async function responsive(input, options = {}) {
+  const widths = parseWidths(options.widths ?? defaultWidths);
+  const formats = parseFormats(options.formats ?? defaultFormats);
+
+  const image = await loadInput(input);
+  const name = variantBaseName(input);
+  const warnings = [...image.warnings];
+
+  const targetWidths = widths.filter((width) => width <= image.width);
+  const tooWide = widths.filter((width) => width > image.width);
+  if (tooWide.length > 0) {
+    if (!targetWidths.includes(image.width)) {
+      targetWidths.push(image.width);
+    }
+    warnings.push(
+      `Skipped widths larger than the image (${image.width}px): ${tooWide.join(
+        ", "
+      )}`
+    );
+  }
+
+  const variants = [];
+  let inputDetails;
+
+  for (const format of formats) {
+    for (const width of targetWidths) {
+      const pipeline = encodeImage(
+        applyResize(sharp(image.source), { width }),
+        format,
+        { quality: options.quality }
+      );
+      const result = await renderImage(pipeline, image);
+      inputDetails = result.input;
+
+      variants.push({
+        file: `${name}-${width}${extensionForFormat(format)}`,
+        format,
+        width: result.info.width,
+        height: result.info.height,
+        size: result.info.size,
+        buffer: result.buffer,
+      });
+    }
+  }
+
+  return {
+    name,
+    formats,
+    variants,
+    html: buildPictureHtml(variants, formats, options),
+    input: inputDetails,
+    warnings,
+  };
+}
+
+export async function responsiveCommand(input, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Creating responsive images...");
+  const timer = startTimer();
+
+  try {
+    if (isStdio(options.output)) {
+      throw new InvalidOptionError(
+        "responsive writes several files; --output must be a folder"
+      );
+    }
+
+    if (isInPlace()) {
+      throw new InvalidOptionError(
+        "--in-place can't be used with responsive: it makes new files in several widths and formats"
+      );
+    }
+
+    const result = await responsive(input, options);
+    timer.lap("process");
+
+    const outputDir =
+      options.output ||
+      path.join(await getOperationDirectory("responsive"), result.name);
+
+    spinner.text = `Saving ${result.variants.length} variants...`;
+
+    // The onConflict policy applies to each file; renamed files keep the
+    // markup in step because it is built from the names actually written
+    const written = [];
+    let skipped = 0;
+    for (const { buffer, ...variant } of result.variants) {
+      const planned = path.join(outputDir, variant.file);
+      try {
+        const outputPath = await resolveConflict(planned);
+        await saveOutput(outputPath, buffer);
+        written.push({ ...variant, file: path.basename(outputPath) });
+      } catch (error) {
+        if (!(error instanceof OutputSkippedError)) throw error;
+        skipped++;
+        written.push(variant);
+      }
+    }
+
+    // The markup and manifest describe this run, so they're always replaced
+    const html = buildPictureHtml(written, result.formats, options);
+    const htmlPath = path.join(outputDir, `${result.name}.html`);
+    await saveOutput(htmlPath, Buffer.from(`${html}\n`));
+
+    const manifest = {
+      input: result.input,
+      sizes: options.sizes || "100vw",
+      fallback: result.formats[result.formats.length - 1],
+      variants: written.map((variant) => ({
+        ...variant,
+        type: `image/${variant.format}`,
+      })),
+      html,
+    };
+    const manifestPath = path.join(outputDir, `${result.name}.json`);
+    await saveOutput(
+      manifestPath,
+      Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`)
+    );
+    timer.lap("write");
+
+    if (isJsonOutput()) {
+      printJson({
+        ok: true,
+        operation: "responsive",
+        input: result.input,
+        outputDir,
+        html: htmlPath,
+        manifest: manifestPath,
+        variants: manifest.variants.map((variant) => ({
+          ...variant,
+          path: path.join(outputDir, variant.file),
+        })),
+        skipped,
+        markup: html,
+        timings: timer.timings(),
+        warnings: result.warnings,
+      });
+      return;
+    }
+
+    spinner.succeed(
+      chalk.green(`✓ Created ${written.length} responsive variants`) +
+        chalk.dim(
+          `\n  Input: ${result.input.width}x${
+            result.input.height
+          } (${formatFileSize(result.input.size)})`
+        )
+    );
+
+    for (const format of result.formats) {
+      const sizes = written
+        .filter((variant) => variant.format === format)
+        .map(
+          (variant) =>
+            `${variant.width}x${variant.height} ${formatFileSize(variant.size)}`
+        );
+      console.log(chalk.dim(`  ${format.toUpperCase()}: ${sizes.join(", ")}`));
+    }
+    if (skipped > 0) {
+      console.log(chalk.yellow(`  ↷ Skipped (destination exists): ${skipped}`));
+    }
+
+    console.log(chalk.white.bold("\n📋 HTML:"));
+    console.log(html);
+
+    console.log(
+      chalk.green(
+        `\n✓ Images saved to: ${outputDir.replace(
+          getPixpressDirectory(),
+          "Pixpress"
+        )}`
+      )
+    );
+    console.log(chalk.dim(`  Markup: ${htmlPath}`));
+    console.log(chalk.dim(`  Manifest: ${manifestPath}`));
+    displayWarnings(result.warnings);
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
@@ -1,56 +1,108 @@
 // utils/rotate.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
-import fs from "fs-extra";
 import {
-  validateInput,
+  loadInput,
+  encodeImage,
+  renderImage,
+  resolveOutputFormat,
+  formatFromPath,
+  extensionForFormat,
+  validateOutputFormat,
+  saveOutput,
   generateOutputPath,
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
   displayOutputLocation,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+
+// Add flip and rotation steps to an existing Sharp pipeline
+export function applyRotation(pipeline, options = {}) {
+  const angle = options.angle ? parseInt(options.angle) : 0;
+  const flipHorizontal = options.flipH || options.horizontal;
+  const flipVertical = options.flipV || options.vertical;
+
+  // Validate rotation angle
+  if (angle && (angle < -360 || angle > 360)) {
+    throw new InvalidOptionError(
+      "Rotation angle must be between -360 and 360 degrees"
+    );
+  }
+
+  // Check if any transformation is specified
+  if (!angle && !flipHorizontal && !flipVertical) {
+    throw new InvalidOptionError(
+      "Please specify at least one transformation: --angle, --flip-h, or --flip-v"
+    );
+  }
+
+  // Apply transformations in order: flip first, then rotate
+  if (flipHorizontal) {
+    pipeline = pipeline.flop();
+  }
+
+  if (flipVertical) {
+    pipeline = pipeline.flip();
+  }
+
+  if (angle && angle !== 0) {
+    // Use a background color for areas exposed by rotation
+    pipeline = pipeline.rotate(angle, {
+      background: options.background || { r: 255, g: 255, b: 255, alpha: 0 },
+    });
+  }
+
+  return pipeline;
+}
+
+// Rotate and/or flip an image and return the encoded buffer
+export async function rotate(input, options = {}) {
+  const image = await loadInput(input);
+
+  let pipeline = applyRotation(sharp(image.source), options);
+
+  pipeline = encodeImage(pipeline, resolveOutputFormat(options.format, image), {
+    quality: options.quality,
+    defaultQuality: 85,
+  });
+
+  return renderImage(pipeline, image);
+}
 
 export async function rotateCommand(input, options) {
   await initializePixpressDirectory();
 
-  const spinner = ora("Rotating/flipping image...").start();
+  const spinner = startSpinner("Rotating/flipping image...");
+  const timer = startTimer();
 
   try {
-    const processedInputPath = await validateInput(input);
-
     const angle = options.angle ? parseInt(options.angle) : 0;
     const flipHorizontal = options.flipH || options.horizontal;
     const flipVertical = options.flipV || options.vertical;
 
-    // Validate rotation angle
-    if (angle && (angle < -360 || angle > 360)) {
-      throw new Error("Rotation angle must be between -360 and 360 degrees");
-    }
-
-    // Check if any transformation is specified
-    if (!angle && !flipHorizontal && !flipVertical) {
-      throw new Error(
-        "Please specify at least one transformation: --angle, --flip-h, or --flip-v"
-      );
-    }
-
     // Generate appropriate suffix for output filename
     let suffix = "";
     if (angle) suffix += `_rot${angle}`;
     if (flipHorizontal) suffix += "_flipH";
     if (flipVertical) suffix += "_flipV";
 
-    const outputPath = await generateOutputPath(
+    const format = options.format ? validateOutputFormat(options.format) : null;
+
+    let outputPath = await generateOutputPath(
       input,
       "rotated",
       suffix,
-      null,
-      options.output
+      format ? extensionForFormat(format) : null,
+      options.output,
+      options.name
     );
 
-    const metadata = await sharp(processedInputPath).metadata();
-
     // Build operation description
     const operations = [];
     if (angle) operations.push(`rotate ${angle}°`);
@@ -59,71 +111,49 @@ export async function rotateCommand(input, options) {
 
     spinner.text = `Applying transformations: ${operations.join(", ")}`;
 
-    let pipeline = sharp(processedInputPath);
-
-    // Apply transformations in order: flip first, then rotate
-    if (flipHorizontal) {
-      pipeline = pipeline.flop();
-    }
-
-    if (flipVertical) {
-      pipeline = pipeline.flip();
-    }
-
-    if (angle && angle !== 0) {
-      // Use a background color for areas exposed by rotation
-      pipeline = pipeline.rotate(angle, {
-        background: options.background || { r: 255, g: 255, b: 255, alpha: 0 },
-      });
-    }
-
     // Preserve original format and quality
-    const outputExt = outputPath.split(".").pop().toLowerCase();
-
-    switch (outputExt) {
-      case "jpg":
-      case "jpeg":
-        pipeline = pipeline.jpeg({
-          quality: parseInt(options.quality || 85),
-          progressive: true,
-        });
-        break;
-      case "png":
-        pipeline = pipeline.png({
-          progressive: true,
-          compressionLevel: 6,
-        });
-        break;
-      case "webp":
-        pipeline = pipeline.webp({
-          quality: parseInt(options.quality || 85),
-          effort: 4,
-        });
-        break;
-    }
-
-    await pipeline.toFile(outputPath);
-
-    // Get final metadata and file sizes
-    const finalMetadata = await sharp(outputPath).metadata();
-    const inputSize = (await fs.stat(processedInputPath)).size;
-    const outputSize = (await fs.stat(outputPath)).size;
+    const result = await rotate(input, {
+      ...options,
+      format: format || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "rotate",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     spinner.succeed(
       chalk.green("✓ Image transformation completed successfully!") +
         chalk.dim(`\n  Transformations: ${operations.join(", ")}`) +
         chalk.dim(
-          `\n  Input: ${metadata.width}x${
-            metadata.height
-          } ${metadata.format?.toUpperCase()}`
+          `\n  Input: ${result.input.width}x${
+            result.input.height
+          } ${result.input.format?.toUpperCase()}`
         ) +
+        chalk.dim(`\n  Output: ${result.info.width}x${result.info.height}`) +
         chalk.dim(
-          `\n  Output: ${finalMetadata.width}x${finalMetadata.height}`
-        ) +
-        chalk.dim(`\n  Size: ${inputSize} bytes → ${outputSize} bytes`)
+          `\n  Size: ${result.input.size} bytes → ${result.info.size} bytes`
+        )
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("rotate", {
+      result,
+      outputPath,
+      timer,
+      details: {
+        transformations: {
+          angle,
+          flipH: !!flipHorizontal,
+          flipV: !!flipVertical,
+        },
+      },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }
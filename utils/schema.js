@@ -0,0 +1,43 @@
+// utils/schema.js
+
+// Check a value against a schema rule ({ type, min, max } or { values })
+// and return the problem, if any
+export function checkOptionValue(value, rule) {
+  if (rule.values) {
+    const values =
+      typeof rule.values === "function" ? rule.values() : rule.values;
+    return values.includes(String(value).toLowerCase())
+      ? null
+      : `must be one of: ${values.join(", ")}`;
+  }
+
+  if (rule.type === "boolean") {
+    return typeof value === "boolean" ? null : "must be true or false";
+  }
+
+  if (rule.type === "string") {
+    return typeof value === "string" && value.trim()
+      ? null
+      : "must be a non-empty string";
+  }
+
+  const number = Number(value);
+
+  if (value === "" || typeof value === "boolean" || !Number.isFinite(number)) {
+    return "must be a number";
+  }
+
+  if (rule.type === "integer" && !Number.isInteger(number)) {
+    return "must be a whole number";
+  }
+
+  if (rule.max === undefined && number < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+
+  if (number < rule.min || number > rule.max) {
+    return `must be between ${rule.min} and ${rule.max}`;
+  }
+
+  return null;
+}
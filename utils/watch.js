@@ -0,0 +1,296 @@
+// utils/watch.js
+import fs from "fs-extra";
+import path from "path";
+import chalk from "chalk";
+import { prepareBatch, findImageFiles, processBatch } from "./batch.js";
+import { openBuildCache } from "./incremental.js";
+import { isZipPath } from "./archive.js";
+import { InvalidOptionError } from "./errors.js";
+import { checkOptionValue } from "./schema.js";
+import {
+  formatFileSize,
+  handleError,
+  setFailureExitCode,
+  isInPlace,
+  isJsonOutput,
+  startSpinner,
+} from "./helpers.js";
+
+const defaultDebounce = 500;
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return (
+    relative === "" ||
+    (!relative.startsWith("..") && !path.isAbsolute(relative))
+  );
+}
+
+// Size and modification time: when it stops changing, the file is done
+// being written
+function signature(stats) {
+  return `${stats.mtimeMs}:${stats.size}`;
+}
+
+// One line per finished file, or one JSON object per line with --json
+function logRecord(record) {
+  const time = new Date().toLocaleTimeString();
+
+  if (isJsonOutput()) {
+    console.log(JSON.stringify({ time: new Date().toISOString(), ...record }));
+    return;
+  }
+
+  switch (record.status) {
+    case "ok":
+      console.log(
+        chalk.green(`✓ ${time} ${record.input}`) +
+          chalk.dim(
+            record.output
+              ? ` → ${record.output} (${formatFileSize(
+                  record.inputSize
+                )} → ${formatFileSize(record.outputSize)})`
+              : ""
+          )
+      );
+      break;
+    case "skipped":
+      console.log(
+        chalk.yellow(`↷ ${time} ${record.input} skipped, output exists`)
+      );
+      break;
+    case "unchanged":
+      console.log(chalk.dim(`= ${time} ${record.input} unchanged`));
+      break;
+    case "failed":
+      console.log(
+        chalk.red(
+          `✗ ${time} ${record.input}: ${record.error}${
+            record.code ? ` [${record.code}]` : ""
+          }`
+        )
+      );
+      break;
+  }
+}
+
+// Watch a folder and run a batch operation on every image that is added
+// or changed. Files are picked up once they've stopped changing for the
+// debounce time. With --once the images already in the folder are
+// processed and the command exits without watching.
+export async function watchCommand(folder, operation, options = {}) {
+  const spinner = startSpinner("Setting up watch...");
+
+  try {
+    let outputDir;
+    ({ operation, options, outputDir } = await prepareBatch(
+      operation,
+      folder,
+      options,
+      "watch"
+    ));
+
+    if (isZipPath(folder)) {
+      throw new InvalidOptionError(
+        "Watch needs a folder to watch; use 'pixpress batch' for zip archives"
+      );
+    }
+
+    if (operation === "collage") {
+      throw new InvalidOptionError(
+        "Watch processes files one by one, so it can't make collages; use 'pixpress batch collage'"
+      );
+    }
+
+    if (isInPlace()) {
+      throw new InvalidOptionError(
+        "--in-place can't be used with watch: every replaced file would be picked up again"
+      );
+    }
+
+    if (operation !== "info" && isInside(outputDir, folder)) {
+      throw new InvalidOptionError(
+        `The output folder ${outputDir} contains the watched folder; pick an output folder outside it, or a subfolder of it`
+      );
+    }
+
+    let debounce = defaultDebounce;
+    if (options.debounce !== undefined) {
+      const problem = checkOptionValue(options.debounce, {
+        type: "integer",
+        min: 0,
+      });
+      if (problem) {
+        throw new InvalidOptionError(`--debounce ${problem}`);
+      }
+      debounce = Number(options.debounce);
+    }
+
+    await fs.ensureDir(outputDir);
+    const cache = options.incremental ? await openBuildCache(outputDir) : null;
+
+    // Outputs written into a subfolder of the watched folder aren't inputs
+    const findInputs = async () =>
+      (await findImageFiles(folder, options)).filter(
+        (file) => operation === "info" || !isInside(outputDir, file.path)
+      );
+
+    const totals = {
+      successful: 0,
+      failed: 0,
+      skipped: 0,
+      unchanged: 0,
+      errors: [],
+    };
+
+    const processFiles = async (files) => {
+      const roundSpinner = startSpinner(
+        `Processing ${files.length} image(s)...`
+      );
+      const results = await processBatch(
+        files,
+        operation,
+        options,
+        outputDir,
+        folder,
+        roundSpinner,
+        null,
+        cache
+      );
+      roundSpinner.stop();
+
+      if (operation !== "info" || isJsonOutput()) {
+        results.files.forEach(logRecord);
+      }
+
+      totals.successful += results.successful;
+      totals.failed += results.failed;
+      totals.skipped += results.skipped;
+      totals.unchanged += results.unchanged;
+      totals.errors.push(...results.errors);
+    };
+
+    if (options.once) {
+      const files = await findInputs();
+      spinner.stop();
+
+      if (files.length > 0) {
+        await processFiles(files);
+      }
+      printTotals(totals);
+      setFailureExitCode(totals.errors);
+      return;
+    }
+
+    // Files present at the start are left alone; only later changes count
+    const seen = new Map();
+    for (const file of await findInputs()) {
+      const stats = await fs.stat(file.path).catch(() => null);
+      if (stats) seen.set(file.path, signature(stats));
+    }
+
+    // Changed files wait here until a scan finds them unchanged since the
+    // previous scan
+    const pending = new Map();
+    let timer = null;
+    let scanning = null;
+    let rescan = false;
+    let stopping = false;
+
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        scanning = scan().finally(() => {
+          scanning = null;
+        });
+      }, debounce);
+    };
+
+    const scan = async () => {
+      const ready = [];
+      let changing = false;
+
+      for (const file of await findInputs()) {
+        const stats = await fs.stat(file.path).catch(() => null);
+        if (!stats) continue;
+
+        const current = signature(stats);
+
+        if (seen.get(file.path) === current) {
+          pending.delete(file.path);
+        } else if (pending.get(file.path) === current && stats.size > 0) {
+          pending.delete(file.path);
+          seen.set(file.path, current);
+          ready.push(file);
+        } else {
+          changing = changing || pending.get(file.path) !== current;
+          pending.set(file.path, current);
+        }
+      }
+
+      if (ready.length > 0 && !stopping) {
+        await processFiles(ready);
+      }
+
+      // Check again for files still being written, and for anything that
+      // changed while this scan ran
+      if ((changing || rescan) && !stopping) {
+        rescan = false;
+        schedule();
+      }
+    };
+
+    const watcher = fs.watch(
+      folder,
+      { recursive: Boolean(options.recursive) },
+      () => {
+        if (scanning) {
+          rescan = true;
+        } else {
+          schedule();
+        }
+      }
+    );
+
+    spinner.succeed(
+      chalk.green(`👀 Watching ${folder} (${operation})`) +
+        chalk.dim(
+          `${
+            operation === "info" ? "" : `\n  Output folder: ${outputDir}`
+          }\n  Press Ctrl+C to stop`
+        )
+    );
+
+    await new Promise((resolve) => {
+      const stop = () => {
+        stopping = true;
+        clearTimeout(timer);
+        watcher.close();
+        process.removeListener("SIGINT", stop);
+        Promise.resolve(scanning).then(resolve);
+      };
+
+      watcher.on("error", (error) => {
+        stop();
+        handleError(null, error);
+      });
+      process.on("SIGINT", stop);
+    });
+
+    printTotals(totals);
+  } catch (error) {
+    handleError(spinner, error);
+  }
+}
+
+function printTotals(totals) {
+  if (isJsonOutput()) return;
+
+  const parts = [chalk.green(`${totals.successful} processed`)];
+  if (totals.failed > 0) parts.push(chalk.red(`${totals.failed} failed`));
+  if (totals.skipped > 0) parts.push(chalk.yellow(`${totals.skipped} skipped`));
+  if (totals.unchanged > 0)
+    parts.push(chalk.dim(`${totals.unchanged} unchanged`));
+
+  console.log(`\n📊 ${parts.join(chalk.dim(", "))}`);
+}
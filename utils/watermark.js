@@ -1,150 +1,220 @@
 // utils/watermark.js
 import sharp from "sharp";
 import chalk from "chalk";
-import ora from "ora";
-import fs from "fs-extra";
 import {
-  validateInput,
+  loadInput,
+  encodeImage,
+  renderImage,
+  resolveOutputFormat,
+  formatFromPath,
+  extensionForFormat,
+  validateOutputFormat,
+  saveOutput,
   generateOutputPath,
   handleError,
+  startSpinner,
+  startTimer,
+  reportResult,
   displayOutputLocation,
+  displayWarnings,
   initializePixpressDirectory,
 } from "./helpers.js";
+import { applyNameTemplate } from "./naming.js";
+import { InvalidOptionError } from "./errors.js";
+
+const validPositions = [
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+  "center",
+];
+
+export function getWatermarkPositions() {
+  return validPositions;
+}
 
-export async function watermarkCommand(input, options) {
-  await initializePixpressDirectory();
+// Composite a watermark onto an existing Sharp pipeline whose current
+// dimensions are `base`. Resolves to the pipeline and the placement used.
+export async function applyWatermark(pipeline, base, options = {}) {
+  if (!options.watermark) {
+    throw new InvalidOptionError("Please specify a watermark image");
+  }
 
-  const spinner = ora("Adding watermark...").start();
+  const position = (options.position || "bottom-right").toLowerCase();
 
-  try {
-    // Validate both the main image and the watermark image
-    await validateInput(input);
-    await validateInput(options.watermark);
-
-    const position = options.position.toLowerCase();
-    const validPositions = [
-      "top-left",
-      "top-right",
-      "bottom-left",
-      "bottom-right",
-      "center",
-    ];
-
-    if (!validPositions.includes(position)) {
-      throw new Error(
-        `Invalid position: ${position}. Valid positions: ${validPositions.join(
-          ", "
-        )}`
-      );
-    }
-
-    const size = parseInt(options.size);
-    const opacity = parseFloat(options.opacity);
-
-    // Validate size and opacity ranges to prevent weird results
-    if (size < 10 || size > 50) {
-      throw new Error("Watermark size must be between 10-50%");
-    }
-
-    if (opacity < 0.1 || opacity > 1.0) {
-      throw new Error("Opacity must be between 0.1-1.0");
-    }
-
-    const outputPath = await generateOutputPath(
-      input,
-      "watermarked",
-      "_watermarked",
-      null,
-      options.output
+  if (!validPositions.includes(position)) {
+    throw new InvalidOptionError(
+      `Invalid position: ${position}. Valid positions: ${validPositions.join(
+        ", "
+      )}`
     );
+  }
 
-    const baseMetadata = await sharp(input).metadata();
-    const watermarkMetadata = await sharp(options.watermark).metadata();
+  const size = parseInt(options.size || 20);
+  const opacity = parseFloat(options.opacity || 0.8);
 
-    spinner.text = `Adding watermark (${position}, ${size}%, ${Math.round(
-      opacity * 100
-    )}% opacity)`;
+  // Validate size and opacity ranges to prevent weird results
+  if (size < 10 || size > 50) {
+    throw new InvalidOptionError("Watermark size must be between 10-50%");
+  }
 
-    // Calculate watermark dimensions while preserving aspect ratio
-    const watermarkWidth = Math.round(baseMetadata.width * (size / 100));
-    const watermarkHeight = Math.round(
-      watermarkWidth * (watermarkMetadata.height / watermarkMetadata.width)
-    );
+  if (opacity < 0.1 || opacity > 1.0) {
+    throw new InvalidOptionError("Opacity must be between 0.1-1.0");
+  }
 
-    // Resize watermark and convert to PNG for transparency support
-    let watermarkBuffer = await sharp(options.watermark)
-      .resize(watermarkWidth, watermarkHeight)
-      .png()
-      .toBuffer();
+  const mark = await loadInput(options.watermark);
+
+  // Calculate watermark dimensions while preserving aspect ratio
+  const watermarkWidth = Math.round(base.width * (size / 100));
+  const watermarkHeight = Math.round(
+    watermarkWidth * (mark.height / mark.width)
+  );
 
-    // Apply opacity by blending with transparent layer
-    if (opacity < 1.0) {
-      watermarkBuffer = await sharp(watermarkBuffer)
-        .composite([
-          {
-            input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
-            raw: { width: 1, height: 1, channels: 4 },
-            tile: true,
-            blend: "dest-in",
-          },
-        ])
-        .png()
-        .toBuffer();
-    }
-
-    // Calculate positioning with margin for better appearance
-    let left, top;
-    const margin = 20;
-
-    switch (position) {
-      case "top-left":
-        left = margin;
-        top = margin;
-        break;
-      case "top-right":
-        left = baseMetadata.width - watermarkWidth - margin;
-        top = margin;
-        break;
-      case "bottom-left":
-        left = margin;
-        top = baseMetadata.height - watermarkHeight - margin;
-        break;
-      case "bottom-right":
-        left = baseMetadata.width - watermarkWidth - margin;
-        top = baseMetadata.height - watermarkHeight - margin;
-        break;
-      case "center":
-        left = Math.round((baseMetadata.width - watermarkWidth) / 2);
-        top = Math.round((baseMetadata.height - watermarkHeight) / 2);
-        break;
-    }
-
-    // Composite watermark onto the base image
-    await sharp(input)
+  // Resize watermark and convert to PNG for transparency support
+  let watermarkBuffer = await sharp(mark.source)
+    .resize(watermarkWidth, watermarkHeight)
+    .png()
+    .toBuffer();
+
+  // Apply opacity by blending with transparent layer
+  if (opacity < 1.0) {
+    watermarkBuffer = await sharp(watermarkBuffer)
       .composite([
         {
-          input: watermarkBuffer,
-          left: left,
-          top: top,
+          input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
+          raw: { width: 1, height: 1, channels: 4 },
+          tile: true,
+          blend: "dest-in",
         },
       ])
-      .toFile(outputPath);
+      .png()
+      .toBuffer();
+  }
+
+  // Calculate positioning with margin for better appearance
+  let left, top;
+  const margin = 20;
+
+  switch (position) {
+    case "top-left":
+      left = margin;
+      top = margin;
+      break;
+    case "top-right":
+      left = base.width - watermarkWidth - margin;
+      top = margin;
+      break;
+    case "bottom-left":
+      left = margin;
+      top = base.height - watermarkHeight - margin;
+      break;
+    case "bottom-right":
+      left = base.width - watermarkWidth - margin;
+      top = base.height - watermarkHeight - margin;
+      break;
+    case "center":
+      left = Math.round((base.width - watermarkWidth) / 2);
+      top = Math.round((base.height - watermarkHeight) / 2);
+      break;
+  }
+
+  // Composite watermark onto the base image
+  return {
+    pipeline: pipeline.composite([
+      {
+        input: watermarkBuffer,
+        left: left,
+        top: top,
+      },
+    ]),
+    watermark: {
+      width: watermarkWidth,
+      height: watermarkHeight,
+      position,
+      size,
+      opacity,
+    },
+    warnings: mark.warnings,
+  };
+}
+
+// Composite a watermark onto an image and return the encoded buffer
+export async function watermark(input, options = {}) {
+  const image = await loadInput(input);
+
+  const applied = await applyWatermark(sharp(image.source), image, options);
+  image.warnings.push(...applied.warnings);
+
+  const pipeline = encodeImage(
+    applied.pipeline,
+    resolveOutputFormat(options.format, image),
+    { quality: options.quality }
+  );
+
+  const result = await renderImage(pipeline, image);
+  result.watermark = applied.watermark;
+
+  return result;
+}
+
+export async function watermarkCommand(input, options) {
+  await initializePixpressDirectory();
+
+  const spinner = startSpinner("Adding watermark...");
+  const timer = startTimer();
+
+  try {
+    const format = options.format ? validateOutputFormat(options.format) : null;
+
+    let outputPath = await generateOutputPath(
+      input,
+      "watermarked",
+      "_watermarked",
+      format ? extensionForFormat(format) : null,
+      options.output,
+      options.name
+    );
+
+    spinner.text = `Adding watermark (${options.position}, ${
+      options.size
+    }%, ${Math.round(parseFloat(options.opacity) * 100)}% opacity)`;
+
+    const result = await watermark(input, {
+      ...options,
+      format: format || formatFromPath(outputPath),
+    });
+    timer.lap("process");
+    outputPath = await applyNameTemplate(outputPath, options, {
+      input,
+      result,
+      operation: "watermark",
+    });
+    await saveOutput(outputPath, result.buffer);
+    timer.lap("write");
 
     // Show detailed results to user
-    const inputSize = (await fs.stat(input)).size;
-    const outputSize = (await fs.stat(outputPath)).size;
+    const { width, height, position, size, opacity } = result.watermark;
 
     spinner.succeed(
       chalk.green(`✓ Watermark added successfully!`) +
         chalk.dim(`\n  Position: ${position}`) +
-        chalk.dim(
-          `\n  Watermark size: ${watermarkWidth}x${watermarkHeight} (${size}%)`
-        ) +
+        chalk.dim(`\n  Watermark size: ${width}x${height} (${size}%)`) +
         chalk.dim(`\n  Opacity: ${Math.round(opacity * 100)}%`) +
-        chalk.dim(`\n  File size: ${inputSize} bytes → ${outputSize} bytes`)
+        chalk.dim(
+          `\n  File size: ${result.input.size} bytes → ${result.info.size} bytes`
+        )
     );
 
     displayOutputLocation(outputPath);
+    displayWarnings(result.warnings);
+    reportResult("watermark", {
+      result,
+      outputPath,
+      timer,
+      details: { watermark: result.watermark },
+    });
+    return outputPath;
   } catch (error) {
     handleError(spinner, error);
   }